@@ -0,0 +1,281 @@
+// backend/app.js
+//
+// The whole backend as an app factory: createApp() builds Express, Socket.IO
+// and every service without side effects, then mounts the routers in routes/,
+// each handed the services it needs; start() connects Mongo, starts the
+// background services and WhatsApp accounts and listens; stop() undoes it.
+// server.js runs it for real; scripts/sandbox.js runs it against the sandbox
+// transport and an in-memory database.
+const express = require('express');
+const cors = require('cors');
+const mongoose = require('mongoose');
+const { createServer } = require('http');
+const { Server } = require('socket.io');
+const { google } = require('googleapis');
+
+// === Models ===
+const ContactSet = require('./models/ContactSet');
+const Contact = require('./models/Contact');
+
+// === Services ===
+const { authenticate, auditTrail, socketAuthenticate } = require('./lib/auth');
+const { createCampaignRunner } = require('./lib/campaignRunner');
+const { rebuildContactIndex } = require('./lib/contactIndex');
+const { createReceiptTracker } = require('./lib/receipts');
+const { createOptOutHandler } = require('./lib/optOut');
+const { createInbox } = require('./lib/inbox');
+const { createAutoReplyEngine } = require('./lib/autoReply');
+const { createWhatsAppManager, DEFAULT_ACCOUNT } = require('./lib/whatsapp');
+const { createWaVerifier } = require('./lib/waVerifier');
+const { createScheduler } = require('./lib/scheduler');
+const { createSendingPolicy } = require('./lib/sendingPolicy');
+const { createGoogleContacts } = require('./lib/googleContacts');
+const { createWebhookDispatcher } = require('./lib/webhooks');
+const { createAbTests } = require('./lib/abTest');
+const { createGroupTools } = require('./lib/groups');
+const { createBaileysTransport } = require('./lib/transport');
+const { createSandboxTransport } = require('./lib/sandbox');
+
+// === Routes ===
+const { createCampaignQueue } = require('./routes/helpers');
+const { createAuthRoutes } = require('./routes/auth');
+const { createWebhookRoutes } = require('./routes/webhooks');
+const { createGoogleRoutes } = require('./routes/google');
+const { createUploadRoutes } = require('./routes/uploads');
+const { createContactRoutes } = require('./routes/contacts');
+const { createMediaRoutes } = require('./routes/media');
+const { createSendRoutes } = require('./routes/send');
+const { createGroupRoutes } = require('./routes/groups');
+const { createMessageRoutes } = require('./routes/messages');
+const { createSegmentRoutes } = require('./routes/segments');
+const { createCampaignRoutes } = require('./routes/campaigns');
+const { createHistoryRoutes } = require('./routes/history');
+const { createScheduleRoutes } = require('./routes/schedules');
+const { createSuppressionRoutes } = require('./routes/suppressions');
+const { createInboxRoutes } = require('./routes/inbox');
+const { createAutoReplyRoutes } = require('./routes/autoReplies');
+const { createAccountRoutes } = require('./routes/accounts');
+const { createSandboxRoutes } = require('./routes/sandbox');
+
+// options:
+//   transport  'baileys' (default) or 'sandbox'; falls back to WA_TRANSPORT
+//   sandbox    simulation profile for the sandbox (see lib/sandbox.js)
+//   mongoUri   defaults to MONGO_URI
+function createApp(options = {}) {
+  const app = express();
+
+  // --- CORS & JSON ---
+  const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000,http://127.0.0.1:3000')
+    .split(',')
+    .map((o) => o.trim())
+    .filter(Boolean);
+
+  app.use(
+    cors({
+      origin: CORS_ORIGINS,
+      methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Idempotency-Key'],
+      exposedHeaders: ['Idempotent-Replayed'],
+      credentials: false,
+    })
+  );
+  app.use(express.json({ limit: '2mb' }));
+
+  // --- Auth: every route below needs a session token or API key (see lib/auth.js) ---
+  app.use(authenticate);
+  app.use(auditTrail);
+
+  // === Socket.IO Server ===
+  const server = createServer(app);
+  const io = new Server(server, { cors: { origin: CORS_ORIGINS } });
+  io.use(socketAuthenticate);
+
+  // === Google OAuth Config ===
+  const oauth2Client = new google.auth.OAuth2(
+    process.env.CLIENT_ID,
+    process.env.CLIENT_SECRET,
+    process.env.REDIRECT_URI
+  );
+  const googleContacts = createGoogleContacts({ oauth2Client, io });
+
+  // === Webhooks ===
+  const webhooks = createWebhookDispatcher();
+
+  // === Delivery Receipts ===
+  const receiptTracker = createReceiptTracker({ io, webhooks });
+
+  // === Opt-outs ===
+  const optOutHandler = createOptOutHandler({ io });
+
+  // === Inbox ===
+  const inbox = createInbox({
+    io,
+    getAccounts: () => whatsapp.connectedAccounts(),
+    webhooks,
+  });
+
+  // === Auto-replies ===
+  const autoReply = createAutoReplyEngine({ io, inbox });
+
+  // === WhatsApp Transport ===
+  // `sandbox` runs every account against the pretend WhatsApp in lib/sandbox.js.
+  // Dry-run campaigns use the sandbox whatever the transport.
+  const sandbox = createSandboxTransport(options.sandbox);
+  const transport =
+    (options.transport || process.env.WA_TRANSPORT) === 'sandbox' ? sandbox : createBaileysTransport();
+
+  function bindReceipts(sock, tracker = receiptTracker) {
+    sock.ev.on('messages.update', tracker.onMessagesUpdate);
+    sock.ev.on('message-receipt.update', tracker.onReceiptUpdate);
+  }
+
+  // Dry runs send through their own sandbox socket. Only receipts are wired up,
+  // to a tracker without webhooks: simulated deliveries and reads must not reach
+  // real subscribers, nor simulated replies the inbox, auto-replies or opt-outs.
+  const dryRunReceipts = createReceiptTracker({ io });
+  const DRY_RUN_ACCOUNT = 'sandbox:dry-run';
+  let dryRunSock = null;
+  function dryRunAccount() {
+    if (!dryRunSock) {
+      dryRunSock = sandbox.createSocket({ name: DRY_RUN_ACCOUNT });
+      bindReceipts(dryRunSock, dryRunReceipts);
+    }
+    return { name: DRY_RUN_ACCOUNT, sock: dryRunSock, minDelayMs: 0, maxDelayMs: 0 };
+  }
+
+  // === WhatsApp Accounts ===
+  const whatsapp = createWhatsAppManager({
+    io,
+    transport,
+    bindSocket: (sock, name) => {
+      bindReceipts(sock);
+      sock.ev.on('messages.upsert', (upsert) => optOutHandler.onMessagesUpsert(upsert, sock));
+      sock.ev.on('messages.upsert', (upsert) => inbox.onMessagesUpsert(upsert, name));
+      sock.ev.on('messages.upsert', (upsert) => autoReply.onMessagesUpsert(upsert, sock, name));
+    },
+    onConnected: () => {
+      campaignRunner.kick();
+      scheduler.tick();
+    },
+  });
+  const anyAccountConnected = () => whatsapp.connectedAccounts().length > 0;
+
+  // === WhatsApp Number Checks ===
+  const waVerifier = createWaVerifier({
+    getSocket: () => whatsapp.connectedAccounts()[0]?.sock || null,
+    io,
+  });
+
+  // === WhatsApp Groups ===
+  const groupTools = createGroupTools({ getAccounts: () => whatsapp.connectedAccounts() });
+
+  // === Sending Policies ===
+  const sendingPolicy = createSendingPolicy({ io });
+
+  // === Campaign Queue ===
+  const campaignRunner = createCampaignRunner({
+    getAccounts: () => whatsapp.connectedAccounts(),
+    io,
+    policy: sendingPolicy,
+    webhooks,
+    onFinish: (campaign) => abTests.onCampaignFinished(campaign),
+    getDryRunAccount: dryRunAccount,
+  });
+
+  // === A/B Tests ===
+  const abTests = createAbTests({ campaignRunner, io });
+
+  // === Scheduled Campaigns ===
+  const scheduler = createScheduler({
+    campaignRunner,
+    isConnected: anyAccountConnected,
+    io,
+  });
+
+  const campaignQueue = createCampaignQueue({ campaignRunner, abTests, whatsapp });
+
+  // === Routes ===
+  // Mounted at the root so lib/auth.js sees the full paths. Order matters:
+  // the Google routes must come before /contacts/:setName.
+  app.use(createAuthRoutes());
+  app.use(createWebhookRoutes({ webhooks }));
+  app.use(createGoogleRoutes({ oauth2Client, googleContacts }));
+  app.use(createUploadRoutes());
+  app.use(createContactRoutes({ waVerifier }));
+  app.use(createMediaRoutes());
+  app.use(createSendRoutes({ campaignQueue }));
+  app.use(createGroupRoutes({ groupTools, campaignQueue }));
+  app.use(createMessageRoutes({ campaignRunner, whatsapp }));
+  app.use(createSegmentRoutes({ campaignQueue }));
+  app.use(createCampaignRoutes({ campaignRunner, abTests, campaignQueue }));
+  app.use(createHistoryRoutes());
+  app.use(createScheduleRoutes());
+  app.use(createSuppressionRoutes());
+  app.use(createInboxRoutes({ inbox }));
+  app.use(createAutoReplyRoutes());
+  app.use(createAccountRoutes({ whatsapp, sendingPolicy, campaignRunner }));
+  app.use(createSandboxRoutes({ sandbox, transport, dryRunName: DRY_RUN_ACCOUNT }));
+
+  // === Socket.IO ===
+  io.on('connection', (socket) => {
+    const isAdmin = socket.data.auth?.role === 'admin';
+    const main = whatsapp.status(DEFAULT_ACCOUNT);
+    socket.emit('status', main?.status === 'connected' ? 'connected' : 'disconnected');
+    if (isAdmin) socket.emit('qr', main?.qr || null);
+    socket.emit(
+      'accounts',
+      whatsapp.list().map(({ qr, ...state }) => (isAdmin ? { ...state, qr } : { ...state, pairing: !!qr }))
+    );
+    const { progress, logs } = campaignRunner.snapshot();
+    socket.emit('progress', progress);
+    socket.emit('logs', logs);
+  });
+
+  // === Lifecycle ===
+
+  // Connect Mongo (options.mongoUri, else MONGO_URI), start the background
+  // services and WhatsApp accounts, then listen. Resolves with the port.
+  async function start({ port = 0 } = {}) {
+    await mongoose.connect(options.mongoUri || process.env.MONGO_URI, { autoIndex: true });
+    console.log('✅ MongoDB connected');
+    // First run after upgrading: build the global contacts index once
+    Contact.estimatedDocumentCount()
+      .then(async (count) => {
+        if (count || !(await ContactSet.exists({}))) return;
+        const { total } = await rebuildContactIndex();
+        console.log(`✅ Contacts index built (${total} phones)`);
+      })
+      .catch((err) => console.error('❌ Contacts index build failed:', err));
+    scheduler.start();
+    googleContacts.start();
+    webhooks.start();
+    abTests.start();
+    await Promise.all([whatsapp.startAll(), campaignRunner.start()]);
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+    server.on('error', (e) => console.error('💥 Server error:', e));
+    return server.address().port;
+  }
+
+  async function stop() {
+    scheduler.stop();
+    googleContacts.stop();
+    webhooks.stop();
+    abTests.stop();
+    campaignRunner.stop();
+    for (const { name } of whatsapp.list()) whatsapp.stop(name);
+    sandbox.stop();
+    await new Promise((resolve) => io.close(() => resolve()));
+    await mongoose.disconnect();
+  }
+
+  return { app, server, io, sandbox, whatsapp, campaignRunner, start, stop };
+}
+
+module.exports = { createApp };
@@ -0,0 +1,307 @@
+// backend/lib/abTest.js
+//
+// A/B test campaigns: two or more message variants, either
+//   split  -> every recipient gets one variant, by percentage, or
+//   winner -> a test slice gets the variants first; the best one is then sent
+//             to everyone else (picked by hand, or automatically some hours
+//             after the test slice is done).
+// Each recipient's variant is kept on CampaignRecipient.variant.
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const InboxMessage = require('../models/InboxMessage');
+const Media = require('../models/Media');
+const Suppression = require('../models/Suppression');
+const { summarize } = require('./campaignRunner');
+
+const AB_MODES = ['split', 'winner'];
+// What a `winner` test is decided on
+const AB_METRICS = ['delivered', 'read', 'replied'];
+const VARIANT_KEYS = 'ABCDEFGHIJ';
+const DEFAULT_TEST_PERCENT = 20;
+const DEFAULT_WINNER_AFTER_HOURS = 24;
+const CHECK_MS = 60 * 1000;
+
+function statusError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// `variants` and `abTest` from a send request -> { value: { variants, abTest } | null } or { error }
+async function parseAbTestInput(body = {}) {
+  if (body.variants == null) return { value: null };
+  if (!Array.isArray(body.variants) || body.variants.length < 2) {
+    return { error: 'variants must list at least two messages' };
+  }
+  if (body.variants.length > VARIANT_KEYS.length) {
+    return { error: `At most ${VARIANT_KEYS.length} variants are allowed` };
+  }
+
+  const weighted = body.variants.filter((v) => v?.weight != null).length;
+  if (weighted && weighted !== body.variants.length) {
+    return { error: 'Give every variant a weight, or none for an even split' };
+  }
+
+  const variants = [];
+  for (const [i, raw] of body.variants.entries()) {
+    const key = VARIANT_KEYS[i];
+    const message = String(raw?.message ?? '');
+    if (!raw?.mediaId && !message.trim()) return { error: `Variant ${key}: message is required` };
+
+    let media;
+    if (raw.mediaId) {
+      media = mongoose.isValidObjectId(raw.mediaId) ? (await Media.exists({ _id: raw.mediaId }))?._id : null;
+      if (!media) return { error: `Variant ${key}: media not found` };
+    }
+    const weight = weighted ? Number(raw.weight) : 100 / body.variants.length;
+    if (!Number.isFinite(weight) || weight <= 0) return { error: `Variant ${key}: weight must be a positive number` };
+    variants.push({ key, message, media, weight });
+  }
+  if (weighted) {
+    const total = variants.reduce((n, v) => n + v.weight, 0);
+    if (Math.abs(total - 100) > 0.01) return { error: `Variant weights must add up to 100 (got ${total})` };
+  }
+
+  const input = body.abTest || {};
+  const abTest = { mode: input.mode || 'split' };
+  if (!AB_MODES.includes(abTest.mode)) return { error: `abTest.mode must be one of ${AB_MODES.join(', ')}` };
+  if (abTest.mode === 'winner') {
+    abTest.testPercent = Number(input.testPercent ?? DEFAULT_TEST_PERCENT);
+    if (!Number.isFinite(abTest.testPercent) || abTest.testPercent <= 0 || abTest.testPercent >= 100) {
+      return { error: 'abTest.testPercent must be between 0 and 100' };
+    }
+    abTest.metric = input.metric || 'replied';
+    if (!AB_METRICS.includes(abTest.metric)) return { error: `abTest.metric must be one of ${AB_METRICS.join(', ')}` };
+    // null = only ever picked by hand
+    if (input.winnerAfterHours !== null) {
+      abTest.winnerAfterHours = Number(input.winnerAfterHours ?? DEFAULT_WINNER_AFTER_HOURS);
+      if (!Number.isFinite(abTest.winnerAfterHours) || abTest.winnerAfterHours <= 0) {
+        return { error: 'abTest.winnerAfterHours must be a positive number of hours, or null' };
+      }
+    }
+  }
+  return { value: { variants, abTest } };
+}
+
+function shuffle(items, random = Math.random) {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// Deal `contacts` out to the variants by weight: random members, exact shares
+// (largest remainder). Returns copies of the contacts with `variant` set.
+function assignVariants(contacts, variants, random = Math.random) {
+  const total = variants.reduce((n, v) => n + v.weight, 0);
+  const shares = variants.map((v) => (contacts.length * v.weight) / total);
+  const counts = shares.map(Math.floor);
+  const byRemainder = shares.map((s, i) => i).sort((a, b) => shares[b] - counts[b] - (shares[a] - counts[a]));
+  for (let left = contacts.length - counts.reduce((n, c) => n + c, 0), i = 0; left > 0; left--, i++) {
+    counts[byRemainder[i]]++;
+  }
+
+  const out = [];
+  let at = 0;
+  const shuffled = shuffle(contacts, random);
+  variants.forEach((v, i) => {
+    for (const contact of shuffled.slice(at, at + counts[i])) {
+      // Set contacts are subdocuments
+      const plain = typeof contact.toObject === 'function' ? contact.toObject() : contact;
+      out.push({ ...plain, variant: v.key });
+    }
+    at += counts[i];
+  });
+  return out;
+}
+
+// A random `percent` of `contacts` for the test, at least one per variant
+function splitTestSlice(contacts, percent, variantCount, random = Math.random) {
+  const shuffled = shuffle(contacts, random);
+  const size = Math.min(shuffled.length, Math.max(variantCount, Math.round((shuffled.length * percent) / 100)));
+  return { test: shuffled.slice(0, size), rest: shuffled.slice(size) };
+}
+
+// Percentage with one decimal; null when there is nothing to divide by
+function rate(count, of) {
+  return of ? Math.round((count / of) * 1000) / 10 : null;
+}
+
+// Per-variant outcome of a campaign. Rates are percentages of the messages
+// sent; a reply is any inbox message attributed to this campaign, an opt-out
+// is a suppression added after the message went out.
+async function variantReport(campaign) {
+  const recipients = await CampaignRecipient.find(
+    { campaign: campaign._id },
+    'phone variant status sentAt deliveredAt readAt'
+  );
+  const sentPhones = recipients.filter((r) => r.sentAt).map((r) => r.phone);
+  const [replied, suppressions] = await Promise.all([
+    InboxMessage.distinct('phone', { campaign: campaign._id, direction: 'in' }),
+    Suppression.find({ phone: { $in: sentPhones } }, 'phone createdAt'),
+  ]);
+  const repliedPhones = new Set(replied);
+  const optedOutAt = new Map(suppressions.map((s) => [s.phone, s.createdAt]));
+
+  const rows = new Map(
+    (campaign.variants || []).map((v) => [
+      v.key,
+      {
+        key: v.key,
+        message: v.message,
+        media: v.media || null,
+        weight: v.weight,
+        recipients: 0,
+        sent: 0,
+        failed: 0,
+        skipped: 0,
+        delivered: 0,
+        read: 0,
+        replied: 0,
+        optedOut: 0,
+      },
+    ])
+  );
+  for (const r of recipients) {
+    const row = rows.get(r.variant);
+    if (!row) continue;
+    row.recipients++;
+    if (r.status === 'failed') row.failed++;
+    if (r.status === 'skipped') row.skipped++;
+    if (!r.sentAt) continue;
+    row.sent++;
+    if (r.deliveredAt) row.delivered++;
+    if (r.readAt) row.read++;
+    if (repliedPhones.has(r.phone)) row.replied++;
+    if (optedOutAt.get(r.phone) >= r.sentAt) row.optedOut++;
+  }
+
+  return [...rows.values()].map((row) => ({
+    ...row,
+    deliveryRate: rate(row.delivered, row.sent),
+    readRate: rate(row.read, row.sent),
+    replyRate: rate(row.replied, row.sent),
+    optOutRate: rate(row.optedOut, row.sent),
+  }));
+}
+
+const METRIC_RATES = { delivered: 'deliveryRate', read: 'readRate', replied: 'replyRate' };
+
+// Best variant on `metric`; ties go to the lower opt-out rate, then the earlier variant
+function pickWinner(report, metric) {
+  const score = (row) => row[METRIC_RATES[metric]] ?? -1;
+  const optOuts = (row) => row.optOutRate ?? 0;
+  let best = null;
+  for (const row of report) {
+    const better = !best || score(row) > score(best) || (score(row) === score(best) && optOuts(row) < optOuts(best));
+    if (better) best = row;
+  }
+  return best?.key || null;
+}
+
+// Queues A/B campaigns and sends a `winner` test's best variant to the rest
+function createAbTests({ campaignRunner, io }) {
+  let timer = null;
+
+  // Same parameters as campaignRunner.enqueue(), plus { variants, abTest }
+  async function enqueue({ variants, abTest, contacts, ...options }) {
+    if (abTest.mode === 'split') {
+      return campaignRunner.enqueue({ ...options, variants, abTest, contacts: assignVariants(contacts, variants) });
+    }
+
+    const { test, rest } = splitTestSlice(contacts, abTest.testPercent, variants.length);
+    // The rest waits, unsent, until a winner is picked
+    const rollout = rest.length ? await campaignRunner.enqueue({ ...options, contacts: rest, hold: true }) : null;
+    const campaign = await campaignRunner.enqueue({
+      ...options,
+      variants,
+      abTest: { ...abTest, rollout: rollout?._id },
+      contacts: assignVariants(test, variants),
+    });
+    if (rollout) await Campaign.updateOne({ _id: rollout._id }, { abTestOf: campaign._id });
+    return campaign;
+  }
+
+  // Record the winner of a `winner` test and release the rest of the audience with it
+  async function chooseWinner(campaign, key) {
+    if (campaign.abTest?.mode !== 'winner') throw statusError('Campaign is not a winner A/B test', 409);
+    const variant = campaign.variants.find((v) => v.key === key);
+    if (!variant) throw statusError(`Unknown variant: ${key}`, 400);
+
+    const decided = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, 'abTest.winner': null },
+      { 'abTest.winner': key, 'abTest.decidedAt': new Date(), $unset: { 'abTest.decideAt': 1 } },
+      { new: true }
+    );
+    if (!decided) throw statusError('A winner was already picked', 409);
+
+    const rollout = decided.abTest.rollout
+      ? await Campaign.findOne({ _id: decided.abTest.rollout, status: 'awaiting_winner' })
+      : null;
+    if (rollout) {
+      await CampaignRecipient.updateMany({ campaign: rollout._id }, { variant: key });
+      const queued = await Campaign.findOneAndUpdate(
+        { _id: rollout._id, status: 'awaiting_winner' },
+        { status: 'queued', message: variant.message, media: variant.media, variants: [variant] },
+        { new: true }
+      );
+      if (queued) {
+        io.emit('campaign:progress', summarize(queued));
+        campaignRunner.kick();
+      }
+    }
+    console.log(`🏆 A/B test ${decided._id}: variant ${key} wins`);
+    io.emit('campaign:progress', summarize(decided));
+    return decided;
+  }
+
+  // Runner onFinish hook: start the clock on an automatic winner pick
+  async function onCampaignFinished(campaign) {
+    const abTest = campaign.abTest;
+    if (abTest?.mode !== 'winner' || abTest.winner || !abTest.winnerAfterHours) return;
+    const decideAt = new Date(Date.now() + abTest.winnerAfterHours * 60 * 60 * 1000);
+    await Campaign.updateOne({ _id: campaign._id }, { 'abTest.decideAt': decideAt });
+  }
+
+  async function tick() {
+    try {
+      const due = await Campaign.find({
+        'abTest.mode': 'winner',
+        'abTest.winner': null,
+        'abTest.decideAt': { $lte: new Date() },
+      });
+      for (const campaign of due) {
+        const key = pickWinner(await variantReport(campaign), campaign.abTest.metric);
+        if (key) await chooseWinner(campaign, key);
+      }
+    } catch (err) {
+      console.error('❌ A/B winner pick failed:', err);
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, CHECK_MS);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { enqueue, chooseWinner, onCampaignFinished, start, stop };
+}
+
+module.exports = {
+  AB_MODES,
+  AB_METRICS,
+  parseAbTestInput,
+  assignVariants,
+  splitTestSlice,
+  variantReport,
+  pickWinner,
+  createAbTests,
+};
@@ -0,0 +1,192 @@
+// backend/lib/auth.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const AuditLog = require('../models/AuditLog');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const ROLE_RANK = { viewer: 1, operator: 2, admin: 3 };
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000;
+const API_KEY_PREFIX = 'wbk_';
+// Socket.IO room for admins; only they get WhatsApp login QR codes
+const ADMIN_ROOM = 'admins';
+
+// Routes reachable without credentials
+const PUBLIC_ROUTES = new Set(['POST /auth/login', 'POST /auth/setup', 'GET /auth/google/callback']);
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+// Writes any signed-in user may make about their own account
+const SELF_SERVICE_ROUTES = new Set(['POST /auth/logout', 'POST /auth/password']);
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+function hasRole(role, required) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[required];
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hex) return false;
+  const expected = Buffer.from(hex, 'hex');
+  const actual = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+async function createSession(user, req) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  await Session.create({
+    user: user._id,
+    tokenHash: sha256(token),
+    expiresAt,
+    ip: req?.ip,
+    userAgent: req?.get?.('user-agent'),
+  });
+  return { token, expiresAt };
+}
+
+async function revokeSession(token) {
+  await Session.updateOne({ tokenHash: sha256(token) }, { revokedAt: new Date() });
+}
+
+// Returns the plaintext key once; only its hash is stored
+function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 6), keyHash: sha256(key) };
+}
+
+// A session token or API key -> { user, role, actor, session?, apiKey? } or null
+async function resolveCredentials({ token, apiKey }) {
+  if (apiKey) {
+    const key = await ApiKey.findOne({ keyHash: sha256(apiKey), revokedAt: null });
+    if (!key) return null;
+    const user = await User.findById(key.createdBy);
+    if (!user || user.disabled) return null;
+    ApiKey.updateOne({ _id: key._id }, { lastUsedAt: new Date() }).catch(() => {});
+    // A key never outranks the person who created it
+    const role = hasRole(user.role, key.role) ? key.role : user.role;
+    return { user, role, apiKey: key, actor: `key:${key.name}` };
+  }
+
+  if (token) {
+    const session = await Session.findOne({ tokenHash: sha256(token), revokedAt: null, expiresAt: { $gt: new Date() } });
+    if (!session) return null;
+    const user = await User.findById(session.user);
+    if (!user || user.disabled) return null;
+    return { user, role: user.role, session, actor: user.email };
+  }
+
+  return null;
+}
+
+// Authorization: Bearer <session token | API key>, X-API-Key, or ?access_token=
+// (the last only on GET, for downloads and redirects the browser makes itself)
+function credentialsFromRequest(req) {
+  const header = req.get('authorization') || '';
+  const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  const query = req.method === 'GET' ? req.query?.access_token : null;
+  const secret = bearer || (typeof query === 'string' ? query : null);
+
+  const apiKey = req.get('x-api-key') || (secret?.startsWith(API_KEY_PREFIX) ? secret : null);
+  return { apiKey, token: apiKey ? null : secret };
+}
+
+// Global middleware: every non-public route needs credentials; reads (and
+// self-service routes like logout) need `viewer`, anything else that changes
+// state needs `operator`. Routes that need more use requireRole() on top.
+async function authenticate(req, res, next) {
+  if (PUBLIC_ROUTES.has(`${req.method} ${req.path}`) || req.method === 'OPTIONS') return next();
+  try {
+    const auth = await resolveCredentials(credentialsFromRequest(req));
+    if (!auth) return res.status(401).json({ error: 'Authentication required' });
+    req.auth = auth;
+
+    const selfService = SELF_SERVICE_ROUTES.has(`${req.method} ${req.path}`);
+    const needed = READ_METHODS.has(req.method) || selfService ? 'viewer' : 'operator';
+    if (!hasRole(auth.role, needed)) {
+      return res.status(403).json({ error: `Requires ${needed} role` });
+    }
+    next();
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.auth) return res.status(401).json({ error: 'Authentication required' });
+    if (!hasRole(req.auth.role, role)) return res.status(403).json({ error: `Requires ${role} role` });
+    next();
+  };
+}
+
+async function audit(req, action, { status, params, user, actor } = {}) {
+  try {
+    await AuditLog.create({
+      user: user?._id || req.auth?.user?._id,
+      apiKey: req.auth?.apiKey?._id,
+      actor: actor ?? req.auth?.actor ?? '',
+      role: req.auth?.role,
+      action,
+      path: req.originalUrl,
+      params,
+      status,
+      ip: req.ip,
+    });
+  } catch (err) {
+    console.error('❌ Failed to write audit log:', err);
+  }
+}
+
+// Records every state-changing request once the response is sent
+function auditTrail(req, res, next) {
+  if (READ_METHODS.has(req.method)) return next();
+  res.on('finish', () => {
+    if (!req.auth) return; // logins are audited explicitly
+    const route = req.route ? `${req.baseUrl || ''}${req.route.path}` : req.path;
+    audit(req, `${req.method} ${route}`, { status: res.statusCode, params: { ...req.params } });
+  });
+  next();
+}
+
+// Socket.IO handshake: io({ auth: { token } }) or { auth: { apiKey } }
+async function socketAuthenticate(socket, next) {
+  try {
+    const { token, apiKey } = socket.handshake.auth || {};
+    const auth = await resolveCredentials({ token, apiKey: apiKey || socket.handshake.headers['x-api-key'] });
+    if (!auth) return next(new Error('Unauthorized'));
+    socket.data.auth = { userId: auth.user._id.toString(), role: auth.role, actor: auth.actor };
+    if (auth.role === 'admin') socket.join(ADMIN_ROOM);
+    next();
+  } catch (err) {
+    console.error('❌ Socket auth failed:', err);
+    next(new Error('Unauthorized'));
+  }
+}
+
+module.exports = {
+  ROLES,
+  ADMIN_ROOM,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  createSession,
+  revokeSession,
+  generateApiKey,
+  credentialsFromRequest,
+  authenticate,
+  requireRole,
+  audit,
+  auditTrail,
+  socketAuthenticate,
+};
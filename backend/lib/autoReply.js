@@ -0,0 +1,274 @@
+// backend/lib/autoReply.js
+const fs = require('fs');
+const moment = require('moment-timezone');
+const AutoReplyRule = require('../models/AutoReplyRule');
+const AutoReplyHit = require('../models/AutoReplyHit');
+const ContactSet = require('../models/ContactSet');
+const Media = require('../models/Media');
+const { phoneFromJid, messageText } = require('./messageText');
+const { renderTemplate, contactVars } = require('./template');
+const { mediaPath, buildMediaMessage } = require('./media');
+const { normalizeKeyword, getOptOutSettings, isSuppressed } = require('./optOut');
+const { DEFAULT_TIMEZONE, TIME_RE } = require('./scheduler');
+
+const MATCH_TYPES = ['exact', 'contains', 'regex'];
+
+function ruleRegex(rule) {
+  return new RegExp(rule.pattern, rule.caseSensitive ? 'u' : 'iu');
+}
+
+// Punctuation and extra spaces never matter; case only for case-sensitive rules
+function cleanText(value, caseSensitive) {
+  const text = String(value || '')
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return caseSensitive ? text : text.toUpperCase();
+}
+
+function matchesText(rule, text) {
+  if (rule.matchType === 'regex') {
+    try {
+      return ruleRegex(rule).test(text);
+    } catch {
+      return false;
+    }
+  }
+  const body = cleanText(text, rule.caseSensitive);
+  const keywords = (rule.keywords || []).map((k) => cleanText(k, rule.caseSensitive)).filter(Boolean);
+  // Whole words only, so "BEI" doesn't fire on "BEIJING"
+  if (rule.matchType === 'contains') return keywords.some((k) => ` ${body} `.includes(` ${k} `));
+  return keywords.includes(body);
+}
+
+// Is `at` inside the rule's business hours (or outside them, for `outside` rules)?
+function withinHours(rule, at = new Date()) {
+  const hours = rule.businessHours;
+  if (!hours?.enabled) return true;
+
+  const local = moment.tz(at, hours.timezone || DEFAULT_TIMEZONE);
+  const minutes = local.hours() * 60 + local.minutes();
+  const toMinutes = (hhmm) => {
+    const [, hh, mm] = TIME_RE.exec(hhmm || '') || [];
+    return hh == null ? null : Number(hh) * 60 + Number(mm);
+  };
+  const start = toMinutes(hours.start);
+  const end = toMinutes(hours.end);
+
+  let inside = true;
+  if (start != null && end != null) {
+    // Overnight windows (22:00-06:00) belong to the day they start on
+    const overnight = end <= start;
+    const inTime = overnight ? minutes >= start || minutes < end : minutes >= start && minutes < end;
+    const day = overnight && minutes < end ? (local.day() + 6) % 7 : local.day();
+    inside = inTime && (!hours.weekdays?.length || hours.weekdays.includes(day));
+  } else if (hours.weekdays?.length) {
+    inside = hours.weekdays.includes(local.day());
+  }
+  return hours.outside ? !inside : inside;
+}
+
+async function cooldownLeft(rule, phone, at = new Date()) {
+  if (!rule.cooldownMinutes) return 0;
+  const hit = await AutoReplyHit.findOne({ rule: rule._id, phone });
+  if (!hit) return 0;
+  return Math.max(0, hit.lastAt.getTime() + rule.cooldownMinutes * 60 * 1000 - at.getTime());
+}
+
+// Claims the cooldown slot atomically; false if another reply got there first
+async function claimCooldown(rule, phone, at = new Date()) {
+  const cutoff = new Date(at.getTime() - rule.cooldownMinutes * 60 * 1000);
+  try {
+    await AutoReplyHit.findOneAndUpdate(
+      { rule: rule._id, phone, lastAt: { $lte: cutoff } },
+      { lastAt: at },
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    // The upsert collides with a hit still inside the window
+    if (err?.code === 11000) return false;
+    throw err;
+  }
+}
+
+// Which rule answers `text` from `phone` at `at`. Also lists rules whose text
+// matched but a condition didn't, so the test endpoint can explain itself.
+async function findRule(text, { phone, at = new Date(), checkCooldown = true } = {}) {
+  const rules = await AutoReplyRule.find({ active: true }).sort({ priority: -1, createdAt: 1 });
+  const skipped = [];
+  for (const rule of rules) {
+    if (!matchesText(rule, text)) continue;
+    if (rule.setName && !(phone && (await ContactSet.exists({ name: rule.setName, 'contacts.phone': phone })))) {
+      skipped.push({ rule, reason: `Number is not in set "${rule.setName}"` });
+      continue;
+    }
+    if (!withinHours(rule, at)) {
+      skipped.push({ rule, reason: rule.businessHours.outside ? 'Inside business hours' : 'Outside business hours' });
+      continue;
+    }
+    if (checkCooldown && phone) {
+      const left = await cooldownLeft(rule, phone, at);
+      if (left > 0) {
+        skipped.push({ rule, reason: `Cooling down for ${Math.ceil(left / 60000)} more minute(s)` });
+        continue;
+      }
+    }
+    return { rule, skipped };
+  }
+  return { rule: null, skipped };
+}
+
+// The contact behind `phone`, for {{name}} etc. in replies
+async function findContact(phone, setName) {
+  const filter = { 'contacts.phone': phone, ...(setName ? { name: setName } : {}) };
+  const set = await ContactSet.findOne(filter, { 'contacts.$': 1 }).sort({ updatedAt: -1 });
+  return set?.contacts?.[0] || { phone };
+}
+
+async function renderReply(rule, phone) {
+  const contact = phone ? await findContact(phone, rule.setName) : { phone: '' };
+  return renderTemplate(rule.message, contactVars(contact));
+}
+
+// Validate a create/update body merged over the current rule (if any)
+function parseRuleInput(body, current = {}) {
+  const input = { ...current, ...body };
+  const value = {};
+
+  value.name = String(input.name || '').trim();
+  if (!value.name) return { error: 'name is required' };
+
+  value.matchType = input.matchType || 'exact';
+  if (!MATCH_TYPES.includes(value.matchType)) {
+    return { error: `matchType must be one of ${MATCH_TYPES.join(', ')}` };
+  }
+  value.caseSensitive = input.caseSensitive === true;
+
+  if (value.matchType === 'regex') {
+    value.pattern = String(input.pattern || '');
+    if (!value.pattern) return { error: 'pattern is required for regex rules' };
+    try {
+      ruleRegex(value);
+    } catch (err) {
+      return { error: `Invalid pattern: ${err.message}` };
+    }
+  } else {
+    const keywords = Array.isArray(input.keywords) ? input.keywords : String(input.keywords || '').split(',');
+    value.keywords = [...new Set(keywords.map((k) => String(k).trim()).filter(Boolean))];
+    if (!value.keywords.length) return { error: 'At least one keyword is required' };
+  }
+
+  if (input.priority != null) {
+    value.priority = Number(input.priority);
+    if (!Number.isFinite(value.priority)) return { error: 'priority must be a number' };
+  }
+  if (input.cooldownMinutes != null) {
+    value.cooldownMinutes = Number(input.cooldownMinutes);
+    if (!Number.isFinite(value.cooldownMinutes) || value.cooldownMinutes < 0) {
+      return { error: 'cooldownMinutes must be a non-negative number' };
+    }
+  }
+  if (input.active != null) value.active = input.active !== false;
+  value.setName = String(input.setName || '').trim() || undefined;
+
+  const hours = input.businessHours;
+  if (hours?.enabled) {
+    const timezone = hours.timezone || DEFAULT_TIMEZONE;
+    if (!moment.tz.zone(timezone)) return { error: `Unknown timezone: ${timezone}` };
+    const start = hours.start ? String(hours.start).trim() : undefined;
+    const end = hours.end ? String(hours.end).trim() : undefined;
+    if (!!start !== !!end || (start && (!TIME_RE.test(start) || !TIME_RE.test(end)))) {
+      return { error: 'businessHours start and end must both be HH:mm (24h)' };
+    }
+    const days = Array.isArray(hours.weekdays) ? hours.weekdays.map(Number) : [];
+    if (days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return { error: 'businessHours.weekdays must list days 0-6 (0 = Sunday)' };
+    }
+    value.businessHours = {
+      enabled: true,
+      timezone,
+      weekdays: [...new Set(days)].sort(),
+      start,
+      end,
+      outside: hours.outside === true,
+    };
+  } else {
+    value.businessHours = { enabled: false };
+  }
+
+  return { value };
+}
+
+// Answers incoming messages that match a rule. Opt-out keywords and
+// suppressed numbers never get an auto-reply.
+function createAutoReplyEngine({ io, inbox }) {
+  async function sendReply(rule, msg, sock, account, phone) {
+    const text = await renderReply(rule, phone);
+    const jid = msg.key.remoteJid;
+
+    let sent;
+    let media;
+    if (rule.media) {
+      media = await Media.findById(rule.media);
+      if (!media) throw new Error(`Auto-reply "${rule.name}" media no longer exists`);
+      const buffer = await fs.promises.readFile(mediaPath(media));
+      sent = await sock.sendMessage(jid, buildMediaMessage(media, buffer, text));
+      if (media.kind === 'audio' && text) await sock.sendMessage(jid, { text });
+    } else {
+      if (!text.trim()) return;
+      sent = await sock.sendMessage(jid, { text });
+    }
+
+    await AutoReplyRule.updateOne({ _id: rule._id }, { $inc: { hits: 1 }, lastHitAt: new Date() });
+    console.log(`🤖 Auto-reply "${rule.name}" sent to ${phone}`);
+    io.emit('autoreply:hit', { ruleId: rule._id.toString(), name: rule.name, phone });
+    await inbox.recordOutgoing(phone, {
+      account,
+      messageId: sent?.key?.id,
+      text,
+      media: media ? { kind: media.kind, mimetype: media.mimetype, fileName: media.originalName, size: media.size } : undefined,
+      autoReplyRule: rule._id,
+    });
+  }
+
+  async function handle(msg, sock, account) {
+    if (msg.key?.fromMe) return;
+    const phone = phoneFromJid(msg.key?.remoteJid);
+    if (!phone) return;
+    const text = messageText(msg.message);
+    if (!text.trim()) return;
+
+    const { keywords } = await getOptOutSettings();
+    if (keywords.map(normalizeKeyword).includes(normalizeKeyword(text))) return;
+    if (await isSuppressed(phone)) return;
+
+    const { rule } = await findRule(text, { phone });
+    if (!rule) return;
+    if (!(await claimCooldown(rule, phone))) return;
+    await sendReply(rule, msg, sock, account, phone);
+  }
+
+  // sock.ev 'messages.upsert' for account `account`
+  async function onMessagesUpsert({ messages, type }, sock, account) {
+    if (type !== 'notify') return;
+    for (const msg of messages || []) {
+      try {
+        await handle(msg, sock, account);
+      } catch (err) {
+        console.error('❌ Auto-reply failed:', err);
+      }
+    }
+  }
+
+  return { onMessagesUpsert };
+}
+
+module.exports = {
+  MATCH_TYPES,
+  createAutoReplyEngine,
+  findRule,
+  claimCooldown,
+  renderReply,
+  parseRuleInput,
+};
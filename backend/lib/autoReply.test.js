@@ -0,0 +1,77 @@
+// backend/lib/autoReply.test.js
+//
+// Runs without Mongo: the AutoReplyRule / AutoReplyHit queries are stubbed.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AutoReplyRule = require('../models/AutoReplyRule');
+const AutoReplyHit = require('../models/AutoReplyHit');
+const { claimCooldown, findRule } = require('./autoReply');
+
+const MINUTE = 60 * 1000;
+const at = new Date('2025-08-16T09:00:00Z');
+const phone = '255712345678';
+
+function rule(extra = {}) {
+  return { _id: new mongoose.Types.ObjectId(), matchType: 'exact', keywords: ['PRICE'], cooldownMinutes: 30, ...extra };
+}
+
+test('claimCooldown takes a slot whose last reply is outside the window', async (t) => {
+  const r = rule();
+  const update = t.mock.method(AutoReplyHit, 'findOneAndUpdate', async () => null);
+
+  assert.equal(await claimCooldown(r, phone, at), true);
+  const [filter, change, options] = update.mock.calls[0].arguments;
+  assert.deepEqual(filter, { rule: r._id, phone, lastAt: { $lte: new Date(at.getTime() - 30 * MINUTE) } });
+  assert.deepEqual(change, { lastAt: at });
+  assert.deepEqual(options, { upsert: true });
+});
+
+test('claimCooldown loses to a reply still inside the window', async (t) => {
+  // The filter misses the recent hit, so the upsert runs into the unique index
+  t.mock.method(AutoReplyHit, 'findOneAndUpdate', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+  assert.equal(await claimCooldown(rule(), phone, at), false);
+});
+
+test('claimCooldown passes other errors on', async (t) => {
+  t.mock.method(AutoReplyHit, 'findOneAndUpdate', async () => {
+    throw new Error('connection lost');
+  });
+  await assert.rejects(claimCooldown(rule(), phone, at), /connection lost/);
+});
+
+test('two replies racing for one slot: only one is sent', async (t) => {
+  const r = rule();
+  const hits = new Map();
+  // Mimics Mongo: an upsert that misses the filter inserts, and a second
+  // insert for the same rule and phone breaks the unique index
+  t.mock.method(AutoReplyHit, 'findOneAndUpdate', async (filter, change) => {
+    await new Promise((resolve) => setImmediate(resolve));
+    const key = `${filter.rule}:${filter.phone}`;
+    const hit = hits.get(key);
+    if (hit && hit.lastAt > filter.lastAt.$lte) throw Object.assign(new Error('E11000'), { code: 11000 });
+    hits.set(key, { lastAt: change.lastAt });
+    return hit || null;
+  });
+
+  const claims = await Promise.all([claimCooldown(r, phone, at), claimCooldown(r, phone, at)]);
+  assert.deepEqual(claims.sort(), [false, true]);
+  // Once the window has passed the rule may answer again
+  assert.equal(await claimCooldown(r, phone, new Date(at.getTime() + 31 * MINUTE)), true);
+});
+
+test('findRule skips a rule that is cooling down for the number', async (t) => {
+  const cooling = rule({ priority: 2 });
+  const fallback = rule({ priority: 1, cooldownMinutes: 0 });
+  t.mock.method(AutoReplyRule, 'find', () => ({ sort: async () => [cooling, fallback] }));
+  t.mock.method(AutoReplyHit, 'findOne', async () => ({ lastAt: new Date(at.getTime() - 10 * MINUTE) }));
+
+  const { rule: picked, skipped } = await findRule('price', { phone, at });
+  assert.equal(picked, fallback);
+  assert.deepEqual(skipped, [{ rule: cooling, reason: 'Cooling down for 20 more minute(s)' }]);
+
+  const unchecked = await findRule('price', { phone, at, checkCooldown: false });
+  assert.equal(unchecked.rule, cooling);
+});
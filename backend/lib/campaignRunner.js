@@ -0,0 +1,717 @@
+// backend/lib/campaignRunner.js
+const fs = require('fs');
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const Media = require('../models/Media');
+const TransactionalMessage = require('../models/TransactionalMessage');
+const { renderTemplate, contactVars } = require('./template');
+const { fieldsOf } = require('./contactFields');
+const { mediaPath, buildMediaMessage } = require('./media');
+const { suppressedAmong, isSuppressed } = require('./optOut');
+const { knownNotOnWhatsApp } = require('./waVerifier');
+const { randomDelay } = require('./sendingPolicy');
+const { MAX_ATTEMPTS, classifySendError, isTransient, retryDelay } = require('./sendErrors');
+
+const ACTIVE_STATUSES = ['awaiting_winner', 'queued', 'running', 'paused'];
+const MAX_LOGS = 200;
+// Longest single sleep while an account is held back, so pause / cancel stay responsive
+const MAX_WAIT_MS = 60 * 1000;
+// How soon to look again at a campaign none of whose accounts is connected
+const NO_ACCOUNT_RETRY_MS = 5000;
+// How often a running campaign's estimatedFinishAt is refreshed
+const ESTIMATE_EVERY_MS = 60 * 1000;
+
+function toJid(phone) {
+  return `${phone}@s.whatsapp.net`;
+}
+
+// Send `text` (the caption, with an attachment) to `jid`; resolves with what sendMessage returned
+async function deliver(sock, jid, text, attachment) {
+  if (!attachment) return sock.sendMessage(jid, { text });
+  const sent = await sock.sendMessage(jid, buildMediaMessage(attachment.media, attachment.buffer, text));
+  // Voice notes can't carry a caption
+  if (attachment.media.kind === 'audio' && text) await sock.sendMessage(jid, { text });
+  return sent;
+}
+
+// One pass over campaigns `ids`, oldest first, with `run` (runCampaign). One
+// that can't send right now (accounts offline, quiet hours, caps) steps aside
+// for the next; after any campaign sends or ends the pass stops, so the next
+// starts again from the oldest. Resolves with whether one did, and the soonest
+// time a waiting one can send.
+async function takeTurns(ids, run, isRunning = () => true) {
+  let soonest = Infinity;
+  for (const id of ids) {
+    if (!isRunning()) break;
+    const readyAt = await run(id, { yieldAt: soonest });
+    if (readyAt == null) return { progressed: true, soonest };
+    soonest = Math.min(soonest, readyAt);
+  }
+  return { progressed: false, soonest };
+}
+
+function summarize(campaign) {
+  return {
+    id: campaign._id.toString(),
+    setName: campaign.setName,
+    setNames: campaign.setNames?.length ? campaign.setNames : undefined,
+    segment: campaign.segment ? { id: campaign.segment.toString(), name: campaign.segmentName } : null,
+    groups: campaign.groups?.length ? campaign.groups.map((g) => ({ id: g.jid, name: g.name })) : undefined,
+    resendOf: campaign.resendOf ? campaign.resendOf.toString() : null,
+    variants: campaign.variants?.length
+      ? campaign.variants.map((v) => ({ key: v.key, weight: v.weight, media: v.media || null }))
+      : undefined,
+    abTest: campaign.abTest?.mode
+      ? {
+          mode: campaign.abTest.mode,
+          testPercent: campaign.abTest.testPercent,
+          metric: campaign.abTest.metric,
+          winnerAfterHours: campaign.abTest.winnerAfterHours ?? null,
+          decideAt: campaign.abTest.decideAt || null,
+          winner: campaign.abTest.winner || null,
+          decidedAt: campaign.abTest.decidedAt || null,
+          rollout: campaign.abTest.rollout ? campaign.abTest.rollout.toString() : null,
+        }
+      : undefined,
+    abTestOf: campaign.abTestOf ? campaign.abTestOf.toString() : undefined,
+    status: campaign.status,
+    dryRun: !!campaign.dryRun,
+    media: campaign.media || null,
+    accounts: campaign.accounts || [],
+    total: campaign.total,
+    sent: campaign.sent,
+    failed: campaign.failed,
+    skipped: campaign.skipped || 0,
+    pending: Math.max(0, campaign.total - campaign.sent - campaign.failed - (campaign.skipped || 0)),
+    startedAt: campaign.startedAt,
+    finishedAt: campaign.finishedAt,
+    estimatedFinishAt: campaign.estimatedFinishAt || null,
+    error: campaign.error,
+    createdAt: campaign.createdAt,
+  };
+}
+
+function serializeMessage(message) {
+  return {
+    id: message._id.toString(),
+    phone: message.phone,
+    name: message.name,
+    contactId: message.contact ? message.contact.toString() : null,
+    text: message.text,
+    media: message.media || null,
+    accounts: message.accounts || [],
+    status: message.status,
+    skipReason: message.skipReason || null,
+    attempts: message.attempts,
+    error: message.error || null,
+    errorCode: message.errorCode || null,
+    nextAttemptAt: message.nextAttemptAt || null,
+    account: message.account || null,
+    delivery: message.delivery || null,
+    sentAt: message.sentAt || null,
+    deliveredAt: message.deliveredAt || null,
+    readAt: message.readAt || null,
+    createdAt: message.createdAt,
+  };
+}
+
+// Background worker that drains queued campaigns oldest first, spreading
+// each campaign over its connected WhatsApp accounts. A campaign that can't
+// send right now doesn't hold up the ones behind it. Transactional messages
+// (POST /messages) jump the queue: they are sent before each campaign send.
+// All state lives in Mongo; the in-memory bits are only for the live UI feed
+// and rate limits.
+//
+// getAccounts() -> connected accounts: [{ name, sock, minDelayMs, maxDelayMs, policy }]
+// policy: the sending policy service (caps, warm-up, quiet hours, backoff); optional
+// webhooks: outbound webhook dispatcher (lib/webhooks.js); optional
+// getDryRunAccount() -> the sandbox account dry-run campaigns send through (lib/sandbox.js)
+function createCampaignRunner({ getAccounts, io, onFinish, policy, webhooks, getDryRunAccount }) {
+  // account name -> timestamp before which it must not send again
+  const nextFreeAt = new Map();
+  // campaign id -> last time its estimate was refreshed
+  const estimatedAt = new Map();
+  // campaign id -> the sending policy reason it was last reported waiting for
+  const waitingFor = new Map();
+  // campaign id -> its loaded media, kept while it takes turns with other campaigns
+  const loadedAttachments = new Map();
+
+  let started = false;
+  let looping = false;
+  let dirty = false;
+  let wakeUp = null;
+  let messageTimer = null;
+  let progress = { total: 0, sent: 0, failed: 0 };
+  let logs = [];
+  // Campaign the live log feed is about
+  let loggedCampaign = null;
+
+  // Sleep until `ms` elapses or someone calls kick()
+  function wait(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(done, ms);
+      function done() {
+        clearTimeout(timer);
+        if (wakeUp === done) wakeUp = null;
+        resolve();
+      }
+      wakeUp = done;
+    });
+  }
+
+  function kick() {
+    dirty = true;
+    if (wakeUp) wakeUp();
+    if (started && !looping) loop();
+  }
+
+  function log(line) {
+    logs.push(line);
+    if (logs.length > MAX_LOGS) logs = logs.slice(-MAX_LOGS);
+  }
+
+  function emitProgress(campaign) {
+    progress = { total: campaign.total, sent: campaign.sent, failed: campaign.failed };
+    const summary = summarize(campaign);
+    io.emit('campaign:progress', summary);
+    if (campaign.status === 'running') webhooks?.emit('campaign.progress', summary);
+    // Legacy events the current frontend listens to
+    io.emit('progress', progress);
+    io.emit('logs', logs);
+  }
+
+  // Read a campaign's (or transactional message's) media from disk; every recipient reuses the buffer
+  async function loadAttachment(campaign) {
+    if (!campaign.media) return null;
+    const media = await Media.findById(campaign.media);
+    if (!media) throw new Error('Attached media no longer exists');
+    return { media, buffer: await fs.promises.readFile(mediaPath(media)) };
+  }
+
+  // The campaign's attachment under '' and each A/B variant's under its key
+  async function loadAttachments(campaign) {
+    const attachments = new Map([['', await loadAttachment(campaign)]]);
+    for (const variant of campaign.variants || []) attachments.set(variant.key, await loadAttachment(variant));
+    return attachments;
+  }
+
+  function campaignAccounts(campaign) {
+    const allowed = campaign.accounts?.length ? new Set(campaign.accounts) : null;
+    return getAccounts().filter((a) => !allowed || allowed.has(a.name));
+  }
+
+  // The allowed, connected account that can send soonest: { account, readyAt, reason }.
+  // `reason` says why the soonest one is held back by its sending policy, if it is.
+  async function pickAccount(campaign) {
+    // Dry runs go to the sandbox at full speed, outside any account's limits
+    if (campaign.dryRun) return getDryRunAccount ? { account: getDryRunAccount(), readyAt: 0, reason: null } : null;
+    let best = null;
+    for (const account of campaignAccounts(campaign)) {
+      let readyAt = nextFreeAt.get(account.name) || 0;
+      let reason = null;
+      const blocked = policy ? await policy.blockedUntil(account, new Date(Math.max(readyAt, Date.now()))) : null;
+      if (blocked && blocked.until.getTime() > readyAt) {
+        readyAt = blocked.until.getTime();
+        reason = blocked.reason;
+      }
+      if (!best || readyAt < best.readyAt) best = { account, readyAt, reason };
+    }
+    return best;
+  }
+
+  // Recompute when the campaign should be done, given its pending recipients
+  // and every campaign queued ahead of it
+  async function estimateFinish(campaign, { force = false } = {}) {
+    if (!policy || campaign.dryRun) return campaign;
+    const id = campaign._id.toString();
+    if (!force && Date.now() - (estimatedAt.get(id) || 0) < ESTIMATE_EVERY_MS) return campaign;
+    estimatedAt.set(id, Date.now());
+
+    const ahead = await Campaign.find(
+      { _id: { $ne: campaign._id }, status: { $in: ['running', 'queued'] }, createdAt: { $lt: campaign.createdAt || new Date() } },
+      '_id'
+    );
+    const pending = await CampaignRecipient.countDocuments({
+      campaign: { $in: [campaign._id, ...ahead.map((c) => c._id)] },
+      status: { $in: ['pending', 'sending'] },
+    });
+    const estimatedFinishAt = await policy.estimateFinish(pending, campaignAccounts(campaign));
+    return (await Campaign.findByIdAndUpdate(campaign._id, { estimatedFinishAt }, { new: true })) || campaign;
+  }
+
+  // Transactional sends skip the bulk pacing, caps and quiet hours, but not an
+  // account paused after repeated failures. They still count toward the caps.
+  function messageAccounts() {
+    const now = new Date();
+    return getAccounts()
+      .filter((a) => !policy?.pausedUntil(a.name, now))
+      .sort((a, b) => (nextFreeAt.get(a.name) || 0) - (nextFreeAt.get(b.name) || 0));
+  }
+
+  async function sendMessage(message, account) {
+    // The number may have opted out since the message was queued
+    if (await isSuppressed(message.phone)) {
+      const skipped = await TransactionalMessage.findByIdAndUpdate(
+        message._id,
+        { status: 'skipped', skipReason: 'opted_out', $unset: { nextAttemptAt: 1 } },
+        { new: true }
+      );
+      console.log(`🚫 Message ${message._id} to ${message.phone} skipped (opted out)`);
+      if (skipped) io.emit('message:status', serializeMessage(skipped));
+      return false;
+    }
+
+    let attachment;
+    try {
+      attachment = await loadAttachment(message);
+    } catch (err) {
+      const failed = await TransactionalMessage.findByIdAndUpdate(
+        message._id,
+        { status: 'failed', error: String(err?.message || err), errorCode: 'unknown' },
+        { new: true }
+      );
+      io.emit('message:status', serializeMessage(failed));
+      return false;
+    }
+
+    let update;
+    try {
+      const sent = await deliver(account.sock, toJid(message.phone), message.text, attachment);
+      update = {
+        status: 'sent',
+        sentAt: new Date(),
+        account: account.name,
+        messageId: sent?.key?.id,
+        $unset: { error: 1, errorCode: 1, nextAttemptAt: 1 },
+      };
+      console.log(`✉️ Message ${message._id} sent to ${message.phone} via ${account.name}`);
+      policy?.recordResult(account, true);
+    } catch (err) {
+      const errorCode = classifySendError(err);
+      const error = String(err?.message || err);
+      policy?.recordResult(account, false, err);
+
+      if (isTransient(errorCode) && message.attempts < MAX_ATTEMPTS) {
+        const delay = retryDelay(message.attempts);
+        update = { status: 'queued', account: account.name, error, errorCode, nextAttemptAt: new Date(Date.now() + delay) };
+        console.log(`🔁 Message ${message._id} to ${message.phone} failed (${errorCode}); retrying in ${Math.round(delay / 1000)}s`);
+      } else {
+        update = { status: 'failed', account: account.name, error, errorCode, $unset: { nextAttemptAt: 1 } };
+        console.error(`❌ Message ${message._id} to ${message.phone} failed (${errorCode})`);
+        webhooks?.emit('message.failed', {
+          messageId: message._id.toString(),
+          phone: message.phone,
+          name: message.name,
+          account: account.name,
+          attempts: message.attempts,
+          errorCode,
+          error,
+        });
+      }
+    }
+    const saved = await TransactionalMessage.findByIdAndUpdate(message._id, update, { new: true });
+    if (saved) io.emit('message:status', serializeMessage(saved));
+    return true;
+  }
+
+  // Send every transactional message that is due and has an account to go out on
+  async function sendMessages() {
+    for (;;) {
+      const accounts = messageAccounts();
+      if (!accounts.length) return;
+      const names = accounts.map((a) => a.name);
+      const message = await TransactionalMessage.findOneAndUpdate(
+        {
+          status: 'queued',
+          $and: [
+            { $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: new Date() } }] },
+            { $or: [{ accounts: { $size: 0 } }, { accounts: { $in: names } }] },
+          ],
+        },
+        { status: 'sending', $inc: { attempts: 1 } },
+        { sort: { _id: 1 }, new: true }
+      );
+      if (!message) return;
+
+      const account = accounts.find((a) => !message.accounts.length || message.accounts.includes(a.name));
+      if (!(await sendMessage(message, account))) continue;
+      // Campaign traffic on this account waits its usual gap after the message
+      nextFreeAt.set(account.name, Date.now() + (policy ? policy.delayAfterSend(account) : randomDelay(account)));
+    }
+  }
+
+  // With no campaign running, come back for the next transactional retry (or
+  // for messages still waiting on an account)
+  async function scheduleMessages() {
+    clearTimeout(messageTimer);
+    messageTimer = null;
+    const next = await TransactionalMessage.findOne({ status: 'queued' }, 'nextAttemptAt').sort({ nextAttemptAt: 1 });
+    if (!next) return;
+    const dueIn = (next.nextAttemptAt?.getTime() || 0) - Date.now();
+    messageTimer = setTimeout(kick, dueIn > 0 ? Math.min(dueIn, MAX_WAIT_MS) : MAX_WAIT_MS);
+  }
+
+  async function sendOne(campaign, recipient, attachments, account) {
+    const variables = Object.fromEntries(campaign.variables || []);
+    const variant = recipient.variant ? campaign.variants?.find((v) => v.key === recipient.variant) : null;
+    const text = renderTemplate(variant ? variant.message : campaign.message, contactVars(recipient, variables));
+    const attachment = attachments.get(variant ? variant.key : '');
+    try {
+      // Group campaigns address the group's JID
+      const sent = await deliver(account.sock, recipient.jid || toJid(recipient.phone), text, attachment);
+      await CampaignRecipient.updateOne(
+        { _id: recipient._id },
+        {
+          status: 'sent',
+          text,
+          sentAt: new Date(),
+          account: account.name,
+          messageId: sent?.key?.id,
+          $unset: { error: 1, errorCode: 1, nextAttemptAt: 1 },
+        }
+      );
+      log(`✅ Sent to ${recipient.phone} via ${account.name}`);
+      if (!campaign.dryRun) policy?.recordResult(account, true);
+      return Campaign.findByIdAndUpdate(campaign._id, { $inc: { sent: 1 } }, { new: true });
+    } catch (err) {
+      const errorCode = classifySendError(err);
+      const error = String(err?.message || err);
+      if (!campaign.dryRun) policy?.recordResult(account, false, err);
+
+      // Transient trouble: back to the queue for a later attempt
+      if (isTransient(errorCode) && recipient.attempts < MAX_ATTEMPTS) {
+        const delay = retryDelay(recipient.attempts);
+        await CampaignRecipient.updateOne(
+          { _id: recipient._id },
+          { status: 'pending', text, account: account.name, error, errorCode, nextAttemptAt: new Date(Date.now() + delay) }
+        );
+        log(`🔁 Failed to send to ${recipient.phone} via ${account.name} (${errorCode}); retrying in ${Math.round(delay / 1000)}s`);
+        return campaign;
+      }
+
+      await CampaignRecipient.updateOne(
+        { _id: recipient._id },
+        { status: 'failed', text, account: account.name, error, errorCode, $unset: { nextAttemptAt: 1 } }
+      );
+      log(`❌ Failed to send to ${recipient.phone} via ${account.name} (${errorCode})`);
+      // Simulated failures stay out of real subscribers' feeds
+      if (!campaign.dryRun) {
+        webhooks?.emit('message.failed', {
+          campaignId: campaign._id.toString(),
+          recipientId: recipient._id.toString(),
+          phone: recipient.phone,
+          name: recipient.name,
+          account: account.name,
+          attempts: recipient.attempts,
+          errorCode,
+          error,
+        });
+      }
+      return Campaign.findByIdAndUpdate(campaign._id, { $inc: { failed: 1 } }, { new: true });
+    }
+  }
+
+  async function finish(campaign) {
+    const done = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, status: 'running' },
+      { status: 'completed', finishedAt: new Date(), $unset: { estimatedFinishAt: 1 } },
+      { new: true }
+    );
+    estimatedAt.delete(campaign._id.toString());
+    waitingFor.delete(campaign._id.toString());
+    loadedAttachments.delete(campaign._id.toString());
+    if (!done) return;
+    emitProgress(done);
+    webhooks?.emit('campaign.completed', summarize(done));
+    console.log(`🏁 Campaign ${done._id} completed (${done.sent}/${done.total} sent)`);
+    if (onFinish) {
+      try {
+        await onFinish(done);
+      } catch (err) {
+        console.error('❌ Campaign onFinish hook failed:', err);
+      }
+    }
+  }
+
+  // Send `id`'s recipients until it is done, paused or cancelled (resolves with
+  // nothing), or until no allowed account can send right now: then it resolves
+  // with the time to look again, so the loop can move on to the next campaign.
+  // A campaign running while older ones wait also stops once `yieldAt` passes,
+  // so they get their turn back.
+  async function runCampaign(id, { yieldAt = Infinity } = {}) {
+    let campaign = await Campaign.findOneAndUpdate(
+      { _id: id, status: { $in: ['queued', 'running'] } },
+      { status: 'running' },
+      { new: true }
+    );
+    if (!campaign) return;
+    if (!campaign.startedAt) {
+      campaign.startedAt = new Date();
+      await campaign.save();
+      webhooks?.emit('campaign.started', summarize(campaign));
+    }
+
+    const key = campaign._id.toString();
+    let attachments = loadedAttachments.get(key);
+    try {
+      if (!attachments) loadedAttachments.set(key, (attachments = await loadAttachments(campaign)));
+    } catch (err) {
+      console.error(`❌ Campaign ${id} media could not be loaded:`, err);
+      const stopped = await Campaign.findByIdAndUpdate(
+        id,
+        { status: 'cancelled', error: String(err?.message || err), finishedAt: new Date() },
+        { new: true }
+      );
+      if (stopped) io.emit('campaign:progress', summarize(stopped));
+      return;
+    }
+
+    const entered = loggedCampaign !== key;
+    if (entered) {
+      logs = [];
+      loggedCampaign = key;
+    }
+    campaign = await estimateFinish(campaign, { force: entered });
+    emitProgress(campaign);
+
+    for (;;) {
+      if (!started) return;
+      await sendMessages();
+      // Pause / cancel are written straight to Mongo by the routes
+      const current = await Campaign.findById(id, 'status');
+      if (!current || current.status !== 'running') {
+        loadedAttachments.delete(key);
+        return;
+      }
+
+      // None of its accounts connected: try again later, or when one connects (kick)
+      const picked = await pickAccount(campaign);
+      if (!picked) return Date.now() + NO_ACCOUNT_RETRY_MS;
+      // Per-account delay and sending policy hold it back: let other campaigns send meanwhile
+      if (picked.readyAt > Date.now()) {
+        if (picked.reason && picked.reason !== waitingFor.get(key)) {
+          waitingFor.set(key, picked.reason);
+          log(`⏳ ${picked.reason} on ${picked.account.name}; next send ${new Date(picked.readyAt).toISOString()}`);
+          campaign = await estimateFinish(campaign, { force: true });
+          io.emit('campaign:waiting', {
+            id: campaign._id.toString(),
+            account: picked.account.name,
+            reason: picked.reason,
+            until: new Date(picked.readyAt),
+            estimatedFinishAt: campaign.estimatedFinishAt || null,
+          });
+          emitProgress(campaign);
+        }
+        return picked.readyAt;
+      }
+      waitingFor.delete(key);
+      const { account } = picked;
+
+      const recipient = await CampaignRecipient.findOneAndUpdate(
+        {
+          campaign: id,
+          status: 'pending',
+          $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: new Date() } }],
+        },
+        { status: 'sending', $inc: { attempts: 1 } },
+        { sort: { _id: 1 }, new: true }
+      );
+      if (!recipient) {
+        // Only retries left, and none due yet?
+        const retry = await CampaignRecipient.findOne({ campaign: id, status: 'pending' }, 'nextAttemptAt').sort({
+          nextAttemptAt: 1,
+        });
+        if (!retry) {
+          await finish(campaign);
+          return;
+        }
+        return retry.nextAttemptAt?.getTime() || Date.now();
+      }
+
+      // Someone may have opted out since the campaign was queued
+      if (await isSuppressed(recipient.phone)) {
+        await CampaignRecipient.updateOne({ _id: recipient._id }, { status: 'skipped', skipReason: 'opted_out' });
+        log(`🚫 Skipped ${recipient.phone} (opted out)`);
+        campaign = (await Campaign.findByIdAndUpdate(id, { $inc: { skipped: 1 } }, { new: true })) || campaign;
+        emitProgress(campaign);
+        continue;
+      }
+
+      campaign = (await sendOne(campaign, recipient, attachments, account)) || campaign;
+      if (!campaign.dryRun) {
+        nextFreeAt.set(account.name, Date.now() + (policy ? policy.delayAfterSend(account) : randomDelay(account)));
+      }
+      campaign = await estimateFinish(campaign);
+      emitProgress(campaign);
+      if (Date.now() >= yieldAt) return;
+    }
+  }
+
+  async function loop() {
+    looping = true;
+    try {
+      for (;;) {
+        if (!started) break;
+        dirty = false;
+        await sendMessages();
+        const campaigns = await Campaign.find({ status: { $in: ['running', 'queued'] } }, '_id').sort({ createdAt: 1 });
+        if (!campaigns.length) {
+          // Something was enqueued while we were looking; look again
+          if (dirty) continue;
+          await scheduleMessages();
+          break;
+        }
+
+        const { progressed, soonest } = await takeTurns(campaigns.map((c) => c._id), runCampaign, () => started);
+        if (!progressed && started && !dirty) await wait(Math.min(Math.max(soonest - Date.now(), 0), MAX_WAIT_MS));
+      }
+    } catch (err) {
+      console.error('❌ Campaign runner error:', err);
+      setTimeout(kick, 5000);
+    } finally {
+      looping = false;
+    }
+  }
+
+  // Called once Mongo is up. A recipient still marked `sending` was in flight
+  // when the process died; we can't know if WhatsApp got it, so count it as
+  // failed rather than risk a duplicate.
+  async function start() {
+    const interrupted = await CampaignRecipient.find({ status: 'sending' }, 'campaign');
+    if (interrupted.length) {
+      await CampaignRecipient.updateMany(
+        { status: 'sending' },
+        { status: 'failed', error: 'Interrupted by server restart', errorCode: 'unknown' }
+      );
+      const perCampaign = {};
+      for (const r of interrupted) {
+        const key = r.campaign.toString();
+        perCampaign[key] = (perCampaign[key] || 0) + 1;
+      }
+      for (const [id, count] of Object.entries(perCampaign)) {
+        await Campaign.updateOne({ _id: id }, { $inc: { failed: count } });
+      }
+    }
+
+    await TransactionalMessage.updateMany(
+      { status: 'sending' },
+      { status: 'failed', error: 'Interrupted by server restart', errorCode: 'unknown' }
+    );
+
+    const resumable = await Campaign.countDocuments({ status: { $in: ['running', 'queued'] } });
+    if (resumable) console.log(`♻️ Resuming ${resumable} unfinished campaign(s)`);
+
+    started = true;
+    kick();
+  }
+
+  // Stop taking work (app shutdown); a send already in flight still finishes
+  function stop() {
+    started = false;
+    clearTimeout(messageTimer);
+    messageTimer = null;
+    if (wakeUp) wakeUp();
+  }
+
+  // Why a contact shouldn't be sent to at all, if it shouldn't
+  async function skipReasons(contacts, { skipNotOnWhatsApp }) {
+    const phones = contacts.map((c) => c.phone);
+    const reasons = new Map();
+    if (skipNotOnWhatsApp) {
+      for (const phone of await knownNotOnWhatsApp(phones)) reasons.set(phone, 'not_on_whatsapp');
+    }
+    // Opt-outs win over everything else
+    for (const phone of await suppressedAmong(phones)) reasons.set(phone, 'opted_out');
+    return reasons;
+  }
+
+  async function enqueue({
+    setName,
+    setNames,
+    segment,
+    resendOf,
+    message,
+    variables,
+    media,
+    variants,
+    abTest,
+    groups,
+    accounts,
+    schedule,
+    skipNotOnWhatsApp,
+    dryRun,
+    contacts,
+    hold,
+  }) {
+    const skip = await skipReasons(contacts, { skipNotOnWhatsApp });
+    const campaign = new Campaign({
+      setName,
+      setNames,
+      segment: segment?._id,
+      segmentName: segment?.name,
+      resendOf,
+      message,
+      variables,
+      media,
+      variants,
+      abTest,
+      groups,
+      accounts,
+      schedule,
+      skipNotOnWhatsApp: !!skipNotOnWhatsApp,
+      dryRun: !!dryRun,
+      total: contacts.length,
+      skipped: contacts.filter((c) => skip.has(c.phone)).length,
+      // Held campaigns (an A/B test's rollout) wait for abTest.js to queue them
+      ...(hold ? { status: 'awaiting_winner' } : {}),
+    });
+    // Recipients first, so the worker never sees a queued campaign with nobody in it
+    await CampaignRecipient.insertMany(
+      contacts.map((c) => ({
+        campaign: campaign._id,
+        phone: c.phone,
+        name: c.name || '',
+        fields: fieldsOf(c),
+        variant: c.variant,
+        jid: c.jid,
+        ...(skip.has(c.phone) ? { status: 'skipped', skipReason: skip.get(c.phone) } : {}),
+      }))
+    );
+    await campaign.save();
+    if (hold) return campaign;
+    kick();
+    try {
+      return await estimateFinish(campaign, { force: true });
+    } catch (err) {
+      console.error('❌ Failed to estimate campaign finish:', err);
+      return campaign;
+    }
+  }
+
+  async function setStatus(id, from, to, extra = {}) {
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: id, status: { $in: from } },
+      { status: to, ...extra },
+      { new: true }
+    );
+    if (campaign) {
+      io.emit('campaign:progress', summarize(campaign));
+      kick();
+    }
+    return campaign;
+  }
+
+  return {
+    start,
+    stop,
+    kick,
+    enqueue,
+    pause: (id) => setStatus(id, ['queued', 'running'], 'paused'),
+    resume: (id) => setStatus(id, ['paused'], 'queued'),
+    cancel: (id) =>
+      setStatus(id, ACTIVE_STATUSES, 'cancelled', { finishedAt: new Date(), $unset: { estimatedFinishAt: 1 } }),
+    snapshot: () => ({ progress, logs }),
+  };
+}
+
+module.exports = { createCampaignRunner, takeTurns, summarize, serializeMessage, toJid, ACTIVE_STATUSES };
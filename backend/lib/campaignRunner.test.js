@@ -0,0 +1,50 @@
+// backend/lib/campaignRunner.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { takeTurns } = require('./campaignRunner');
+
+// A runCampaign stand-in: `outcomes` maps id -> readyAt (waiting) or null (sent / ended)
+function fakeRun(outcomes) {
+  const calls = [];
+  const run = async (id, { yieldAt }) => {
+    calls.push([id, yieldAt]);
+    return outcomes[id];
+  };
+  return { run, calls };
+}
+
+test("a campaign that can't send steps aside for the next", async () => {
+  const { run, calls } = fakeRun({ old: 5000, next: null, newest: null });
+  assert.deepEqual(await takeTurns(['old', 'next', 'newest'], run), { progressed: true, soonest: 5000 });
+  // The next one gets until the older one can send again, then the pass ends
+  assert.deepEqual(calls, [
+    ['old', Infinity],
+    ['next', 5000],
+  ]);
+});
+
+test('the oldest campaign that can send keeps its turn', async () => {
+  const { run, calls } = fakeRun({ old: null, next: null });
+  assert.deepEqual(await takeTurns(['old', 'next'], run), { progressed: true, soonest: Infinity });
+  assert.deepEqual(calls, [['old', Infinity]]);
+});
+
+test('when none can send, the soonest one decides how long to wait', async () => {
+  const { run, calls } = fakeRun({ a: 9000, b: 3000, c: 7000 });
+  assert.deepEqual(await takeTurns(['a', 'b', 'c'], run), { progressed: false, soonest: 3000 });
+  assert.deepEqual(calls, [
+    ['a', Infinity],
+    ['b', 9000],
+    ['c', 3000],
+  ]);
+});
+
+test('the pass stops once the runner is stopped', async () => {
+  let running = true;
+  const run = async () => {
+    running = false;
+    return 1000;
+  };
+  assert.deepEqual(await takeTurns(['a', 'b'], run, () => running), { progressed: false, soonest: 1000 });
+  assert.deepEqual(await takeTurns([], run), { progressed: false, soonest: Infinity });
+});
@@ -0,0 +1,82 @@
+// backend/lib/contactFields.js
+//
+// Tags and custom fields on contacts. Tags are lower-case labels ("wholesale");
+// fields are string values under lower_snake_case keys ("region", "last_purchase"),
+// usable as {{placeholders}} in templates and in segment rules.
+
+// Built-in contact properties a custom field must not shadow
+const RESERVED_FIELDS = new Set(['name', 'firstname', 'phone', 'tag', 'tags', 'set', 'whatsapp']);
+const MAX_TAG_LENGTH = 50;
+
+function normalizeTag(tag) {
+  return String(tag ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .slice(0, MAX_TAG_LENGTH);
+}
+
+// ['Wholesale', 'vip'] or "Wholesale, vip" -> ['wholesale', 'vip']
+function parseTags(raw) {
+  if (raw == null || raw === '') return [];
+  const list = Array.isArray(raw) ? raw : String(raw).split(/[,;|]/);
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+}
+
+// "Last Purchase" -> "last_purchase"; '' if nothing usable is left
+function fieldKey(name) {
+  return String(name ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s.]+/g, '_')
+    .replace(/[^\w-]/g, '');
+}
+
+// { Region: 'Arusha', ... } -> { fields } with normalized keys, or { error }.
+// Empty / null values are dropped.
+function parseFields(raw) {
+  if (raw == null) return { fields: {} };
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'fields must be an object of name/value pairs' };
+  const fields = {};
+  for (const [name, value] of Object.entries(raw)) {
+    const key = fieldKey(name);
+    if (!key) return { error: `Invalid field name: ${name}` };
+    if (RESERVED_FIELDS.has(key)) return { error: `"${key}" is a built-in contact property, not a custom field` };
+    if (value == null || String(value).trim() === '') continue;
+    fields[key] = String(value).trim();
+  }
+  return { fields };
+}
+
+// Plain object of a contact's fields, whether it's a Mongoose Map or not
+function fieldsOf(contact) {
+  const fields = contact?.fields;
+  if (!fields) return {};
+  return fields instanceof Map ? Object.fromEntries(fields) : { ...fields };
+}
+
+// Add `tags` and set `fields` on an existing contact; true if anything changed
+function mergeContactData(contact, { tags = [], fields = {} }) {
+  let changed = false;
+
+  const current = new Set(contact.tags || []);
+  for (const tag of tags) {
+    if (current.has(tag)) continue;
+    current.add(tag);
+    changed = true;
+  }
+  if (changed) contact.tags = [...current];
+
+  const merged = fieldsOf(contact);
+  let fieldsChanged = false;
+  for (const [key, value] of Object.entries(fields)) {
+    if (merged[key] === value) continue;
+    merged[key] = value;
+    fieldsChanged = true;
+  }
+  if (fieldsChanged) contact.fields = merged;
+
+  return changed || fieldsChanged;
+}
+
+module.exports = { RESERVED_FIELDS, normalizeTag, parseTags, fieldKey, parseFields, fieldsOf, mergeContactData };
@@ -0,0 +1,394 @@
+// backend/lib/contactFiles.js
+//
+// Contact files in and out. Uploads (CSV, Excel, vCard, JSON) are read into a
+// table of columns and rows, a column mapping (phone / name / tags / custom
+// fields) is proposed, and the caller previews or applies it. Sets export as
+// vCard and JSON next to CSV.
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const { RESERVED_FIELDS, parseTags, fieldKey, fieldsOf } = require('./contactFields');
+
+const FORMATS = { '.csv': 'csv', '.txt': 'csv', '.xlsx': 'xlsx', '.json': 'json', '.vcf': 'vcard', '.vcard': 'vcard' };
+// Custom fields in the vCards we write: X-CONTACT-FIELD;NAME=region:Arusha
+const VCARD_FIELD = 'X-CONTACT-FIELD';
+// Rows looked at when guessing which column holds what
+const GUESS_ROWS = 50;
+
+const cleanHeader = (h) => String(h ?? '').replace(/\uFEFF/g, '').trim(); // strip BOM + spaces
+const getDigits = (v) => String(v ?? '').replace(/\D/g, '');
+const looksLikePhone = (v) => getDigits(v).length >= 7; // loose gate; normalization enforces format
+
+// 'csv' | 'xlsx' | 'json' | 'vcard', or null if we can't read it
+function fileFormat(originalName, mimetype = '') {
+  const byExtension = FORMATS[path.extname(originalName || '').toLowerCase()];
+  if (byExtension) return byExtension;
+  if (/spreadsheetml/.test(mimetype)) return 'xlsx';
+  if (/vcard/.test(mimetype)) return 'vcard';
+  if (/json/.test(mimetype)) return 'json';
+  if (/^text\/(csv|plain)/.test(mimetype)) return 'csv';
+  return null;
+}
+
+function uniqueNames(names) {
+  const seen = new Map();
+  return names.map((n) => {
+    const count = (seen.get(n) || 0) + 1;
+    seen.set(n, count);
+    return count === 1 ? n : `${n} (${count})`;
+  });
+}
+
+// Rows of cells -> table. The first row is a header unless a cell in it looks like a phone.
+function fromGrid(grid) {
+  const nonEmpty = grid.filter((r) => r.some((v) => String(v ?? '').trim() !== ''));
+  const width = Math.max(0, ...nonEmpty.map((r) => r.length));
+  const hasHeader = nonEmpty.length > 0 && !nonEmpty[0].some(looksLikePhone);
+  const header = hasHeader ? nonEmpty[0] : [];
+  const columns = uniqueNames(Array.from({ length: width }, (_, i) => cleanHeader(header[i]) || `Column ${i + 1}`));
+  const rows = (hasHeader ? nonEmpty.slice(1) : nonEmpty).map((r) => columns.map((_, i) => String(r[i] ?? '').trim()));
+  return { columns, rows, hasHeader };
+}
+
+// Objects -> table, one column per key seen anywhere
+function fromRecords(records) {
+  const columns = [...new Set(records.flatMap((r) => Object.keys(r)))];
+  return { columns, rows: records.map((r) => columns.map((c) => String(r[c] ?? '').trim())), hasHeader: true };
+}
+
+function readCsvGrid(filePath) {
+  const grid = [];
+  return new Promise((resolve, reject) => {
+    fs.createReadStream(filePath)
+      .pipe(csv({ headers: false }))
+      .on('data', (row) => grid.push(Object.values(row)))
+      .on('end', () => resolve(grid))
+      .on('error', reject);
+  });
+}
+
+function cellText(value) {
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map((part) => part.text).join('');
+    if (value.text != null) return cellText(value.text);
+    if (value.result != null) return cellText(value.result);
+    return '';
+  }
+  return String(value);
+}
+
+// First worksheet only
+async function readXlsx(filePath) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const sheet = workbook.worksheets[0];
+  const grid = [];
+  // row.values is 1-based and sparse
+  sheet?.eachRow((row) => grid.push(Array.from(row.values.slice(1), cellText)));
+  return fromGrid(grid);
+}
+
+// [{ name, phone, tags: [...], fields: {...} }, ...] or { contacts: [...] } (our own export)
+function readJson(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : Array.isArray(data?.contacts) ? data.contacts : null;
+  if (!list) throw new Error('JSON must be an array of contacts or { "contacts": [...] }');
+
+  const flat = (v) => (Array.isArray(v) ? v.join(', ') : v && typeof v === 'object' ? JSON.stringify(v) : v);
+  const records = list
+    .filter((r) => r && typeof r === 'object' && !Array.isArray(r))
+    .map((r) => {
+      const record = {};
+      for (const [key, value] of Object.entries(r)) {
+        // Nested custom fields become columns of their own
+        if (key === 'fields' && value && typeof value === 'object' && !Array.isArray(value)) {
+          for (const [name, v] of Object.entries(value)) record[name] = flat(v);
+        } else {
+          record[key] = flat(value);
+        }
+      }
+      return record;
+    });
+  return fromRecords(records);
+}
+
+function decodeQuotedPrintable(value, charset = 'utf-8') {
+  const bytes = [];
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '=' && /^[0-9A-F]{2}$/i.test(value.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(value.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(value.charCodeAt(i));
+    }
+  }
+  return Buffer.from(bytes).toString(/^utf-?8$/i.test(charset) ? 'utf8' : 'latin1');
+}
+
+function vcardUnescape(value) {
+  return value.replace(/\\([nN,;\\])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+function vcardEscape(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/([,;])/g, '\\$1');
+}
+
+// "item1.TEL;TYPE=CELL,VOICE:+255 712..." -> { name: 'TEL', params: {}, types: ['CELL', 'VOICE'], value }
+function parseVcardLine(line) {
+  const colon = line.indexOf(':');
+  if (colon === -1) return null;
+  const [rawName, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  const types = [];
+  for (const p of rawParams) {
+    const eq = p.indexOf('=');
+    const key = eq === -1 ? 'TYPE' : p.slice(0, eq).toUpperCase();
+    const value = eq === -1 ? p : p.slice(eq + 1).replace(/^"|"$/g, '');
+    if (key === 'TYPE') types.push(...value.split(',').map((t) => t.toUpperCase()));
+    else params[key] = value;
+  }
+  let value = line.slice(colon + 1);
+  if (/^quoted-printable$/i.test(params.ENCODING || '')) value = decodeQuotedPrintable(value, params.CHARSET);
+  return { name: rawName.replace(/^.*\./, '').toUpperCase(), params, types, value };
+}
+
+// One row per phone number, so people with several numbers keep them all
+function readVcard(text) {
+  // Unfold: continuation lines start with a space / tab; quoted-printable lines end with "="
+  const lines = [];
+  for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const last = lines.length - 1;
+    if (last >= 0 && /^[ \t]/.test(line)) {
+      lines[last] += line.slice(1);
+    } else if (last >= 0 && /ENCODING=QUOTED-PRINTABLE/i.test(lines[last]) && lines[last].endsWith('=')) {
+      lines[last] = lines[last].slice(0, -1) + line;
+    } else {
+      lines.push(line);
+    }
+  }
+
+  const records = [];
+  let card = null;
+  for (const line of lines) {
+    const prop = parseVcardLine(line.trim());
+    if (!prop) continue;
+    if (prop.name === 'BEGIN' && /^vcard$/i.test(prop.value)) {
+      card = { tels: [], record: {} };
+    } else if (prop.name === 'END' && card) {
+      const tels = card.tels.length ? card.tels : [{ value: '', type: '' }];
+      for (const tel of tels) {
+        records.push({ name: card.name || card.n || '', phone: tel.value, phone_type: tel.type, ...card.record });
+      }
+      card = null;
+    } else if (card) {
+      const value = vcardUnescape(prop.value).trim();
+      if (!value) continue;
+      switch (prop.name) {
+        case 'FN':
+          card.name = value;
+          break;
+        case 'N': {
+          // family;given;middle;prefix;suffix
+          const [family = '', given = '', middle = ''] = prop.value.split(/(?<!\\);/).map(vcardUnescape);
+          card.n = [given, middle, family].map((p) => p.trim()).filter(Boolean).join(' ');
+          break;
+        }
+        case 'TEL': {
+          const type = prop.types.filter((t) => !['VOICE', 'PREF'].includes(t)).join(', ').toLowerCase();
+          card.tels.push({ value: value.replace(/^tel:/i, ''), type });
+          break;
+        }
+        case 'EMAIL':
+          card.record.email ??= value;
+          break;
+        case 'ORG':
+          card.record.organization ??= value.split(';')[0].trim();
+          break;
+        case 'NOTE':
+          card.record.note ??= value;
+          break;
+        case 'CATEGORIES':
+          card.record.categories = value;
+          break;
+        case VCARD_FIELD:
+          if (prop.params.NAME) card.record[prop.params.NAME] = value;
+          break;
+        default:
+          break;
+      }
+    }
+  }
+  return fromRecords(records);
+}
+
+// Read an uploaded file into { columns, rows, hasHeader }
+async function readContactFile(filePath, format) {
+  switch (format) {
+    case 'csv':
+      return fromGrid(await readCsvGrid(filePath));
+    case 'xlsx':
+      return readXlsx(filePath);
+    case 'json':
+      return readJson(await fs.promises.readFile(filePath, 'utf8'));
+    case 'vcard':
+      return readVcard(await fs.promises.readFile(filePath, 'utf8'));
+    default:
+      throw new Error(`Unsupported format: ${format}`);
+  }
+}
+
+// Best guess at { phone, name, tags, fields: { column: fieldKey } } for a table.
+// Headers win; without them the column that mostly holds phone numbers is the phone.
+function proposeMapping({ columns, rows, hasHeader }) {
+  const sample = rows.slice(0, GUESS_ROWS);
+  const share = (i, test) => sample.filter((r) => test(r[i])).length / (sample.length || 1);
+  const find = (re, except = []) => columns.find((c) => re.test(c) && !except.includes(c)) ?? null;
+
+  let phone = hasHeader ? find(/^(phones?|mobile|msisdn|tel|telephone|whatsapp)$/i) ?? find(/phone|mobile/i) : null;
+  if (!phone) {
+    const i = columns.findIndex((_, i) => share(i, looksLikePhone) > 0.5);
+    phone = i === -1 ? null : columns[i];
+  }
+
+  let name = hasHeader ? find(/^((full|display|contact)[ _]?)?names?$/i, [phone]) : null;
+  if (!name && !hasHeader) {
+    // A column of mostly non-empty, non-phone text
+    const i = columns.findIndex((c, i) => c !== phone && share(i, (v) => v && !looksLikePhone(v)) > 0.5);
+    name = i === -1 ? null : columns[i];
+  }
+
+  const tags = hasHeader ? find(/^(tags?|labels?|categories)$/i, [phone, name]) : null;
+
+  // With a real header row, every other column becomes a custom field
+  const fields = {};
+  if (hasHeader) {
+    for (const c of columns) {
+      if ([phone, name, tags].includes(c)) continue;
+      const key = fieldKey(c);
+      if (key && !RESERVED_FIELDS.has(key)) fields[c] = key;
+    }
+  }
+  return { phone, name, tags, fields };
+}
+
+// Validate a mapping sent back by the client (object or JSON string). Returns { value } or { error }.
+// `fields` maps column -> field name; true keeps the column name, null / '' leaves the column out.
+function parseMapping(raw, columns) {
+  let mapping = raw;
+  if (typeof raw === 'string') {
+    try {
+      mapping = JSON.parse(raw);
+    } catch {
+      return { error: 'mapping must be valid JSON' };
+    }
+  }
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) return { error: 'mapping must be an object' };
+
+  const known = new Set(columns);
+  const value = { fields: {} };
+  for (const key of ['phone', 'name', 'tags']) {
+    const column = mapping[key];
+    if (column == null || column === '') {
+      value[key] = null;
+      continue;
+    }
+    if (!known.has(column)) return { error: `Unknown column for ${key}: ${column}` };
+    value[key] = column;
+  }
+  if (!value.phone) return { error: 'mapping.phone must name the phone number column' };
+
+  const fields = mapping.fields ?? {};
+  if (typeof fields !== 'object' || Array.isArray(fields)) {
+    return { error: 'mapping.fields must map column names to field names' };
+  }
+  for (const [column, name] of Object.entries(fields)) {
+    if (!known.has(column)) return { error: `Unknown column: ${column}` };
+    if (name == null || name === false || name === '') continue;
+    const key = fieldKey(name === true ? column : name);
+    if (!key) return { error: `Invalid field name for column ${column}` };
+    if (RESERVED_FIELDS.has(key)) return { error: `"${key}" is a built-in contact property, not a custom field` };
+    value.fields[column] = key;
+  }
+  return { value };
+}
+
+// Table + mapping -> [{ rawPhone, name, tags, fields }]
+function applyMapping({ columns, rows }, mapping) {
+  const at = (column) => (column ? columns.indexOf(column) : -1);
+  const phoneAt = at(mapping.phone);
+  const nameAt = at(mapping.name);
+  const tagsAt = at(mapping.tags);
+  const fieldsAt = Object.entries(mapping.fields || {}).map(([column, key]) => [at(column), key]);
+
+  return rows.map((cells) => {
+    let rawPhone = phoneAt === -1 ? null : cells[phoneAt] || null;
+    let name = nameAt === -1 ? '' : cells[nameAt];
+
+    // No phone column: take the first value that looks like a phone,
+    // or split a lone "Name, Phone" cell
+    if (phoneAt === -1) {
+      rawPhone = cells.find(looksLikePhone) || null;
+      const values = cells.filter(Boolean);
+      if (!rawPhone && values.length === 1) {
+        const parts = values[0].split(',');
+        if (parts.length >= 2 && looksLikePhone(parts[parts.length - 1])) {
+          rawPhone = parts[parts.length - 1];
+          name = name || parts.slice(0, -1).join(',').trim();
+        }
+      }
+    }
+
+    const fields = {};
+    for (const [i, key] of fieldsAt) if (cells[i]) fields[key] = cells[i];
+
+    return { rawPhone, name: name || '', tags: tagsAt === -1 ? [] : parseTags(cells[tagsAt]), fields };
+  });
+}
+
+function toVcard(contacts) {
+  const cards = contacts.map((c) => {
+    const lines = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      `FN:${vcardEscape(c.name || `+${c.phone}`)}`,
+      `N:;${vcardEscape(c.name)};;;`,
+      `TEL;TYPE=CELL:+${c.phone}`,
+    ];
+    if (c.tags?.length) lines.push(`CATEGORIES:${c.tags.map(vcardEscape).join(',')}`);
+    for (const [key, value] of Object.entries(fieldsOf(c))) lines.push(`${VCARD_FIELD};NAME=${key}:${vcardEscape(value)}`);
+    lines.push('END:VCARD');
+    return lines.join('\r\n');
+  });
+  return cards.length ? `${cards.join('\r\n')}\r\n` : '';
+}
+
+// Re-importable as-is (readJson accepts { contacts: [...] })
+function toJson(set) {
+  return {
+    name: set.name,
+    defaultCountry: set.defaultCountry || null,
+    exportedAt: new Date(),
+    contacts: set.contacts.map((c) => ({
+      name: c.name || '',
+      phone: c.phone,
+      tags: c.tags || [],
+      fields: fieldsOf(c),
+    })),
+  };
+}
+
+module.exports = {
+  fileFormat,
+  readContactFile,
+  proposeMapping,
+  parseMapping,
+  applyMapping,
+  toVcard,
+  toJson,
+};
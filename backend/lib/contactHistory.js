@@ -0,0 +1,281 @@
+// backend/lib/contactHistory.js
+//
+// Change history for contact sets. A route calls trackChanges(set, action, { auth })
+// before it changes a set; when the set is saved, the ContactSet hooks record a
+// ContactSetRevision saying who did it and what changed: contacts added,
+// removed and edited, renames and the default country. Rolling a set back to
+// a revision undoes every later one, newest first. The rollback is itself a
+// revision, so it can be undone too.
+//
+// Deleting a set moves it to the trash: a `delete` revision that holds every
+// contact. It can be restored until TRASH_DAYS have passed; after that Mongo
+// drops the set's whole history.
+const ContactSet = require('../models/ContactSet');
+const ContactSetRevision = require('../models/ContactSetRevision');
+const { fieldsOf } = require('./contactFields');
+
+const TRASH_DAYS = Number(process.env.CONTACT_TRASH_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// The big parts of a revision, left out of listings
+const DIFF_LISTS = '-diff.added -diff.removed -diff.changed';
+
+function statusError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// The parts of a contact the history keeps; WhatsApp check results are left out
+function trackedContact(c) {
+  const contact = {
+    _id: c._id.toString(),
+    phone: c.phone,
+    name: c.name || '',
+    tags: [...(c.tags || [])],
+    fields: fieldsOf(c),
+  };
+  if (c.googleId) contact.googleId = c.googleId;
+  return contact;
+}
+
+function sameContact(a, b) {
+  const key = (c) => JSON.stringify([c.phone, c.name, c.tags, Object.entries(c.fields).sort(), c.googleId || null]);
+  return key(a) === key(b);
+}
+
+// A tracked contact back into a ContactSet subdocument (same _id)
+function toSubdoc(c) {
+  return {
+    _id: c._id,
+    phone: c.phone,
+    name: c.name,
+    tags: c.tags,
+    fields: Object.keys(c.fields || {}).length ? c.fields : undefined,
+    googleId: c.googleId,
+  };
+}
+
+// Tracked contacts before and after -> { added, removed, changed: [{ before, after }] }
+function diffContacts(before, after) {
+  const old = new Map(before.map((c) => [c._id, c]));
+  const added = [];
+  const changed = [];
+  for (const c of after) {
+    const prev = old.get(c._id);
+    if (!prev) {
+      added.push(c);
+      continue;
+    }
+    old.delete(c._id);
+    if (!sameContact(prev, c)) changed.push({ before: prev, after: c });
+  }
+  return { added, removed: [...old.values()], changed };
+}
+
+function countsOf(diff) {
+  return { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length };
+}
+
+// req.auth -> who made a change; background jobs have none
+function authorOf(auth) {
+  return auth ? { user: auth.user?._id, apiKey: auth.apiKey?._id, actor: auth.actor || '' } : {};
+}
+
+// Record the next save() of `set` as a revision. Call before changing it.
+// auth: req.auth (omit for background jobs); note: extra context to keep.
+function trackChanges(set, action, { auth, note } = {}) {
+  set.$locals.revision = {
+    action,
+    author: authorOf(auth),
+    note,
+    before: set.isNew ? [] : set.contacts.map(trackedContact),
+    name: set.isNew ? null : set.name,
+    defaultCountry: set.isNew ? null : set.defaultCountry || null,
+  };
+}
+
+// ContactSet pre-save hook: work out the diff and bump the set's revision number.
+// A save that changed nothing tracked records nothing.
+function prepareRevision(set) {
+  const tracked = set.$locals.revision;
+  if (!tracked) return;
+  const diff = diffContacts(tracked.before, set.contacts.map(trackedContact));
+  if (tracked.name != null) {
+    if (tracked.name !== set.name) diff.name = { from: tracked.name, to: set.name };
+    const country = set.defaultCountry || null;
+    if (tracked.defaultCountry !== country) diff.defaultCountry = { from: tracked.defaultCountry, to: country };
+  }
+  const { added, removed, changed } = countsOf(diff);
+  if (!set.isNew && !added && !removed && !changed && !diff.name && !diff.defaultCountry) {
+    set.$locals.revision = null;
+    return;
+  }
+  set.revision = (set.revision || 0) + 1;
+  tracked.diff = diff;
+  tracked.version = set.revision;
+}
+
+// ContactSet post-save hook: store the revision prepared above
+async function saveRevision(set) {
+  const tracked = set.$locals.revision;
+  if (!tracked?.diff) return;
+  set.$locals.revision = null;
+  try {
+    await ContactSetRevision.create({
+      set: set._id,
+      setName: set.name,
+      version: tracked.version,
+      action: tracked.action,
+      ...tracked.author,
+      diff: tracked.diff,
+      counts: countsOf(tracked.diff),
+      note: tracked.note,
+    });
+  } catch (err) {
+    console.error(`❌ Failed to record revision ${tracked.version} of set "${set.name}":`, err);
+  }
+}
+
+// Roll `set` back to how it was at `version` (0 = before the first recorded
+// change). Contacts, tags, fields and the default country go back; the name
+// stays, since schedules and syncs refer to the set by it.
+async function rollbackSet(set, version, { auth } = {}) {
+  const current = set.revision || 0;
+  if (!Number.isInteger(version) || version < 0 || version >= current) {
+    throw statusError(current ? `version must be between 0 and ${current - 1}` : 'The set has no history yet', 400);
+  }
+  const later = await ContactSetRevision.find({ set: set._id, version: { $gt: version } }).sort({ version: -1 });
+  if (later.length !== current - version) {
+    throw statusError(`Part of the history after version ${version} is missing; pick a later version`, 409);
+  }
+
+  const contacts = new Map(set.contacts.map((c) => [c._id.toString(), trackedContact(c)]));
+  let defaultCountry = set.defaultCountry || null;
+  for (const { diff } of later) {
+    for (const c of diff.added || []) contacts.delete(c._id);
+    for (const c of diff.removed || []) contacts.set(c._id, c);
+    for (const { before } of diff.changed || []) contacts.set(before._id, before);
+    if (diff.defaultCountry) defaultCountry = diff.defaultCountry.from;
+  }
+
+  // Contacts still in the set keep their WhatsApp check results
+  const existing = new Map(set.contacts.map((c) => [c._id.toString(), c]));
+  const phones = new Set();
+  const restored = [];
+  for (const c of contacts.values()) {
+    if (phones.has(c.phone)) continue;
+    phones.add(c.phone);
+    const old = existing.get(c._id);
+    restored.push({ ...toSubdoc(c), onWhatsApp: old?.onWhatsApp, waCheckedAt: old?.waCheckedAt });
+  }
+
+  trackChanges(set, 'rollback', { auth, note: { toVersion: version } });
+  set.contacts = restored;
+  set.defaultCountry = defaultCountry || undefined;
+  await set.save();
+  return set;
+}
+
+// Delete `set` into the trash -> the `delete` revision
+async function trashSet(set, { auth } = {}) {
+  const expiresAt = new Date(Date.now() + TRASH_DAYS * DAY_MS);
+  const diff = {
+    added: [],
+    removed: set.contacts.map(trackedContact),
+    changed: [],
+    name: { from: set.name, to: null },
+    defaultCountry: { from: set.defaultCountry || null, to: null },
+  };
+  const revision = await ContactSetRevision.create({
+    set: set._id,
+    setName: set.name,
+    version: (set.revision || 0) + 1,
+    action: 'delete',
+    ...authorOf(auth),
+    diff,
+    counts: countsOf(diff),
+    expiresAt,
+  });
+
+  // findOneAndDelete keeps the global contacts index in step (see models/ContactSet.js).
+  // Sets from before the history existed have no revision number stored.
+  const deleted = await ContactSet.findOneAndDelete({ _id: set._id, revision: set.revision || { $in: [0, null] } });
+  if (!deleted) {
+    await revision.deleteOne();
+    throw statusError('The set changed while it was being deleted; try again', 409);
+  }
+  await ContactSetRevision.updateMany({ set: set._id }, { expiresAt });
+  return revision;
+}
+
+// Bring a set back from the trash, under `name` if its old name is taken now
+async function restoreSet(revision, { name, auth } = {}) {
+  if (revision.action !== 'delete' || revision.restoredAt) throw statusError('Set not found in the trash', 404);
+  const setName = String(name || revision.setName).trim();
+  if (!setName) throw statusError('name must not be empty', 400);
+  if (await ContactSet.exists({ name: setName })) {
+    throw statusError(`A set named "${setName}" already exists; restore it under another name`, 409);
+  }
+
+  const set = new ContactSet({
+    _id: revision.set,
+    name: setName,
+    defaultCountry: revision.diff.defaultCountry?.from || undefined,
+    revision: revision.version,
+    contacts: [],
+  });
+  trackChanges(set, 'restore', { auth, note: { fromVersion: revision.version } });
+  set.contacts = revision.diff.removed.map(toSubdoc);
+  await set.save();
+
+  await ContactSetRevision.updateMany({ set: set._id }, { $unset: { expiresAt: 1 } });
+  await ContactSetRevision.updateOne({ _id: revision._id }, { restoredAt: new Date() });
+  return set;
+}
+
+function serializeRevision(revision) {
+  const { diff = {} } = revision;
+  return {
+    id: revision._id.toString(),
+    set: revision.set.toString(),
+    setName: revision.setName,
+    version: revision.version,
+    action: revision.action,
+    actor: revision.actor || null,
+    user: revision.user || null,
+    apiKey: revision.apiKey || null,
+    counts: revision.counts,
+    name: diff.name || null,
+    defaultCountry: diff.defaultCountry || null,
+    note: revision.note || null,
+    createdAt: revision.createdAt,
+    // Only when loaded (a single revision, not a listing)
+    ...(diff.added ? { added: diff.added, removed: diff.removed, changed: diff.changed } : {}),
+  };
+}
+
+function serializeTrashEntry(revision) {
+  return {
+    id: revision._id.toString(),
+    set: revision.set.toString(),
+    name: revision.setName,
+    count: revision.counts.removed,
+    deletedAt: revision.createdAt,
+    deletedBy: revision.actor || null,
+    expiresAt: revision.expiresAt,
+  };
+}
+
+module.exports = {
+  TRASH_DAYS,
+  DIFF_LISTS,
+  trackChanges,
+  prepareRevision,
+  saveRevision,
+  diffContacts,
+  rollbackSet,
+  trashSet,
+  restoreSet,
+  serializeRevision,
+  serializeTrashEntry,
+};
@@ -0,0 +1,137 @@
+// backend/lib/contactHistory.test.js
+//
+// Runs without Mongo: revisions are prepared by hand instead of by the save
+// hooks, and rollbackSet() reads them from a stubbed ContactSetRevision.find.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ContactSet = require('../models/ContactSet');
+const ContactSetRevision = require('../models/ContactSetRevision');
+const { trackChanges, prepareRevision, diffContacts, rollbackSet } = require('./contactHistory');
+
+const contact = (id, phone, extra = {}) => ({ _id: id, phone, name: '', tags: [], fields: {}, ...extra });
+
+// What save() would do: prepare the revision, keep it, and stop being new
+function commit(set, revisions) {
+  prepareRevision(set);
+  const tracked = set.$locals.revision;
+  if (tracked?.diff) revisions.push({ version: tracked.version, action: tracked.action, diff: tracked.diff });
+  set.$locals.revision = null;
+  set.isNew = false;
+}
+
+// A set at revision 2: created with Asha and Baraka, then Asha renamed,
+// Baraka removed, Chausiku added and the default country changed
+function historyFixture() {
+  const revisions = [];
+  const set = new ContactSet({ name: 'customers', defaultCountry: 'TZ', contacts: [] });
+  trackChanges(set, 'create');
+  set.contacts.push({ phone: '255711000001', name: 'Asha', tags: ['vip'] });
+  set.contacts.push({ phone: '255711000002', name: 'Baraka' });
+  commit(set, revisions);
+
+  trackChanges(set, 'update');
+  set.contacts[0].name = 'Asha M.';
+  set.contacts.pull(set.contacts[1]._id);
+  set.contacts.push({ phone: '255711000003', name: 'Chausiku', fields: { region: 'Arusha' } });
+  set.defaultCountry = 'KE';
+  commit(set, revisions);
+  return { set, revisions };
+}
+
+// rollbackSet() asks for the revisions after `version`, newest first
+function stubRevisions(t, revisions) {
+  t.mock.method(ContactSetRevision, 'find', (filter) => ({
+    sort: async () =>
+      revisions.filter((r) => r.version > filter.version.$gt).sort((a, b) => b.version - a.version),
+  }));
+}
+
+test('diffContacts sorts contacts into added, removed and changed', () => {
+  const before = [contact('a', '1', { name: 'Asha' }), contact('b', '2'), contact('c', '3', { tags: ['x'] })];
+  const after = [contact('a', '1', { name: 'Asha' }), contact('c', '3', { tags: ['x', 'y'] }), contact('d', '4')];
+  const diff = diffContacts(before, after);
+  assert.deepEqual(diff.added, [after[2]]);
+  assert.deepEqual(diff.removed, [before[1]]);
+  assert.deepEqual(diff.changed, [{ before: before[2], after: after[1] }]);
+});
+
+test('field order alone is not a change', () => {
+  const before = [contact('a', '1', { fields: { city: 'Moshi', region: 'Kilimanjaro' } })];
+  const after = [contact('a', '1', { fields: { region: 'Kilimanjaro', city: 'Moshi' } })];
+  assert.deepEqual(diffContacts(before, after), { added: [], removed: [], changed: [] });
+});
+
+test('each tracked save becomes a numbered revision with its diff', () => {
+  const { set, revisions } = historyFixture();
+  assert.equal(set.revision, 2);
+  assert.deepEqual(
+    revisions.map((r) => [r.version, r.action]),
+    [
+      [1, 'create'],
+      [2, 'update'],
+    ]
+  );
+  const { diff } = revisions[1];
+  assert.deepEqual(diff.added.map((c) => c.name), ['Chausiku']);
+  assert.deepEqual(diff.removed.map((c) => c.name), ['Baraka']);
+  assert.deepEqual(diff.changed.map((c) => [c.before.name, c.after.name]), [['Asha', 'Asha M.']]);
+  assert.deepEqual(diff.defaultCountry, { from: 'TZ', to: 'KE' });
+});
+
+test('a save that changes nothing tracked records nothing', () => {
+  const { set, revisions } = historyFixture();
+  trackChanges(set, 'update');
+  set.contacts[0].onWhatsApp = true;
+  commit(set, revisions);
+  assert.equal(set.revision, 2);
+  assert.equal(revisions.length, 2);
+});
+
+test('rollbackSet undoes every later revision', async (t) => {
+  const { set, revisions } = historyFixture();
+  stubRevisions(t, revisions);
+  set.contacts[0].onWhatsApp = true;
+  t.mock.method(set, 'save', async () => {
+    commit(set, revisions);
+    return set;
+  });
+
+  await rollbackSet(set, 1);
+  assert.deepEqual(
+    set.contacts.map((c) => [c.phone, c.name]),
+    [
+      ['255711000001', 'Asha'],
+      ['255711000002', 'Baraka'],
+    ]
+  );
+  assert.equal(set.defaultCountry, 'TZ');
+  // Still in the set, so the WhatsApp check result stays
+  assert.equal(set.contacts[0].onWhatsApp, true);
+  assert.equal(set.save.mock.callCount(), 1);
+
+  // The rollback is a revision too
+  assert.equal(set.revision, 3);
+  assert.equal(revisions[2].action, 'rollback');
+  assert.deepEqual(revisions[2].diff.added.map((c) => c.name), ['Baraka']);
+});
+
+test('rolling back to 0 empties the set', async (t) => {
+  const { set, revisions } = historyFixture();
+  stubRevisions(t, revisions);
+  t.mock.method(set, 'save', async () => set);
+  await rollbackSet(set, 0);
+  assert.equal(set.contacts.length, 0);
+});
+
+test('rollbackSet refuses versions it cannot reach', async (t) => {
+  const { set, revisions } = historyFixture();
+  t.mock.method(set, 'save', async () => set);
+
+  stubRevisions(t, revisions);
+  await assert.rejects(rollbackSet(set, 2), { status: 400, message: 'version must be between 0 and 1' });
+  await assert.rejects(rollbackSet(set, 1.5), { status: 400 });
+
+  stubRevisions(t, revisions.slice(1));
+  await assert.rejects(rollbackSet(set, 0), { status: 409 });
+  assert.equal(set.save.mock.callCount(), 0);
+});
@@ -0,0 +1,63 @@
+// backend/lib/contactIndex.js
+//
+// The global contacts collection (models/Contact.js): one document per phone
+// listing every set it belongs to. ContactSet save/delete hooks keep it in step;
+// rebuildContactIndex() recomputes it from scratch.
+//
+// Each update is a merge followed by a cleanup of entries the merge didn't
+// touch. Two of them interleaved could clean up what the other just merged,
+// so they run one at a time.
+const ContactSet = require('../models/ContactSet');
+const Contact = require('../models/Contact');
+
+// phone -> { name, sets } for every set containing one of `phones` (all phones if omitted)
+function membershipPipeline(phones, syncedAt) {
+  const match = phones ? [{ $match: { 'contacts.phone': { $in: phones } } }] : [];
+  return [
+    ...match,
+    { $unwind: '$contacts' },
+    ...match,
+    {
+      $group: {
+        _id: '$contacts.phone',
+        sets: { $addToSet: '$name' },
+        // Any non-empty name will do; sets rarely disagree
+        name: { $max: '$contacts.name' },
+      },
+    },
+    { $project: { _id: 0, phone: '$_id', sets: 1, name: { $ifNull: ['$name', ''] }, syncedAt: { $literal: syncedAt } } },
+    { $merge: { into: Contact.collection.name, on: 'phone', whenMatched: 'merge', whenNotMatched: 'insert' } },
+  ];
+}
+
+let queue = Promise.resolve();
+
+// Run `task` after every update queued before it
+function serialized(task) {
+  const run = queue.then(task, task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+// Recompute the entries for `phones` (after a set gained, lost or renamed them)
+async function syncContacts(phones) {
+  const unique = [...new Set(phones)];
+  if (!unique.length) return;
+  await serialized(async () => {
+    const syncedAt = new Date();
+    await ContactSet.aggregate(membershipPipeline(unique, syncedAt));
+    // Phones no set mentions any more weren't touched by the merge
+    await Contact.deleteMany({ phone: { $in: unique }, $or: [{ syncedAt: { $lt: syncedAt } }, { syncedAt: null }] });
+  });
+}
+
+function rebuildContactIndex() {
+  return serialized(async () => {
+    const syncedAt = new Date();
+    await ContactSet.aggregate(membershipPipeline(null, syncedAt));
+    const { deletedCount } = await Contact.deleteMany({ $or: [{ syncedAt: { $lt: syncedAt } }, { syncedAt: null }] });
+    return { total: await Contact.countDocuments(), removed: deletedCount };
+  });
+}
+
+module.exports = { syncContacts, rebuildContactIndex };
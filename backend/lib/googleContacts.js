@@ -0,0 +1,300 @@
+// backend/lib/googleContacts.js
+//
+// Google Contacts (People API): every page of connections, every phone number
+// per person, contact groups ("labels"), and sets linked to Google that re-sync
+// from a sync token so only what changed is fetched.
+const { google } = require('googleapis');
+const ContactSet = require('../models/ContactSet');
+const GoogleToken = require('../models/GoogleToken');
+const GoogleSync = require('../models/GoogleSync');
+const { normalizePhone, resolveCountry } = require('./phone');
+const { trackChanges } = require('./contactHistory');
+
+const PAGE_SIZE = 1000;
+const PERSON_FIELDS = 'names,phoneNumbers,memberships';
+const TOKEN_FIELDS = ['access_token', 'refresh_token', 'scope', 'token_type', 'expiry_date'];
+const SYSTEM_GROUPS = new Set(['contactGroups/myContacts', 'contactGroups/starred']);
+const SYNC_INTERVAL_MS = (Number(process.env.GOOGLE_SYNC_INTERVAL_MINUTES) || 360) * 60 * 1000;
+
+function pickTokens(source) {
+  const tokens = {};
+  for (const key of TOKEN_FIELDS) if (source?.[key] != null) tokens[key] = source[key];
+  return tokens;
+}
+
+// One entry per distinct, valid number of a People API person
+function personContacts(person, country) {
+  const name = person.names?.[0]?.displayName || '';
+  const groups = (person.memberships || [])
+    .map((m) => m.contactGroupMembership?.contactGroupResourceName)
+    .filter(Boolean);
+  const contacts = [];
+  const rejected = [];
+  const seen = new Set();
+  for (const number of person.phoneNumbers || []) {
+    const result = normalizePhone(number.canonicalForm || number.value, { country });
+    if (!result.ok) {
+      rejected.push({ name, value: number.value, reason: result.reason });
+      continue;
+    }
+    if (seen.has(result.phone)) continue;
+    seen.add(result.phone);
+    contacts.push({
+      name,
+      phone: result.phone,
+      type: number.formattedType || number.type || '',
+      googleId: person.resourceName,
+      groups,
+    });
+  }
+  return { contacts, rejected };
+}
+
+// Put Google contacts into `set`. Numbers already in the set keep their tags
+// and fields; Google-imported ones take the current Google name. `prune` (a Set
+// of person ids, or true for all) drops those people's old numbers that Google
+// no longer lists. Contacts added by hand are never pruned.
+function mergeIntoSet(set, contacts, { prune = null } = {}) {
+  const incoming = new Map();
+  for (const c of contacts) if (!incoming.has(c.phone)) incoming.set(c.phone, c);
+
+  let removed = 0;
+  if (prune) {
+    const stale = (c) => c.googleId && (prune === true || prune.has(c.googleId)) && !incoming.has(c.phone);
+    const keep = set.contacts.filter((c) => !stale(c));
+    removed = set.contacts.length - keep.length;
+    if (removed) set.contacts = keep;
+  }
+
+  let added = 0;
+  let updated = 0;
+  const byPhone = new Map(set.contacts.map((c) => [c.phone, c]));
+  for (const c of incoming.values()) {
+    const existing = byPhone.get(c.phone);
+    if (!existing) {
+      set.contacts.push({ name: c.name, phone: c.phone, googleId: c.googleId });
+      added++;
+    } else if (existing.googleId) {
+      if (existing.googleId === c.googleId && existing.name === c.name) continue;
+      existing.googleId = c.googleId;
+      existing.name = c.name;
+      updated++;
+    } else if (!existing.name && c.name) {
+      // Added by hand without a name: borrow Google's
+      existing.name = c.name;
+      updated++;
+    }
+  }
+  return { added, updated, removed };
+}
+
+// Sync tokens live about a week; after that Google wants a full listing again
+function isExpiredSyncToken(err) {
+  const status = err?.code ?? err?.response?.status;
+  return status === 410 || /EXPIRED_SYNC_TOKEN|sync token.*expired/i.test(String(err?.message || ''));
+}
+
+function serializeGoogleSync(link) {
+  return {
+    id: link._id.toString(),
+    setName: link.setName,
+    group: link.group || null,
+    groupName: link.groupName || null,
+    country: link.country || null,
+    auto: link.auto,
+    lastSyncedAt: link.lastSyncedAt || null,
+    lastResult: link.lastResult?.full == null ? null : link.lastResult,
+    lastError: link.lastError || null,
+  };
+}
+
+function createGoogleContacts({ oauth2Client, io }) {
+  // link id -> running sync, so a manual run and the timer don't overlap
+  const running = new Map();
+  let timer = null;
+
+  // The client refreshes expired access tokens by itself. A refresh response
+  // has no refresh_token, so only the fields it does carry are overwritten.
+  oauth2Client.on('tokens', (tokens) => {
+    GoogleToken.updateOne({}, { $set: pickTokens(tokens) })
+      .then(() => console.log('♻️ Google tokens updated'))
+      .catch((err) => console.error('❌ Failed to store Google tokens:', err));
+  });
+
+  // After the OAuth callback: the one stored token set
+  async function saveTokens(tokens) {
+    oauth2Client.setCredentials(tokens);
+    await GoogleToken.deleteMany({});
+    await GoogleToken.create(pickTokens(tokens));
+  }
+
+  // People API client with the stored credentials, or null if Google isn't connected
+  async function authorize() {
+    const doc = await GoogleToken.findOne().lean();
+    if (!doc) return null;
+    oauth2Client.setCredentials(pickTokens(doc));
+    return google.people({ version: 'v1', auth: oauth2Client });
+  }
+
+  async function requireService() {
+    const service = await authorize();
+    if (!service) {
+      const err = new Error('Google account is not connected');
+      err.status = 401;
+      throw err;
+    }
+    return service;
+  }
+
+  // Every connection, following nextPageToken. With `syncToken`, only people
+  // changed since (deleted ones carry metadata.deleted).
+  async function listPeople(service, { syncToken } = {}) {
+    const people = [];
+    let pageToken;
+    let nextSyncToken;
+    do {
+      const { data } = await service.people.connections.list({
+        resourceName: 'people/me',
+        pageSize: PAGE_SIZE,
+        personFields: PERSON_FIELDS,
+        requestSyncToken: true,
+        syncToken,
+        pageToken,
+      });
+      people.push(...(data.connections || []));
+      pageToken = data.nextPageToken;
+      nextSyncToken = data.nextSyncToken || nextSyncToken;
+    } while (pageToken);
+    return { people, syncToken: nextSyncToken };
+  }
+
+  // Labels the user made, plus "My Contacts" and "Starred"
+  async function listGroups() {
+    const service = await requireService();
+    const groups = [];
+    let pageToken;
+    do {
+      const { data } = await service.contactGroups.list({ pageSize: PAGE_SIZE, pageToken });
+      for (const g of data.contactGroups || []) {
+        const system = g.groupType !== 'USER_CONTACT_GROUP';
+        if (system && !SYSTEM_GROUPS.has(g.resourceName)) continue;
+        groups.push({
+          resourceName: g.resourceName,
+          name: g.formattedName || g.name,
+          memberCount: g.memberCount || 0,
+          system,
+        });
+      }
+      pageToken = data.nextPageToken;
+    } while (pageToken);
+    return groups;
+  }
+
+  // Flattened contacts (one per number), optionally only members of `group`
+  async function fetchContacts({ country, group } = {}) {
+    const service = await requireService();
+    const { people } = await listPeople(service);
+    const contacts = [];
+    const rejected = [];
+    for (const person of people) {
+      const parsed = personContacts(person, country);
+      rejected.push(...parsed.rejected);
+      contacts.push(...parsed.contacts.filter((c) => !group || c.groups.includes(group)));
+    }
+    return { people: people.length, contacts, rejected };
+  }
+
+  async function runSync(link, { full, auth }) {
+    const service = await requireService();
+    const set =
+      (await ContactSet.findOne({ name: link.setName })) ||
+      new ContactSet({ name: link.setName, contacts: [], defaultCountry: link.country });
+    trackChanges(set, 'google_sync', { auth });
+    const country = resolveCountry(link.country, set.defaultCountry);
+
+    let incremental = !full && !!link.syncToken;
+    let listing;
+    if (incremental) {
+      try {
+        listing = await listPeople(service, { syncToken: link.syncToken });
+      } catch (err) {
+        if (!isExpiredSyncToken(err)) throw err;
+        incremental = false;
+      }
+    }
+    if (!incremental) listing = await listPeople(service);
+
+    const contacts = [];
+    const rejected = [];
+    const changed = new Set();
+    for (const person of listing.people) {
+      changed.add(person.resourceName);
+      if (person.metadata?.deleted) continue;
+      const parsed = personContacts(person, country);
+      rejected.push(...parsed.rejected);
+      contacts.push(...parsed.contacts.filter((c) => !link.group || c.groups.includes(link.group)));
+    }
+    // A full listing is the whole truth; a delta only speaks for the people in it
+    const counts = mergeIntoSet(set, contacts, { prune: incremental ? changed : true });
+    await set.save();
+
+    link.syncToken = listing.syncToken;
+    link.lastSyncedAt = new Date();
+    link.lastResult = { ...counts, rejected: rejected.length, full: !incremental };
+    link.lastError = undefined;
+    await link.save();
+
+    console.log(
+      `🔄 Google sync "${link.setName}": +${counts.added} ~${counts.updated} -${counts.removed}` +
+        (incremental ? '' : ' (full)')
+    );
+    io.emit('google:sync', serializeGoogleSync(link));
+    return { ...link.lastResult, rejectedNumbers: rejected };
+  }
+
+  // Bring a linked set up to date. `full` ignores the sync token and re-reads everything.
+  // auth: req.auth of whoever asked for it, for the set's history; none for scheduled syncs
+  async function sync(link, { full = false, auth } = {}) {
+    const id = link._id.toString();
+    if (running.has(id)) {
+      const err = new Error('A sync for this set is already running');
+      err.status = 409;
+      throw err;
+    }
+    const job = runSync(link, { full, auth }).catch(async (err) => {
+      await GoogleSync.updateOne({ _id: link._id }, { lastError: String(err?.message || err) }).catch(() => {});
+      throw err;
+    });
+    running.set(id, job);
+    try {
+      return await job;
+    } finally {
+      running.delete(id);
+    }
+  }
+
+  async function syncAll() {
+    if (!(await GoogleToken.exists({}))) return;
+    for (const link of await GoogleSync.find({ auto: true })) {
+      try {
+        await sync(link);
+      } catch (err) {
+        console.error(`❌ Google sync for "${link.setName}" failed:`, err);
+      }
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(syncAll, SYNC_INTERVAL_MS);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { saveTokens, authorize, listGroups, fetchContacts, sync, syncAll, start, stop };
+}
+
+module.exports = { createGoogleContacts, serializeGoogleSync };
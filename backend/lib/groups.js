@@ -0,0 +1,127 @@
+// backend/lib/groups.js
+//
+// WhatsApp groups the connected accounts belong to: listing them, reading
+// their members as phone numbers, and checking a campaign may post to them.
+// Group campaigns go through the campaign runner like any other, with the
+// group's JID as the recipient.
+const { phoneFromJid } = require('./messageText');
+
+// groupFetchAllParticipating() is one heavy query; reuse its answer for a minute
+const CACHE_MS = 60 * 1000;
+const GROUP_JID_RE = /^\d+(-\d+)?@g\.us$/;
+
+function statusError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// "1203630...@g.us", or just the id before the @ -> JID, or null if it isn't one
+function toGroupJid(raw) {
+  const value = String(raw || '').trim();
+  const jid = value.includes('@') ? value : `${value}@g.us`;
+  return GROUP_JID_RE.test(jid) ? jid : null;
+}
+
+// User part of a JID without the device suffix: "2557...:12@s.whatsapp.net" -> "2557..."
+function jidUser(jid) {
+  return String(jid || '').split('@')[0].split(':')[0];
+}
+
+// A member's phone. Members WhatsApp only shows by LID (hidden number) have none.
+function participantPhone(participant) {
+  for (const jid of [participant.phoneNumber, participant.jid, participant.id]) {
+    const phone = phoneFromJid(jid);
+    if (phone) return phone;
+  }
+  return null;
+}
+
+function serializeGroup(meta, sock) {
+  const own = [sock.user?.id, sock.user?.lid].filter(Boolean).map(jidUser);
+  const me = (meta.participants || []).find((p) =>
+    [p.id, p.jid, p.phoneNumber].some((jid) => jid && own.includes(jidUser(jid)))
+  );
+  const isAdmin = !!me?.admin;
+  return {
+    id: meta.id,
+    name: meta.subject || '',
+    participants: meta.participants?.length ?? meta.size ?? 0,
+    description: meta.desc || '',
+    createdAt: meta.creation ? new Date(meta.creation * 1000) : null,
+    // Announcement groups only take messages from admins
+    announce: !!meta.announce,
+    isAdmin,
+    canSend: !meta.announce || isAdmin,
+  };
+}
+
+// getAccounts() -> connected accounts: [{ name, sock }]
+function createGroupTools({ getAccounts }) {
+  // account name -> { at, groups: { [jid]: metadata } }
+  const cache = new Map();
+
+  // The connected account to use: `name`, or else the first connected one
+  function accountFor(name) {
+    const accounts = getAccounts();
+    const account = name ? accounts.find((a) => a.name === name) : accounts[0];
+    if (!account) {
+      throw statusError(name ? `WhatsApp account "${name}" is not connected` : 'No WhatsApp account is connected', 409);
+    }
+    return account;
+  }
+
+  async function fetchAll(account, { refresh = false } = {}) {
+    const cached = cache.get(account.name);
+    if (!refresh && cached && Date.now() - cached.at < CACHE_MS) return cached.groups;
+    const groups = await account.sock.groupFetchAllParticipating();
+    cache.set(account.name, { at: Date.now(), groups });
+    return groups;
+  }
+
+  async function listGroups(name, { refresh = false } = {}) {
+    const account = accountFor(name);
+    const groups = Object.values(await fetchAll(account, { refresh }))
+      .map((meta) => serializeGroup(meta, account.sock))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return { account: account.name, groups };
+  }
+
+  // A group's members: { account, group, members: [{ phone, name, admin }], hidden }
+  async function groupMembers(name, jid) {
+    const account = accountFor(name);
+    if (!(await fetchAll(account))[jid]) throw statusError('Group not found on this account', 404);
+    const meta = await account.sock.groupMetadata(jid);
+
+    const members = [];
+    let hidden = 0;
+    for (const p of meta.participants || []) {
+      const phone = participantPhone(p);
+      if (!phone) {
+        hidden++;
+        continue;
+      }
+      members.push({ phone, name: p.name || p.notify || '', admin: p.admin || null });
+    }
+    return { account: account.name, group: serializeGroup(meta, account.sock), members, hidden };
+  }
+
+  // Check the account is in every group in `jids` and may post there -> { account, groups }
+  async function resolveGroups(name, jids) {
+    const account = accountFor(name);
+    const all = await fetchAll(account, { refresh: true });
+    const missing = jids.filter((jid) => !all[jid]);
+    if (missing.length) throw statusError(`Not a member of group(s): ${missing.join(', ')}`, 400);
+
+    const groups = jids.map((jid) => serializeGroup(all[jid], account.sock));
+    const blocked = groups.filter((g) => !g.canSend);
+    if (blocked.length) {
+      throw statusError(`Only admins can post in: ${blocked.map((g) => g.name || g.id).join(', ')}`, 400);
+    }
+    return { account: account.name, groups };
+  }
+
+  return { listGroups, groupMembers, resolveGroups };
+}
+
+module.exports = { createGroupTools, toGroupJid, participantPhone };
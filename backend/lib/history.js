@@ -0,0 +1,113 @@
+// backend/lib/history.js
+const fs = require('fs');
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const Campaign = require('../models/Campaign');
+const { DEFAULT_TIMEZONE } = require('./scheduler');
+
+const FINISHED_STATUSES = ['completed', 'cancelled'];
+const HISTORY_DATE_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+
+// Shape used by the history API and CSV export
+function toHistoryItem(campaign) {
+  const at = campaign.finishedAt || campaign.createdAt;
+  return {
+    id: campaign._id.toString(),
+    date: moment(at).tz(DEFAULT_TIMEZONE).format(HISTORY_DATE_FORMAT),
+    setName: campaign.setName || (campaign.setNames || []).join(', '),
+    message: campaign.message || '',
+    status: campaign.status,
+    total: campaign.total,
+    sent: campaign.sent,
+    failed: campaign.failed,
+    imported: !!campaign.legacyKey,
+  };
+}
+
+// Build a Campaign filter from ?from=&to=&setName=&status= query params.
+// Dates are whole days in DEFAULT_TIMEZONE, `to` inclusive.
+function historyFilter(query) {
+  const filter = { status: { $in: FINISHED_STATUSES } };
+
+  if (query.status) {
+    if (!FINISHED_STATUSES.includes(query.status)) {
+      return { error: `status must be one of ${FINISHED_STATUSES.join(', ')}` };
+    }
+    filter.status = query.status;
+  }
+  if (query.setName) {
+    const name = String(query.setName);
+    filter.$or = [{ setName: name }, { setNames: name }];
+  }
+
+  const range = {};
+  for (const [param, op, edge] of [['from', '$gte', 'startOf'], ['to', '$lte', 'endOf']]) {
+    if (!query[param]) continue;
+    const day = moment.tz(String(query[param]), 'YYYY-MM-DD', true, DEFAULT_TIMEZONE);
+    if (!day.isValid()) return { error: `${param} must be a date like 2025-08-16` };
+    range[op] = day[edge]('day').toDate();
+  }
+  if (Object.keys(range).length) filter.createdAt = range;
+
+  return { filter };
+}
+
+// Identifies a history.json entry so re-running the import doesn't duplicate it.
+// Entries have no id of their own, and two genuine sends can look the same down
+// to the second, so `repeat` counts the identical entries before this one in
+// the file. The first keeps the plain key, as earlier imports stored it.
+function legacyKeyFor(entry, repeat = 0) {
+  const fields = [entry.date, entry.setName || '', entry.message || '', entry.total];
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify(repeat ? [...fields, repeat] : fields))
+    .digest('hex');
+}
+
+// One-time import of the old history.json (written in server local time)
+async function importLegacyHistory(filePath, { timezone = DEFAULT_TIMEZONE } = {}) {
+  if (!fs.existsSync(filePath)) return { imported: 0, skipped: 0, invalid: 0 };
+
+  const raw = fs.readFileSync(filePath, 'utf8').trim();
+  const entries = raw ? JSON.parse(raw) : [];
+  if (!Array.isArray(entries)) throw new Error(`${filePath} does not contain a JSON array`);
+
+  const result = { imported: 0, skipped: 0, invalid: 0 };
+  // plain key -> identical entries seen so far
+  const seen = new Map();
+  for (const entry of entries) {
+    const at = moment.tz(String(entry?.date || ''), HISTORY_DATE_FORMAT, true, timezone);
+    if (!at.isValid()) {
+      result.invalid++;
+      continue;
+    }
+
+    const plainKey = legacyKeyFor(entry);
+    const repeat = seen.get(plainKey) || 0;
+    seen.set(plainKey, repeat + 1);
+    const legacyKey = repeat ? legacyKeyFor(entry, repeat) : plainKey;
+    if (await Campaign.exists({ legacyKey })) {
+      result.skipped++;
+      continue;
+    }
+
+    const campaign = new Campaign({
+      setName: entry.setName || '',
+      message: String(entry.message || ''),
+      status: 'completed',
+      total: Number(entry.total) || 0,
+      sent: Number(entry.sent) || 0,
+      failed: Number(entry.failed) || 0,
+      startedAt: at.toDate(),
+      finishedAt: at.toDate(),
+      legacyKey,
+    });
+    campaign.createdAt = at.toDate();
+    campaign.updatedAt = at.toDate();
+    await campaign.save({ timestamps: false });
+    result.imported++;
+  }
+  return result;
+}
+
+module.exports = { FINISHED_STATUSES, toHistoryItem, historyFilter, legacyKeyFor, importLegacyHistory };
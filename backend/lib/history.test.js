@@ -0,0 +1,72 @@
+// backend/lib/history.test.js
+//
+// Runs without Mongo: Campaign.exists and save() are stubbed by an in-memory
+// list of the imported campaigns.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Campaign = require('../models/Campaign');
+const { legacyKeyFor, importLegacyHistory, historyFilter } = require('./history');
+
+const entry = { date: '2025-08-16 09:30:00', setName: 'customers', message: 'Karibu!', total: 2, sent: 2, failed: 0 };
+
+function writeHistory(t, entries) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'history.json');
+  fs.writeFileSync(file, JSON.stringify(entries));
+  return file;
+}
+
+function stubCampaigns(t) {
+  const saved = [];
+  t.mock.method(Campaign, 'exists', async ({ legacyKey }) => saved.some((c) => c.legacyKey === legacyKey));
+  t.mock.method(Campaign.prototype, 'save', async function () {
+    saved.push(this);
+    return this;
+  });
+  return saved;
+}
+
+test('legacyKeyFor: the first copy keeps the plain key, repeats get their own', () => {
+  assert.equal(legacyKeyFor(entry), legacyKeyFor({ ...entry }));
+  assert.equal(legacyKeyFor(entry, 0), legacyKeyFor(entry));
+  assert.notEqual(legacyKeyFor(entry, 1), legacyKeyFor(entry));
+  assert.notEqual(legacyKeyFor(entry, 1), legacyKeyFor(entry, 2));
+  assert.notEqual(legacyKeyFor({ ...entry, total: 3 }), legacyKeyFor(entry));
+});
+
+test('identical entries are imported apart, and only once', async (t) => {
+  const saved = stubCampaigns(t);
+  const file = writeHistory(t, [entry, entry, { ...entry, setName: 'staff' }, { date: 'yesterday' }]);
+
+  assert.deepEqual(await importLegacyHistory(file, { timezone: 'Africa/Dar_es_Salaam' }), {
+    imported: 3,
+    skipped: 0,
+    invalid: 1,
+  });
+  assert.equal(new Set(saved.map((c) => c.legacyKey)).size, 3);
+  assert.equal(saved[0].legacyKey, legacyKeyFor(entry));
+  assert.equal(saved[0].createdAt.toISOString(), '2025-08-16T06:30:00.000Z');
+
+  // Running it again finds every one of them
+  assert.deepEqual(await importLegacyHistory(file), { imported: 0, skipped: 3, invalid: 1 });
+});
+
+test('a missing history file imports nothing', async () => {
+  assert.deepEqual(await importLegacyHistory(path.join(os.tmpdir(), 'no-such-history.json')), {
+    imported: 0,
+    skipped: 0,
+    invalid: 0,
+  });
+});
+
+test('historyFilter validates status and dates', () => {
+  assert.deepEqual(historyFilter({ status: 'running' }), { error: 'status must be one of completed, cancelled' });
+  assert.deepEqual(historyFilter({ from: '16/08/2025' }), { error: 'from must be a date like 2025-08-16' });
+  const { filter } = historyFilter({ setName: 'customers', from: '2025-08-16', to: '2025-08-16' });
+  assert.deepEqual(filter.$or, [{ setName: 'customers' }, { setNames: 'customers' }]);
+  assert.equal(filter.createdAt.$lte - filter.createdAt.$gte, 24 * 60 * 60 * 1000 - 1);
+});
@@ -0,0 +1,207 @@
+// backend/lib/inbox.js
+const Conversation = require('../models/Conversation');
+const InboxMessage = require('../models/InboxMessage');
+const ContactSet = require('../models/ContactSet');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const { phoneFromJid, messageText, messageMedia, toNumber } = require('./messageText');
+const { toJid } = require('./campaignRunner');
+
+const PREVIEW_LENGTH = 200;
+
+function preview(text, media) {
+  const value = text || (media ? `[${media.kind}]` : '');
+  return value.length > PREVIEW_LENGTH ? `${value.slice(0, PREVIEW_LENGTH)}…` : value;
+}
+
+function serializeConversation(conversation) {
+  return {
+    id: conversation._id.toString(),
+    phone: conversation.phone,
+    name: conversation.name,
+    setName: conversation.setName || null,
+    account: conversation.account || null,
+    lastMessageAt: conversation.lastMessageAt,
+    lastMessageText: conversation.lastMessageText,
+    lastDirection: conversation.lastDirection || null,
+    unread: conversation.unread,
+  };
+}
+
+// Where the number shows up in our data: contact (name + set) and the last campaign it was sent
+async function lookupContext(phone) {
+  const [set, recipient] = await Promise.all([
+    ContactSet.findOne({ 'contacts.phone': phone }, { name: 1, 'contacts.$': 1 }).sort({ updatedAt: -1 }),
+    CampaignRecipient.findOne({ phone, status: 'sent' }, 'campaign').sort({ sentAt: -1 }),
+  ]);
+  return {
+    setName: set?.name,
+    contactName: set?.contacts?.[0]?.name || '',
+    campaign: recipient?.campaign,
+  };
+}
+
+// Stores customer replies from every account and pushes them to the UI.
+// getAccounts() -> connected accounts: [{ name, sock }]; webhooks (lib/webhooks.js) is optional.
+function createInbox({ io, getAccounts, webhooks }) {
+  const socketFor = (name) => getAccounts().find((a) => a.name === name)?.sock || null;
+
+  function emitMessage(conversation, message) {
+    io.emit('inbox:message', { conversation: serializeConversation(conversation), message });
+  }
+
+  async function receive(msg, account) {
+    if (msg.key?.fromMe || !msg.message) return;
+    const phone = phoneFromJid(msg.key.remoteJid);
+    if (!phone) return;
+
+    const text = messageText(msg.message);
+    const media = messageMedia(msg.message);
+    // Protocol messages, reactions etc. have neither
+    if (!text && !media) return;
+
+    // Redelivered after a reconnect?
+    if (msg.key.id && (await InboxMessage.exists({ account, messageId: msg.key.id }))) return;
+
+    const { setName, contactName, campaign } = await lookupContext(phone);
+    const ts = toNumber(msg.messageTimestamp);
+    const sentAt = ts ? new Date(ts * 1000) : new Date();
+
+    const conversation = await Conversation.findOneAndUpdate(
+      { phone },
+      {
+        $set: {
+          account,
+          lastMessageAt: sentAt,
+          lastMessageText: preview(text, media),
+          lastDirection: 'in',
+          ...(setName ? { setName } : {}),
+        },
+        $setOnInsert: { name: contactName || msg.pushName || '' },
+        $inc: { unread: 1 },
+      },
+      { upsert: true, new: true }
+    );
+    // Fill in a name once we learn one
+    if (!conversation.name && (contactName || msg.pushName)) {
+      conversation.name = contactName || msg.pushName;
+      await conversation.save();
+    }
+
+    const message = await InboxMessage.create({
+      conversation: conversation._id,
+      phone,
+      direction: 'in',
+      account,
+      messageId: msg.key.id,
+      text,
+      media: media || undefined,
+      sentAt,
+      campaign,
+    });
+    console.log(`📥 Reply from ${phone} on "${account}"`);
+    emitMessage(conversation, message.toObject());
+    webhooks?.emit('message.received', {
+      conversationId: conversation._id.toString(),
+      messageId: message._id.toString(),
+      phone,
+      name: conversation.name,
+      setName: setName || null,
+      account,
+      text,
+      media: media || null,
+      sentAt,
+      campaignId: campaign ? campaign.toString() : null,
+    });
+  }
+
+  // sock.ev 'messages.upsert' for account `account`
+  async function onMessagesUpsert({ messages, type }, account) {
+    if (type !== 'notify') return;
+    for (const msg of messages || []) {
+      try {
+        await receive(msg, account);
+      } catch (err) {
+        // Duplicate key: the same message arrived twice at once
+        if (err?.code === 11000) continue;
+        console.error('❌ Failed to store incoming message:', err);
+      }
+    }
+  }
+
+  // Clears the unread count and sends read receipts for what we can
+  async function markRead(conversation) {
+    const unread = await InboxMessage.find(
+      { conversation: conversation._id, direction: 'in', readAt: null },
+      'account messageId'
+    );
+    const now = new Date();
+    await InboxMessage.updateMany({ _id: { $in: unread.map((m) => m._id) } }, { readAt: now });
+    conversation.unread = 0;
+    await conversation.save();
+
+    const byAccount = new Map();
+    for (const m of unread) {
+      if (!m.messageId) continue;
+      const key = { remoteJid: toJid(conversation.phone), id: m.messageId, fromMe: false };
+      byAccount.set(m.account, [...(byAccount.get(m.account) || []), key]);
+    }
+    for (const [account, keys] of byAccount) {
+      const sock = socketFor(account);
+      if (!sock) continue;
+      try {
+        await sock.readMessages(keys);
+      } catch (err) {
+        console.error(`❌ Failed to send read receipts to ${conversation.phone}:`, err);
+      }
+    }
+
+    io.emit('inbox:read', { id: conversation._id.toString(), phone: conversation.phone });
+    return conversation;
+  }
+
+  // Replies through `account`, else the account the customer wrote to, else any
+  // connected one. Throws with status 409 when none of those is connected.
+  async function reply(conversation, text, { user, account } = {}) {
+    const accounts = getAccounts();
+    const via = account
+      ? accounts.find((a) => a.name === account)
+      : accounts.find((a) => a.name === conversation.account) || accounts[0];
+    if (!via) {
+      const err = new Error(account ? `WhatsApp account "${account}" is not connected` : 'No WhatsApp account is connected');
+      err.status = 409;
+      throw err;
+    }
+
+    const sent = await via.sock.sendMessage(toJid(conversation.phone), { text });
+    return recordOutgoing(conversation.phone, { account: via.name, messageId: sent?.key?.id, text, user });
+  }
+
+  // Log something we sent to `phone` outside a campaign (inbox reply, auto-reply)
+  // in its conversation, creating the conversation if needed.
+  async function recordOutgoing(phone, { account, messageId, text = '', media, user, autoReplyRule }) {
+    const now = new Date();
+    const conversation = await Conversation.findOneAndUpdate(
+      { phone },
+      { $set: { lastMessageAt: now, lastMessageText: preview(text, media), lastDirection: 'out' } },
+      { upsert: true, new: true }
+    );
+    const message = await InboxMessage.create({
+      conversation: conversation._id,
+      phone,
+      direction: 'out',
+      account,
+      messageId,
+      text,
+      media: media || undefined,
+      sentAt: now,
+      user: user?._id,
+      autoReplyRule,
+    });
+    emitMessage(conversation, message.toObject());
+    return message;
+  }
+
+  return { onMessagesUpsert, markRead, reply, recordOutgoing };
+}
+
+module.exports = { createInbox, serializeConversation };
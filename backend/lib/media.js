@@ -0,0 +1,82 @@
+// backend/lib/media.js
+const fs = require('fs');
+const path = require('path');
+
+const MEDIA_DIR = path.join(__dirname, '..', 'uploads', 'media');
+
+const MB = 1024 * 1024;
+
+// What WhatsApp accepts, and how big it lets each kind be
+const KIND_LIMITS = {
+  image: 5 * MB,
+  video: 16 * MB,
+  audio: 16 * MB,
+  document: 100 * MB,
+};
+const MAX_MEDIA_SIZE = Math.max(...Object.values(KIND_LIMITS));
+
+const MIME_KINDS = {
+  'image/jpeg': 'image',
+  'image/png': 'image',
+  'image/webp': 'image',
+  'video/mp4': 'video',
+  'video/3gpp': 'video',
+  'audio/mpeg': 'audio',
+  'audio/mp4': 'audio',
+  'audio/aac': 'audio',
+  'audio/ogg': 'audio',
+  'audio/amr': 'audio',
+  'application/pdf': 'document',
+  'application/msword': 'document',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'document',
+  'application/vnd.ms-excel': 'document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'document',
+  'application/vnd.ms-powerpoint': 'document',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'document',
+  'text/plain': 'document',
+  'text/csv': 'document',
+};
+
+// Browsers send "audio/ogg; codecs=opus" etc.
+function baseMime(mimetype) {
+  return String(mimetype || '').split(';')[0].trim().toLowerCase();
+}
+
+function mediaKind(mimetype) {
+  return MIME_KINDS[baseMime(mimetype)] || null;
+}
+
+function mediaPath(media) {
+  return path.join(MEDIA_DIR, media.filename);
+}
+
+function ensureMediaDir() {
+  if (!fs.existsSync(MEDIA_DIR)) fs.mkdirSync(MEDIA_DIR, { recursive: true });
+}
+
+// Baileys message content for a media item. Audio can't carry a caption, so
+// the caller sends any caption as a separate text message.
+function buildMediaMessage(media, buffer, caption) {
+  const mimetype = baseMime(media.mimetype);
+  switch (media.kind) {
+    case 'image':
+      return { image: buffer, mimetype, caption: caption || undefined };
+    case 'video':
+      return { video: buffer, mimetype, caption: caption || undefined };
+    case 'audio':
+      // Ogg/Opus is what WhatsApp uses for voice notes
+      return { audio: buffer, mimetype, ptt: mimetype === 'audio/ogg' };
+    default:
+      return { document: buffer, mimetype, fileName: media.originalName, caption: caption || undefined };
+  }
+}
+
+module.exports = {
+  MEDIA_DIR,
+  KIND_LIMITS,
+  MAX_MEDIA_SIZE,
+  mediaKind,
+  mediaPath,
+  ensureMediaDir,
+  buildMediaMessage,
+};
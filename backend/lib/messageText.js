@@ -0,0 +1,68 @@
+// backend/lib/messageText.js
+
+// Phone part of a personal chat JID ("2557...:12@s.whatsapp.net" -> "2557..."); null for groups etc.
+function phoneFromJid(jid) {
+  if (!jid || !jid.endsWith('@s.whatsapp.net')) return null;
+  return jid.split('@')[0].split(':')[0] || null;
+}
+
+// protobuf numbers arrive as plain numbers or Long objects
+function toNumber(value) {
+  if (value == null) return undefined;
+  return typeof value.toNumber === 'function' ? value.toNumber() : Number(value);
+}
+
+// The real content of a Baileys message, without disappearing / view-once wrappers
+function unwrap(message) {
+  return (
+    message?.ephemeralMessage?.message ||
+    message?.viewOnceMessage?.message ||
+    message?.viewOnceMessageV2?.message ||
+    message?.documentWithCaptionMessage?.message ||
+    message
+  );
+}
+
+// Best-effort plain text of an incoming Baileys message
+function messageText(message) {
+  const m = unwrap(message);
+  if (!m) return '';
+  return (
+    m.conversation ||
+    m.extendedTextMessage?.text ||
+    m.imageMessage?.caption ||
+    m.videoMessage?.caption ||
+    m.documentMessage?.caption ||
+    m.buttonsResponseMessage?.selectedDisplayText ||
+    m.listResponseMessage?.title ||
+    ''
+  );
+}
+
+const MEDIA_TYPES = {
+  imageMessage: 'image',
+  videoMessage: 'video',
+  audioMessage: 'audio',
+  documentMessage: 'document',
+  stickerMessage: 'sticker',
+};
+
+// { kind, mimetype, fileName, size, seconds } for a media message, else null
+function messageMedia(message) {
+  const m = unwrap(message);
+  if (!m) return null;
+  for (const [type, kind] of Object.entries(MEDIA_TYPES)) {
+    const media = m[type];
+    if (!media) continue;
+    return {
+      kind,
+      mimetype: media.mimetype || undefined,
+      fileName: media.fileName || undefined,
+      size: toNumber(media.fileLength),
+      seconds: media.seconds || undefined,
+    };
+  }
+  return null;
+}
+
+module.exports = { phoneFromJid, messageText, messageMedia, toNumber };
@@ -0,0 +1,107 @@
+// backend/lib/optOut.js
+const Setting = require('../models/Setting');
+const Suppression = require('../models/Suppression');
+const { phoneFromJid, messageText } = require('./messageText');
+
+const SETTINGS_KEY = 'optOut';
+
+function envKeywords() {
+  return (process.env.OPT_OUT_KEYWORDS || 'STOP,ACHA,UNSUBSCRIBE,SITAKI')
+    .split(',')
+    .map((k) => k.trim())
+    .filter(Boolean);
+}
+
+const DEFAULT_SETTINGS = {
+  keywords: envKeywords(),
+  reply: process.env.OPT_OUT_REPLY || '',
+};
+
+// "Stop!" / " acha " -> "STOP" / "ACHA"
+function normalizeKeyword(text) {
+  return String(text || '')
+    .trim()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .toUpperCase();
+}
+
+async function getOptOutSettings() {
+  const doc = await Setting.findOne({ key: SETTINGS_KEY });
+  return { ...DEFAULT_SETTINGS, ...(doc?.value || {}) };
+}
+
+async function saveOptOutSettings({ keywords, reply }) {
+  const current = await getOptOutSettings();
+  const value = {
+    keywords: Array.isArray(keywords) ? [...new Set(keywords.map(normalizeKeyword).filter(Boolean))] : current.keywords,
+    reply: typeof reply === 'string' ? reply : current.reply,
+  };
+  await Setting.findOneAndUpdate({ key: SETTINGS_KEY }, { value }, { upsert: true });
+  return value;
+}
+
+// Which of `phones` are on the suppression list
+async function suppressedAmong(phones) {
+  const docs = await Suppression.find({ phone: { $in: phones } }, 'phone');
+  return new Set(docs.map((d) => d.phone));
+}
+
+async function isSuppressed(phone) {
+  return !!(await Suppression.exists({ phone }));
+}
+
+// Watches incoming messages for opt-out keywords. Only a message that is
+// nothing but a keyword counts, so "don't stop sending" isn't an opt-out.
+function createOptOutHandler({ io }) {
+  async function handle(msg, sock) {
+    if (msg.key?.fromMe) return;
+    const phone = phoneFromJid(msg.key?.remoteJid);
+    if (!phone) return;
+
+    const text = normalizeKeyword(messageText(msg.message));
+    if (!text) return;
+
+    const settings = await getOptOutSettings();
+    const keywords = settings.keywords.map(normalizeKeyword);
+    if (!keywords.includes(text)) return;
+
+    const existing = await Suppression.findOne({ phone });
+    if (existing) return;
+
+    await Suppression.create({ phone, reason: 'keyword', keyword: text });
+    console.log(`🚫 ${phone} opted out (${text})`);
+    io.emit('suppression:added', { phone, keyword: text });
+
+    if (settings.reply && sock) {
+      try {
+        await sock.sendMessage(msg.key.remoteJid, { text: settings.reply });
+      } catch (err) {
+        console.error(`❌ Failed to send opt-out confirmation to ${phone}:`, err);
+      }
+    }
+  }
+
+  // sock.ev 'messages.upsert'; `sock` is the account that received it
+  async function onMessagesUpsert({ messages, type }, sock) {
+    if (type !== 'notify') return;
+    for (const msg of messages || []) {
+      try {
+        await handle(msg, sock);
+      } catch (err) {
+        console.error('❌ Opt-out handling failed:', err);
+      }
+    }
+  }
+
+  return { onMessagesUpsert };
+}
+
+module.exports = {
+  createOptOutHandler,
+  normalizeKeyword,
+  getOptOutSettings,
+  saveOptOutSettings,
+  suppressedAmong,
+  isSuppressed,
+};
@@ -0,0 +1,159 @@
+// backend/lib/phone.js
+//
+// Phone normalization to international digits without "+" (e.g. 255712345678),
+// validated against a small per-country rulebook.
+
+// code: dialling code; lengths: national number lengths (without trunk 0);
+// prefixes: allowed first digit(s) of the national number (mobile ranges)
+const COUNTRIES = {
+  TZ: { name: 'Tanzania', code: '255', lengths: [9], prefixes: ['6', '7'] },
+  KE: { name: 'Kenya', code: '254', lengths: [9], prefixes: ['7', '1'] },
+  UG: { name: 'Uganda', code: '256', lengths: [9], prefixes: ['7'] },
+  RW: { name: 'Rwanda', code: '250', lengths: [9], prefixes: ['7'] },
+  BI: { name: 'Burundi', code: '257', lengths: [8], prefixes: ['6', '7'] },
+  CD: { name: 'DR Congo', code: '243', lengths: [9], prefixes: ['8', '9'] },
+  ZM: { name: 'Zambia', code: '260', lengths: [9], prefixes: ['7', '9'] },
+  MW: { name: 'Malawi', code: '265', lengths: [9], prefixes: ['8', '9'] },
+  MZ: { name: 'Mozambique', code: '258', lengths: [9], prefixes: ['8'] },
+  ZA: { name: 'South Africa', code: '27', lengths: [9], prefixes: ['6', '7', '8'] },
+  AE: { name: 'United Arab Emirates', code: '971', lengths: [9], prefixes: ['5'] },
+  IN: { name: 'India', code: '91', lengths: [10], prefixes: ['6', '7', '8', '9'] },
+  GB: { name: 'United Kingdom', code: '44', lengths: [10], prefixes: ['7'] },
+  AU: { name: 'Australia', code: '61', lengths: [9], prefixes: ['4'] },
+  US: { name: 'United States / Canada', code: '1', lengths: [10], prefixes: ['2', '3', '4', '5', '6', '7', '8', '9'] },
+};
+
+const DEFAULT_COUNTRY = (process.env.DEFAULT_COUNTRY || 'TZ').toUpperCase();
+
+// Longest codes first so "255" wins over a hypothetical "25"
+const BY_CODE = Object.entries(COUNTRIES).sort((a, b) => b[1].code.length - a[1].code.length);
+
+function isCountry(iso) {
+  return !!COUNTRIES[String(iso || '').toUpperCase()];
+}
+
+function resolveCountry(...candidates) {
+  for (const c of candidates) {
+    if (isCountry(c)) return String(c).toUpperCase();
+  }
+  return DEFAULT_COUNTRY;
+}
+
+function checkNational(iso, national) {
+  const rule = COUNTRIES[iso];
+  if (!rule.lengths.includes(national.length)) {
+    return `${rule.name} numbers need ${rule.lengths.join(' or ')} digits after +${rule.code}`;
+  }
+  if (!rule.prefixes.some((p) => national.startsWith(p))) {
+    return `Not a ${rule.name} mobile number`;
+  }
+  return null;
+}
+
+// A number that already carries a country code (with or without "+")
+function matchInternational(digits) {
+  for (const [iso, rule] of BY_CODE) {
+    if (!digits.startsWith(rule.code)) continue;
+    const national = digits.slice(rule.code.length);
+    if (!checkNational(iso, national)) return { iso, national };
+  }
+  return null;
+}
+
+// normalizePhone('0712 345 678', { country: 'TZ' })
+//   -> { ok: true, phone: '255712345678', country: 'TZ', changed: true }
+// normalizePhone('12345') -> { ok: false, reason: '...' }
+// `changed` means the digits differ from what was typed (formatting aside).
+function normalizePhone(raw, { country } = {}) {
+  const input = String(raw ?? '').trim();
+  const typed = input.replace(/\D/g, '');
+  if (!typed) return { ok: false, reason: 'No digits in phone number' };
+  let digits = typed;
+
+  const iso = resolveCountry(country);
+  // Compared with the digits as typed, so dropping a "00" prefix counts as a change
+  const done = (phone, matched) => ({ ok: true, phone, country: matched, changed: phone !== typed });
+
+  // "+" or the "00" dialling prefix mark an explicit international number
+  const explicit = input.startsWith('+') || digits.startsWith('00');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+
+  if (explicit) {
+    const rule = BY_CODE.find(([, r]) => digits.startsWith(r.code));
+    if (!rule) return { ok: false, reason: 'Unsupported country code' };
+    const [matchedIso, { code }] = rule;
+    const problem = checkNational(matchedIso, digits.slice(code.length));
+    if (problem) return { ok: false, reason: problem };
+    return done(digits, matchedIso);
+  }
+
+  const rule = COUNTRIES[iso];
+
+  // 0712...: national format with trunk prefix
+  if (digits.startsWith('0')) {
+    const national = digits.replace(/^0+/, '');
+    const problem = checkNational(iso, national);
+    if (problem) return { ok: false, reason: problem };
+    return done(rule.code + national, iso);
+  }
+
+  // 255712... typed without "+": prefer the default country, then any other
+  if (digits.startsWith(rule.code) && !checkNational(iso, digits.slice(rule.code.length))) {
+    return done(digits, iso);
+  }
+
+  // 712345678: bare national number in the default country
+  if (!checkNational(iso, digits)) return done(rule.code + digits, iso);
+
+  const intl = matchInternational(digits);
+  if (intl) return done(digits, intl.iso);
+
+  return { ok: false, reason: checkNational(iso, digits) };
+}
+
+// E.164 allows at most 15 digits; nothing real is shorter than 8 with its country code
+const E164_MIN = 8;
+const E164_MAX = 15;
+
+// A number WhatsApp itself reported (a member's JID), so it is known to be real.
+// The rulebook above is for hand-typed input and only knows a few countries;
+// here the digits are kept as they are and only their length is checked.
+//   verifiedPhone('4915112345678') -> { ok: true, phone: '4915112345678', country: null, changed: false }
+function verifiedPhone(raw) {
+  const digits = String(raw ?? '').replace(/\D/g, '');
+  if (digits.length < E164_MIN || digits.length > E164_MAX) {
+    return { ok: false, reason: `International numbers have ${E164_MIN} to ${E164_MAX} digits` };
+  }
+  const known = matchInternational(digits);
+  return { ok: true, phone: digits, country: known ? known.iso : null, changed: false };
+}
+
+// Collects per-row outcomes for an import (CSV, Google, manual add...)
+function createImportReport() {
+  const report = { accepted: 0, rejected: [], duplicates: [], changed: [] };
+  return {
+    accept: () => report.accepted++,
+    reject: (row, value, reason) => report.rejected.push({ row, value: String(value ?? ''), reason }),
+    duplicate: (row, phone) => report.duplicates.push({ row, phone }),
+    change: (row, from, to) => report.changed.push({ row, from: String(from ?? ''), to }),
+    toJSON: () => ({
+      counts: {
+        accepted: report.accepted,
+        rejected: report.rejected.length,
+        duplicates: report.duplicates.length,
+        changed: report.changed.length,
+      },
+      ...report,
+    }),
+  };
+}
+
+module.exports = {
+  COUNTRIES,
+  DEFAULT_COUNTRY,
+  isCountry,
+  resolveCountry,
+  normalizePhone,
+  verifiedPhone,
+  createImportReport,
+};
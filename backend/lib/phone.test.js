@@ -0,0 +1,80 @@
+// backend/lib/phone.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePhone, verifiedPhone, resolveCountry, createImportReport } = require('./phone');
+
+test('national format with trunk 0 gets the country code', () => {
+  assert.deepEqual(normalizePhone('0712 345 678', { country: 'TZ' }), {
+    ok: true,
+    phone: '255712345678',
+    country: 'TZ',
+    changed: true,
+  });
+  assert.equal(normalizePhone('0712345678', { country: 'KE' }).phone, '254712345678');
+});
+
+test('bare national number uses the given country', () => {
+  const result = normalizePhone('712345678', { country: 'TZ' });
+  assert.equal(result.phone, '255712345678');
+  assert.equal(result.changed, true);
+});
+
+test('"+" and "00" mark an international number whatever the country', () => {
+  assert.deepEqual(normalizePhone('+254 712 345 678', { country: 'TZ' }), {
+    ok: true,
+    phone: '254712345678',
+    country: 'KE',
+    changed: false,
+  });
+  const dialled = normalizePhone('00447911123456', { country: 'TZ' });
+  assert.equal(dialled.phone, '447911123456');
+  assert.equal(dialled.country, 'GB');
+  assert.equal(dialled.changed, true);
+});
+
+test('digits with a country code but no "+" are recognised', () => {
+  const own = normalizePhone('255712345678', { country: 'TZ' });
+  assert.equal(own.phone, '255712345678');
+  assert.equal(own.changed, false);
+  const other = normalizePhone('256712345678', { country: 'TZ' });
+  assert.equal(other.phone, '256712345678');
+  assert.equal(other.country, 'UG');
+});
+
+test('invalid numbers say why', () => {
+  assert.deepEqual(normalizePhone(''), { ok: false, reason: 'No digits in phone number' });
+  assert.deepEqual(normalizePhone('+999 123 456 789'), { ok: false, reason: 'Unsupported country code' });
+  assert.match(normalizePhone('071234', { country: 'TZ' }).reason, /need 9 digits/);
+  assert.match(normalizePhone('0512345678', { country: 'TZ' }).reason, /Not a Tanzania mobile number/);
+});
+
+test('verifiedPhone keeps WhatsApp digits outside the rulebook', () => {
+  assert.deepEqual(verifiedPhone('4915112345678'), {
+    ok: true,
+    phone: '4915112345678',
+    country: null,
+    changed: false,
+  });
+  assert.equal(verifiedPhone('+255 712 345 678').country, 'TZ');
+});
+
+test('verifiedPhone checks the E.164 length', () => {
+  assert.equal(verifiedPhone('1234567').ok, false);
+  assert.equal(verifiedPhone('1234567890123456').ok, false);
+  assert.equal(verifiedPhone('12345678').ok, true);
+});
+
+test('resolveCountry takes the first supported candidate', () => {
+  assert.equal(resolveCountry(undefined, 'xx', 'ke', 'UG'), 'KE');
+});
+
+test('import report counts each outcome', () => {
+  const report = createImportReport();
+  report.accept();
+  report.reject(2, '123', 'Too short');
+  report.duplicate(3, '255712345678');
+  report.change(4, '0712345678', '255712345678');
+  const { counts, rejected } = report.toJSON();
+  assert.deepEqual(counts, { accepted: 1, rejected: 1, duplicates: 1, changed: 1 });
+  assert.deepEqual(rejected, [{ row: 2, value: '123', reason: 'Too short' }]);
+});
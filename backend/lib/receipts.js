@@ -0,0 +1,109 @@
+// backend/lib/receipts.js
+const CampaignRecipient = require('../models/CampaignRecipient');
+const TransactionalMessage = require('../models/TransactionalMessage');
+
+// proto.WebMessageInfo.Status values Baileys reports in `messages.update`
+const WA_STATUS = { SERVER_ACK: 2, DELIVERY_ACK: 3, READ: 4, PLAYED: 5 };
+
+const DELIVERY_STEPS = [
+  { delivery: 'server_ack', field: 'serverAckAt' },
+  { delivery: 'delivered', field: 'deliveredAt' },
+  { delivery: 'read', field: 'readAt' },
+];
+
+function stepsFor(status) {
+  if (status >= WA_STATUS.READ) return DELIVERY_STEPS;
+  if (status >= WA_STATUS.DELIVERY_ACK) return DELIVERY_STEPS.slice(0, 2);
+  if (status >= WA_STATUS.SERVER_ACK) return DELIVERY_STEPS.slice(0, 1);
+  return [];
+}
+
+const DELIVERIES = DELIVERY_STEPS.map((s) => s.delivery);
+
+// One atomic update for a receipt that reached `steps`: each step's time is set
+// if it is still missing, and `delivery` moves up to the last step but never
+// back. Matches only a message with a step still missing, so a repeat is a no-op.
+function receiptUpdate(messageId, steps, at) {
+  const filter = { messageId, $or: steps.map((step) => ({ [step.field]: null })) };
+  const rank = DELIVERIES.indexOf(steps[steps.length - 1].delivery);
+  const set = {
+    delivery: {
+      $arrayElemAt: [{ $literal: DELIVERIES }, { $max: [{ $indexOfArray: [{ $literal: DELIVERIES }, '$delivery'] }, rank] }],
+    },
+  };
+  for (const step of steps) set[step.field] = { $ifNull: [`$${step.field}`, at] };
+  return [filter, [{ $set: set }]];
+}
+
+// Records server-ack / delivered / read times against campaign recipients and
+// transactional messages.
+// Receipts can arrive out of order, repeat or race each other, so every step
+// is written in one atomic update that only ever moves it forward.
+// webhooks (lib/webhooks.js) is optional.
+function createReceiptTracker({ io, webhooks }) {
+  async function record(messageId, status, at = new Date()) {
+    const steps = stepsFor(status);
+    if (!messageId || !steps.length) return;
+
+    // The document as it was just before this update, so racing receipts each
+    // see exactly which steps they were first to reach
+    const [filter, update] = receiptUpdate(messageId, steps, at);
+    let before = await CampaignRecipient.findOneAndUpdate(filter, update).lean();
+    const transactional = !before;
+    if (transactional) before = await TransactionalMessage.findOneAndUpdate(filter, update).lean();
+    if (!before) return;
+
+    const reachedNow = steps.filter((step) => !before[step.field]).map((step) => step.delivery);
+    const recipient = { ...before };
+    for (const step of steps) recipient[step.field] = before[step.field] || at;
+    const reached = steps[steps.length - 1].delivery;
+    if (DELIVERIES.indexOf(reached) > DELIVERIES.indexOf(before.delivery)) recipient.delivery = reached;
+
+    const receipt = {
+      ...(transactional
+        ? { messageId: recipient._id.toString() }
+        : { campaignId: recipient.campaign.toString(), recipientId: recipient._id.toString() }),
+      phone: recipient.phone,
+      delivery: recipient.delivery,
+      serverAckAt: recipient.serverAckAt,
+      deliveredAt: recipient.deliveredAt,
+      readAt: recipient.readAt,
+    };
+    io.emit('receipt', receipt);
+    if (reachedNow.includes('delivered')) webhooks?.emit('message.delivered', receipt);
+    if (reachedNow.includes('read')) webhooks?.emit('message.read', receipt);
+  }
+
+  // sock.ev 'messages.update'
+  async function onMessagesUpdate(updates) {
+    for (const { key, update } of updates || []) {
+      if (!key?.fromMe || update?.status == null) continue;
+      try {
+        await record(key.id, update.status);
+      } catch (err) {
+        console.error('❌ Failed to record message status:', err);
+      }
+    }
+  }
+
+  // sock.ev 'message-receipt.update' (per-user receipts, timestamps in seconds)
+  async function onReceiptUpdate(updates) {
+    for (const { key, receipt } of updates || []) {
+      if (!key?.fromMe || !receipt) continue;
+      try {
+        if (receipt.readTimestamp || receipt.playedTimestamp) {
+          const ts = Number(receipt.readTimestamp || receipt.playedTimestamp);
+          await record(key.id, WA_STATUS.READ, new Date(ts * 1000));
+        } else if (receipt.receiptTimestamp) {
+          await record(key.id, WA_STATUS.DELIVERY_ACK, new Date(Number(receipt.receiptTimestamp) * 1000));
+        }
+      } catch (err) {
+        console.error('❌ Failed to record message receipt:', err);
+      }
+    }
+  }
+
+  return { record, onMessagesUpdate, onReceiptUpdate };
+}
+
+module.exports = { createReceiptTracker, receiptUpdate, WA_STATUS };
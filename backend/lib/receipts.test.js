@@ -0,0 +1,119 @@
+// backend/lib/receipts.test.js
+//
+// Runs without Mongo: findOneAndUpdate is stubbed with a small evaluator for
+// the few aggregation operators receiptUpdate() uses.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const TransactionalMessage = require('../models/TransactionalMessage');
+const { createReceiptTracker, receiptUpdate, WA_STATUS } = require('./receipts');
+
+function evaluate(expr, doc) {
+  if (typeof expr === 'string' && expr.startsWith('$')) return doc[expr.slice(1)] ?? null;
+  if (expr == null || typeof expr !== 'object' || expr instanceof Date) return expr;
+  const [[op, args]] = Object.entries(expr);
+  if (op === '$literal') return args;
+  const values = args.map((arg) => evaluate(arg, doc));
+  switch (op) {
+    case '$arrayElemAt':
+      return values[0][values[1]];
+    case '$indexOfArray':
+      return values[0].indexOf(values[1]);
+    case '$max':
+      return Math.max(...values);
+    case '$ifNull':
+      return values[0] ?? values[1];
+    default:
+      throw new Error(`Unsupported operator ${op}`);
+  }
+}
+
+function matches(filter, doc) {
+  return filter.messageId === doc.messageId && filter.$or.some((cond) => Object.keys(cond).every((f) => doc[f] == null));
+}
+
+// One stored recipient; findOneAndUpdate applies the pipeline and resolves with
+// the document as it was before, like the real thing without `new: true`
+function stubStore(t, doc) {
+  t.mock.method(CampaignRecipient, 'findOneAndUpdate', (filter, pipeline) => ({
+    lean: async () => {
+      await new Promise((resolve) => setImmediate(resolve));
+      if (!matches(filter, doc)) return null;
+      const before = { ...doc };
+      for (const [field, expr] of Object.entries(pipeline[0].$set)) doc[field] = evaluate(expr, before);
+      return before;
+    },
+  }));
+  t.mock.method(TransactionalMessage, 'findOneAndUpdate', () => ({ lean: async () => null }));
+}
+
+function tracker() {
+  const sent = [];
+  const hooks = [];
+  const receipts = createReceiptTracker({
+    io: { emit: (event, data) => sent.push([event, data]) },
+    webhooks: { emit: (event, data) => hooks.push([event, data]) },
+  });
+  return { receipts, sent, hooks };
+}
+
+function recipient() {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    campaign: new mongoose.Types.ObjectId(),
+    messageId: 'ABC',
+    phone: '255712345678',
+    delivery: 'sent',
+    serverAckAt: null,
+    deliveredAt: null,
+    readAt: null,
+  };
+}
+
+const t1 = new Date('2025-08-16T09:00:00Z');
+const t2 = new Date('2025-08-16T09:00:05Z');
+
+test('receiptUpdate only matches a message with a step still missing', () => {
+  const [filter] = receiptUpdate('ABC', [{ field: 'serverAckAt' }, { field: 'deliveredAt', delivery: 'delivered' }], t1);
+  assert.deepEqual(filter, { messageId: 'ABC', $or: [{ serverAckAt: null }, { deliveredAt: null }] });
+});
+
+test('a late "delivered" never moves a read message back', async (t) => {
+  const doc = { ...recipient(), delivery: 'read', serverAckAt: t1, deliveredAt: null, readAt: t1 };
+  stubStore(t, doc);
+  const { receipts, hooks } = tracker();
+
+  await receipts.record('ABC', WA_STATUS.DELIVERY_ACK, t2);
+  assert.equal(doc.delivery, 'read');
+  assert.equal(doc.deliveredAt, t2);
+  assert.equal(doc.serverAckAt, t1);
+  assert.deepEqual(hooks.map(([event]) => event), ['message.delivered']);
+});
+
+test('racing receipts each report only the steps they reached first', async (t) => {
+  const doc = recipient();
+  stubStore(t, doc);
+  const { receipts, sent, hooks } = tracker();
+
+  await Promise.all([
+    receipts.record('ABC', WA_STATUS.DELIVERY_ACK, t1),
+    receipts.record('ABC', WA_STATUS.READ, t2),
+    receipts.record('ABC', WA_STATUS.DELIVERY_ACK, t1),
+  ]);
+  assert.equal(doc.delivery, 'read');
+  assert.equal(doc.deliveredAt, t1);
+  assert.equal(doc.readAt, t2);
+  assert.deepEqual(hooks.map(([event]) => event), ['message.delivered', 'message.read']);
+  // The repeat matched nothing, so it emitted nothing
+  assert.equal(sent.length, 2);
+  assert.equal(sent[0][1].campaignId, doc.campaign.toString());
+});
+
+test('a receipt for an unknown message is ignored', async (t) => {
+  stubStore(t, recipient());
+  const { receipts, sent } = tracker();
+  await receipts.record('XYZ', WA_STATUS.READ, t1);
+  await receipts.record('ABC', 0, t1);
+  assert.deepEqual(sent, []);
+});
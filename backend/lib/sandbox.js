@@ -0,0 +1,260 @@
+// backend/lib/sandbox.js
+//
+// A pretend WhatsApp for testing. Its sockets have the parts of the Baileys
+// socket the backend uses (ev, sendMessage, onWhatsApp, groups, ...) but
+// nothing leaves the machine: every outgoing message is recorded with its
+// rendered content, and delivery, read, failure and reply events are
+// simulated from a configurable profile.
+//
+// Used for dry-run campaigns, and for the whole server with WA_TRANSPORT=sandbox
+// (see app.js and scripts/sandbox.js).
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { ERROR_CODES } = require('./sendErrors');
+const { phoneFromJid } = require('./messageText');
+const { WA_STATUS } = require('./receipts');
+
+const MAX_RECORDED = 5000;
+// Phone number the sandbox's own accounts pretend to have
+const SANDBOX_PHONE = '10000000000';
+
+const DEFAULT_CONFIG = {
+  // Share of sends that throw, and the failure they simulate (see lib/sendErrors.js)
+  failureRate: 0,
+  failureCode: 'timeout',
+  // Numbers that aren't on WhatsApp: sends to them fail and lookups say no
+  notOnWhatsApp: [],
+  // Share of sent messages that get delivered / read / a reply, and how long each takes
+  deliveryRate: 1,
+  readRate: 0.5,
+  replyRate: 0,
+  replies: ['Thanks!'],
+  deliveredAfterMs: 1000,
+  readAfterMs: 3000,
+  replyAfterMs: 5000,
+  // Groups every sandbox account is in: [{ id: '...@g.us', subject, participants: [phone] }]
+  groups: [],
+};
+
+// Errors shaped like the ones Baileys throws, so classifySendError() sorts them the same way
+const FAILURES = {
+  not_on_whatsapp: () => new Error('item-not-found'),
+  disconnected: () => new Error('Connection Closed'),
+  timeout: () => new Error('Timed Out'),
+  rate_limited: () => Object.assign(new Error('rate-overlimit'), { data: { statusCode: 429 } }),
+  session_error: () => new Error('No sessions'),
+  unknown: () => new Error('Sandbox send failure'),
+};
+
+// Validate a config update merged over the current one. Returns { value } or { error }.
+function parseSandboxConfig(body, current = DEFAULT_CONFIG) {
+  if (typeof body !== 'object' || body == null || Array.isArray(body)) return { error: 'config must be an object' };
+  const value = { ...current, ...body };
+
+  for (const key of ['failureRate', 'deliveryRate', 'readRate', 'replyRate']) {
+    value[key] = Number(value[key]);
+    if (!Number.isFinite(value[key]) || value[key] < 0 || value[key] > 1) {
+      return { error: `${key} must be a number between 0 and 1` };
+    }
+  }
+  for (const key of ['deliveredAfterMs', 'readAfterMs', 'replyAfterMs']) {
+    value[key] = Number(value[key]);
+    if (!Number.isFinite(value[key]) || value[key] < 0) return { error: `${key} must be a number >= 0` };
+  }
+  if (!ERROR_CODES.includes(value.failureCode)) {
+    return { error: `failureCode must be one of ${ERROR_CODES.join(', ')}` };
+  }
+  if (!Array.isArray(value.notOnWhatsApp)) return { error: 'notOnWhatsApp must be an array of phones' };
+  value.notOnWhatsApp = value.notOnWhatsApp.map((p) => String(p).replace(/\D/g, '')).filter(Boolean);
+  if (!Array.isArray(value.replies) || !value.replies.length) return { error: 'replies must list at least one text' };
+  value.replies = value.replies.map(String);
+  if (!Array.isArray(value.groups)) return { error: 'groups must be an array' };
+  return { value };
+}
+
+// What a Baileys message content object amounts to, for the record
+function describeContent(content = {}) {
+  for (const kind of ['image', 'video', 'audio', 'document']) {
+    if (content[kind]) {
+      return {
+        kind,
+        text: content.caption || '',
+        mimetype: content.mimetype,
+        fileName: content.fileName,
+        size: content[kind].length,
+      };
+    }
+  }
+  return { kind: 'text', text: content.text || '' };
+}
+
+// options: a config patch (see DEFAULT_CONFIG); `random` for predictable runs
+function createSandboxTransport(options = {}) {
+  const { random = Math.random, ...patch } = options;
+  const initial = parseSandboxConfig(patch);
+  if (initial.error) throw new Error(`Invalid sandbox config: ${initial.error}`);
+  let config = initial.value;
+  let recorded = [];
+  const timers = new Set();
+
+  function later(ms, fn) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, ms);
+    timers.add(timer);
+  }
+
+  function record(entry) {
+    recorded.push(entry);
+    if (recorded.length > MAX_RECORDED) recorded = recorded.slice(-MAX_RECORDED);
+  }
+
+  function groupMeta(group) {
+    return {
+      id: group.id,
+      subject: group.subject || '',
+      creation: Math.floor(Date.now() / 1000),
+      announce: !!group.announce,
+      participants: [SANDBOX_PHONE, ...(group.participants || [])].map((phone, i) => ({
+        id: `${String(phone).replace(/\D/g, '')}@s.whatsapp.net`,
+        admin: i === 0 ? 'admin' : null,
+      })),
+    };
+  }
+
+  // A socket for `account`; it reports `open` right away
+  function createSocket(account) {
+    const name = account?.name || 'sandbox';
+    const ev = new EventEmitter();
+    let closed = false;
+
+    // Receipts and replies for a message that "went out"
+    function simulate(entry) {
+      const key = { id: entry.id, remoteJid: entry.to, fromMe: true };
+      const update = (status) => ev.emit('messages.update', [{ key, update: { status } }]);
+      later(0, () => update(WA_STATUS.SERVER_ACK));
+      if (random() >= config.deliveryRate) return;
+      later(config.deliveredAfterMs, () => {
+        entry.deliveredAt = new Date();
+        update(WA_STATUS.DELIVERY_ACK);
+      });
+      if (random() < config.readRate) {
+        later(Math.max(config.readAfterMs, config.deliveredAfterMs), () => {
+          entry.readAt = new Date();
+          update(WA_STATUS.READ);
+        });
+      }
+      if (!entry.phone || random() >= config.replyRate) return;
+      later(config.replyAfterMs, () => {
+        const text = config.replies[Math.floor(random() * config.replies.length)];
+        entry.repliedAt = new Date();
+        entry.reply = text;
+        ev.emit('messages.upsert', {
+          type: 'notify',
+          messages: [
+            {
+              key: { id: `SANDBOX${crypto.randomBytes(8).toString('hex').toUpperCase()}`, remoteJid: entry.to, fromMe: false },
+              message: { conversation: text },
+              messageTimestamp: Math.floor(Date.now() / 1000),
+              pushName: 'Sandbox',
+            },
+          ],
+        });
+      });
+    }
+
+    const sock = {
+      ev,
+      user: { id: `${SANDBOX_PHONE}:1@s.whatsapp.net`, name: `Sandbox (${name})` },
+
+      async sendMessage(jid, content) {
+        if (closed) throw FAILURES.disconnected();
+        const phone = phoneFromJid(jid);
+        const entry = {
+          id: `SANDBOX${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+          account: name,
+          to: jid,
+          phone,
+          ...describeContent(content),
+          sentAt: new Date(),
+        };
+
+        let failure = null;
+        if (phone && config.notOnWhatsApp.includes(phone)) failure = 'not_on_whatsapp';
+        else if (random() < config.failureRate) failure = config.failureCode;
+        if (failure) {
+          const err = FAILURES[failure]();
+          record({ ...entry, status: 'failed', error: err.message });
+          throw err;
+        }
+
+        entry.status = 'sent';
+        record(entry);
+        simulate(entry);
+        return { key: { id: entry.id, remoteJid: jid, fromMe: true }, message: content };
+      },
+
+      async onWhatsApp(...jids) {
+        return jids.map((jid) => ({ jid, exists: !config.notOnWhatsApp.includes(phoneFromJid(jid)) }));
+      },
+
+      async groupFetchAllParticipating() {
+        return Object.fromEntries(config.groups.map((g) => [g.id, groupMeta(g)]));
+      },
+
+      async groupMetadata(jid) {
+        const group = config.groups.find((g) => g.id === jid);
+        if (!group) throw new Error('item-not-found');
+        return groupMeta(group);
+      },
+
+      async readMessages() {},
+
+      async logout() {
+        closed = true;
+        ev.emit('connection.update', { connection: 'close', lastDisconnect: { error: { output: { statusCode: 401 } } } });
+      },
+
+      end() {
+        closed = true;
+        ev.emit('connection.update', { connection: 'close' });
+      },
+    };
+
+    later(0, () => {
+      if (!closed) ev.emit('connection.update', { connection: 'open' });
+    });
+    return sock;
+  }
+
+  return {
+    name: 'sandbox',
+    // Transport interface (see lib/transport.js)
+    connect: async ({ account }) => createSocket(account),
+    isLoggedOut: (lastDisconnect) => lastDisconnect?.error?.output?.statusCode === 401,
+    createSocket,
+
+    getConfig: () => config,
+    // Merge `patch` into the profile -> { value } or { error }
+    configure(patch) {
+      const parsed = parseSandboxConfig(patch, config);
+      if (parsed.value) config = parsed.value;
+      return parsed;
+    },
+    // Recorded outgoing messages, oldest first. { account, phone } narrow it down.
+    messages({ account, phone } = {}) {
+      return recorded.filter((m) => (!account || m.account === account) && (!phone || m.phone === phone));
+    },
+    clear() {
+      recorded = [];
+    },
+    // Cancel pending simulated events
+    stop() {
+      for (const timer of timers) clearTimeout(timer);
+      timers.clear();
+    },
+  };
+}
+
+module.exports = { createSandboxTransport, parseSandboxConfig, DEFAULT_CONFIG };
@@ -0,0 +1,234 @@
+// backend/lib/scheduler.js
+const moment = require('moment-timezone');
+const Schedule = require('../models/Schedule');
+const ContactSet = require('../models/ContactSet');
+
+const DEFAULT_TIMEZONE = process.env.TIMEZONE || 'Africa/Dar_es_Salaam';
+const SCHEDULE_TYPES = ['once', 'daily', 'weekly', 'monthly'];
+const TICK_MS = 30 * 1000;
+// A run that fires later than this after its slot is reported as delayed
+const LATE_MS = 2 * 60 * 1000;
+const MAX_RUNS_KEPT = 50;
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function matchesDay(schedule, day) {
+  switch (schedule.type) {
+    case 'weekly':
+      return (schedule.weekdays || []).includes(day.day());
+    case 'monthly':
+      return day.date() === Math.min(schedule.dayOfMonth, day.daysInMonth());
+    default:
+      return true;
+  }
+}
+
+// Next time `schedule` should fire strictly after `after`, or null if never
+function nextOccurrence(schedule, after = new Date()) {
+  if (schedule.type === 'once') {
+    return schedule.runAt && schedule.runAt > after ? schedule.runAt : null;
+  }
+
+  const [, hh, mm] = TIME_RE.exec(schedule.time || '') || [];
+  if (hh == null) return null;
+
+  const day = moment.tz(after, schedule.timezone || DEFAULT_TIMEZONE).startOf('day');
+  // 13 months covers every monthly / weekly pattern
+  for (let i = 0; i < 400; i++, day.add(1, 'day')) {
+    if (!matchesDay(schedule, day)) continue;
+    const candidate = day.clone().hour(Number(hh)).minute(Number(mm));
+    if (candidate.toDate() > after) return candidate.toDate();
+  }
+  return null;
+}
+
+function upcomingRuns(schedule, count = 5) {
+  const out = [];
+  let cursor = new Date();
+  if (schedule.status !== 'active') return out;
+  while (out.length < count) {
+    const next = nextOccurrence(schedule, cursor);
+    if (!next) break;
+    out.push(next);
+    cursor = next;
+  }
+  return out;
+}
+
+// Validate a create/update body merged over the current schedule (if any).
+// Returns { error } or { value } with only the scheduling fields normalised.
+function parseScheduleInput(body, current = {}) {
+  const input = { ...current, ...body };
+  const value = {};
+
+  value.setName = String(input.setName || '').trim();
+  if (!value.setName) return { error: 'setName is required' };
+
+  value.timezone = input.timezone || DEFAULT_TIMEZONE;
+  if (!moment.tz.zone(value.timezone)) return { error: `Unknown timezone: ${value.timezone}` };
+
+  value.type = input.type;
+  if (!SCHEDULE_TYPES.includes(value.type)) {
+    return { error: `type must be one of ${SCHEDULE_TYPES.join(', ')}` };
+  }
+
+  if (input.graceMinutes != null) {
+    value.graceMinutes = Number(input.graceMinutes);
+    if (!Number.isFinite(value.graceMinutes) || value.graceMinutes < 0) {
+      return { error: 'graceMinutes must be a non-negative number' };
+    }
+  }
+
+  if (value.type === 'once') {
+    // "2025-09-05 09:00" is read in the schedule's timezone; ISO strings keep their offset
+    const at = input.runAt instanceof Date
+      ? moment(input.runAt)
+      : moment.tz(String(input.runAt || ''), [moment.ISO_8601, 'YYYY-MM-DD HH:mm'], true, value.timezone);
+    if (!at.isValid()) return { error: 'runAt must be a date/time such as "2025-09-05 09:00"' };
+    value.runAt = at.toDate();
+    return { value };
+  }
+
+  value.time = String(input.time || '').trim();
+  if (!TIME_RE.test(value.time)) return { error: 'time must be HH:mm (24h)' };
+
+  if (value.type === 'weekly') {
+    const days = Array.isArray(input.weekdays) ? input.weekdays.map(Number) : [];
+    if (!days.length || days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return { error: 'weekdays must list days 0-6 (0 = Sunday)' };
+    }
+    value.weekdays = [...new Set(days)].sort();
+  }
+
+  if (value.type === 'monthly') {
+    value.dayOfMonth = Number(input.dayOfMonth);
+    if (!Number.isInteger(value.dayOfMonth) || value.dayOfMonth < 1 || value.dayOfMonth > 31) {
+      return { error: 'dayOfMonth must be 1-31' };
+    }
+  }
+
+  return { value };
+}
+
+// Polls Mongo for due schedules and turns each into a queued campaign
+function createScheduler({ campaignRunner, isConnected, io }) {
+  let timer = null;
+  let ticking = false;
+
+  function emitRun(schedule, run) {
+    io.emit('schedule:run', { scheduleId: schedule._id.toString(), ...run });
+  }
+
+  function recordRun(schedule, scheduledFor, run) {
+    const existing = schedule.runs.find((r) => r.scheduledFor.getTime() === scheduledFor.getTime());
+    if (existing) Object.assign(existing, run);
+    else schedule.runs.push({ scheduledFor, ...run });
+    if (schedule.runs.length > MAX_RUNS_KEPT) schedule.runs = schedule.runs.slice(-MAX_RUNS_KEPT);
+    emitRun(schedule, { scheduledFor, ...run });
+    return !!existing;
+  }
+
+  function advance(schedule, now) {
+    schedule.nextRunAt = nextOccurrence(schedule, now);
+    if (!schedule.nextRunAt) schedule.status = 'completed';
+  }
+
+  async function fire(schedule) {
+    const set = await ContactSet.findOne({ name: schedule.setName });
+    if (!set) throw new Error(`Set "${schedule.setName}" not found`);
+    if (!set.contacts.length) throw new Error('Set has no contacts');
+
+    return campaignRunner.enqueue({
+      setName: set.name,
+      message: schedule.message,
+      variables: Object.fromEntries(schedule.variables || []),
+      media: schedule.media,
+      skipNotOnWhatsApp: schedule.skipNotOnWhatsApp,
+      schedule: schedule._id,
+      contacts: set.contacts,
+    });
+  }
+
+  async function handleDue(schedule, now) {
+    const scheduledFor = schedule.nextRunAt;
+    const lateMs = now - scheduledFor;
+
+    if (lateMs > schedule.graceMinutes * 60 * 1000) {
+      recordRun(schedule, scheduledFor, {
+        status: 'missed',
+        note: isConnected() ? 'Server was not running at the scheduled time' : 'WhatsApp was disconnected',
+      });
+      advance(schedule, now);
+      return schedule.save();
+    }
+
+    if (!isConnected()) {
+      // Keep nextRunAt so the next tick tries again; just make the wait visible
+      const waiting = schedule.runs.some((r) => r.scheduledFor.getTime() === scheduledFor.getTime());
+      if (!waiting) {
+        recordRun(schedule, scheduledFor, { status: 'delayed', note: 'Waiting for WhatsApp to reconnect' });
+        await schedule.save();
+      }
+      return;
+    }
+
+    try {
+      const campaign = await fire(schedule);
+      const waited = schedule.runs.some((r) => r.scheduledFor.getTime() === scheduledFor.getTime());
+      recordRun(schedule, scheduledFor, {
+        status: waited || lateMs > LATE_MS ? 'delayed' : 'fired',
+        firedAt: now,
+        campaign: campaign._id,
+        note: undefined,
+      });
+      console.log(`⏰ Schedule ${schedule._id} queued campaign ${campaign._id}`);
+    } catch (err) {
+      recordRun(schedule, scheduledFor, { status: 'missed', note: String(err?.message || err) });
+      console.error(`❌ Schedule ${schedule._id} could not fire:`, err);
+    }
+    advance(schedule, now);
+    return schedule.save();
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const now = new Date();
+      const due = await Schedule.find({ status: 'active', nextRunAt: { $lte: now } }).sort({ nextRunAt: 1 });
+      for (const schedule of due) {
+        try {
+          await handleDue(schedule, now);
+        } catch (err) {
+          console.error(`❌ Schedule ${schedule._id} tick failed:`, err);
+        }
+      }
+    } catch (err) {
+      console.error('❌ Scheduler error:', err);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, TICK_MS);
+    tick();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, tick };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  TIME_RE,
+  createScheduler,
+  nextOccurrence,
+  upcomingRuns,
+  parseScheduleInput,
+};
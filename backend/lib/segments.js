@@ -0,0 +1,207 @@
+// backend/lib/segments.js
+//
+// Segments: contacts matching filter rules, e.g. "tag=wholesale AND region=Arusha".
+// Rules are evaluated in memory against the source sets' contacts, the same way
+// the per-set ?whatsapp= filter works.
+const ContactSet = require('../models/ContactSet');
+const { normalizeTag, fieldKey, fieldsOf } = require('./contactFields');
+
+const OPS = ['eq', 'ne', 'contains', 'not_contains', 'gt', 'gte', 'lt', 'lte', 'exists', 'missing'];
+const VALUELESS_OPS = new Set(['exists', 'missing']);
+const BUILT_IN_FIELDS = new Set(['tag', 'name', 'phone', 'set', 'whatsapp']);
+
+// Query syntax -> op; two-character symbols first so ">=" isn't read as ">"
+const SYMBOLS = [
+  ['!=', 'ne'],
+  ['!~', 'not_contains'],
+  ['>=', 'gte'],
+  ['<=', 'lte'],
+  ['=', 'eq'],
+  ['~', 'contains'],
+  ['>', 'gt'],
+  ['<', 'lt'],
+];
+
+function unquote(value) {
+  const v = String(value ?? '').trim();
+  return /^(["']).*\1$/.test(v) ? v.slice(1, -1) : v;
+}
+
+// "tag=wholesale AND region=Arusha" -> { match: 'all', rules: [...] } or { error }.
+// AND and OR can't be mixed in one query.
+function parseSegmentQuery(query) {
+  const text = String(query || '').trim();
+  if (!text) return { error: 'query is empty' };
+
+  const hasAnd = /\s+AND\s+/i.test(text);
+  const hasOr = /\s+OR\s+/i.test(text);
+  if (hasAnd && hasOr) return { error: 'A query can use AND or OR, not both' };
+
+  const rules = [];
+  for (const clause of text.split(/\s+(?:AND|OR)\s+/i)) {
+    const presence = /^([\w.-]+)\s+(exists|missing)$/i.exec(clause.trim());
+    if (presence) {
+      rules.push({ field: presence[1], op: presence[2].toLowerCase(), value: '' });
+      continue;
+    }
+    // The first operator in the clause; anything after it is the value
+    let symbol = null;
+    let at = -1;
+    for (const candidate of SYMBOLS) {
+      const i = clause.indexOf(candidate[0]);
+      if (i !== -1 && (at === -1 || i < at)) [symbol, at] = [candidate, i];
+    }
+    if (!symbol) return { error: `Can't read condition: "${clause.trim()}"` };
+    rules.push({
+      field: clause.slice(0, at).trim(),
+      op: symbol[1],
+      value: unquote(clause.slice(at + symbol[0].length)),
+    });
+  }
+  return { match: hasOr ? 'any' : 'all', rules };
+}
+
+// Normalizes one rule; returns { rule } or { error }
+function parseRule(raw) {
+  const name = String(raw?.field || '').trim().toLowerCase();
+  const field = name === 'tags' ? 'tag' : BUILT_IN_FIELDS.has(name) ? name : fieldKey(name);
+  if (!field) return { error: 'Every rule needs a field' };
+  const op = String(raw?.op || 'eq');
+  if (!OPS.includes(op)) return { error: `op must be one of ${OPS.join(', ')}` };
+  const value = VALUELESS_OPS.has(op) ? '' : String(raw?.value ?? '').trim();
+  if (!VALUELESS_OPS.has(op) && !value) return { error: `Rule on "${field}" needs a value` };
+  return { rule: { field, op, value: field === 'tag' ? normalizeTag(value) : value } };
+}
+
+// Validate a create/update body: { name, description, setNames, match, rules | query }
+function parseSegmentInput(body, current = {}) {
+  const input = { ...current, ...body };
+  const value = {};
+
+  value.name = String(input.name || '').trim();
+  if (!value.name) return { error: 'name is required' };
+  value.description = String(input.description || '');
+
+  if (input.setNames != null && !Array.isArray(input.setNames)) return { error: 'setNames must be an array' };
+  value.setNames = [...new Set((input.setNames || []).map((n) => String(n).trim()).filter(Boolean))];
+
+  let { match, rules } = input;
+  if (body.query != null) {
+    const parsed = parseSegmentQuery(body.query);
+    if (parsed.error) return { error: parsed.error };
+    ({ match, rules } = parsed);
+  }
+  value.match = match || 'all';
+  if (!['all', 'any'].includes(value.match)) return { error: 'match must be all or any' };
+
+  if (!Array.isArray(rules)) return { error: 'rules must be an array (or send a query)' };
+  value.rules = [];
+  for (const raw of rules) {
+    const parsed = parseRule(raw);
+    if (parsed.error) return { error: parsed.error };
+    value.rules.push(parsed.rule);
+  }
+  return { value };
+}
+
+// Numbers compare as numbers, dates (2025-08-16...) as dates, anything else as text
+function compare(a, b) {
+  const na = Number(a);
+  const nb = Number(b);
+  if (a !== '' && b !== '' && Number.isFinite(na) && Number.isFinite(nb)) return na - nb;
+  const isDate = (v) => /^\d{4}-\d{2}-\d{2}/.test(v) && !isNaN(Date.parse(v));
+  if (isDate(a) && isDate(b)) return Date.parse(a) - Date.parse(b);
+  return String(a).localeCompare(String(b), undefined, { sensitivity: 'base' });
+}
+
+function testValue(actual, { op, value }) {
+  const present = actual != null && actual !== '';
+  const a = String(actual ?? '').toLowerCase();
+  const v = value.toLowerCase();
+  switch (op) {
+    case 'exists':
+      return present;
+    case 'missing':
+      return !present;
+    case 'eq':
+      return a === v;
+    case 'ne':
+      return a !== v;
+    case 'contains':
+      return a.includes(v);
+    case 'not_contains':
+      return !a.includes(v);
+    default: {
+      if (!present) return false;
+      const diff = compare(String(actual), value);
+      return { gt: diff > 0, gte: diff >= 0, lt: diff < 0, lte: diff <= 0 }[op];
+    }
+  }
+}
+
+function matchesRule(contact, rule) {
+  if (rule.field === 'tag') {
+    const tags = contact.tags || [];
+    switch (rule.op) {
+      case 'exists':
+        return tags.length > 0;
+      case 'missing':
+        return tags.length === 0;
+      case 'ne':
+        return !tags.includes(rule.value);
+      case 'not_contains':
+        return !tags.some((t) => t.includes(rule.value));
+      case 'contains':
+        return tags.some((t) => t.includes(rule.value));
+      default:
+        return tags.some((t) => testValue(t, rule));
+    }
+  }
+
+  let actual;
+  if (rule.field === 'whatsapp') {
+    actual = contact.onWhatsApp == null ? 'unknown' : contact.onWhatsApp ? 'yes' : 'no';
+  } else if (rule.field === 'set') {
+    actual = contact.setName;
+  } else if (rule.field === 'name' || rule.field === 'phone') {
+    actual = contact[rule.field];
+  } else {
+    actual = fieldsOf(contact)[rule.field];
+  }
+  return testValue(actual, rule);
+}
+
+function matchesSegment(contact, segment) {
+  const rules = segment.rules || [];
+  if (!rules.length) return true;
+  return segment.match === 'any'
+    ? rules.some((r) => matchesRule(contact, r))
+    : rules.every((r) => matchesRule(contact, r));
+}
+
+// Contacts in `segment`, one per phone (the first matching copy, by set name, wins).
+// Each carries `setName` so callers can show where it came from.
+async function segmentContacts(segment) {
+  const filter = segment.setNames?.length ? { name: { $in: segment.setNames } } : {};
+  const sets = await ContactSet.find(filter).sort({ name: 1 });
+  const seen = new Set();
+  const contacts = [];
+  for (const set of sets) {
+    for (const c of set.contacts) {
+      if (seen.has(c.phone)) continue;
+      const contact = { ...c.toObject({ flattenMaps: true }), setName: set.name };
+      if (!matchesSegment(contact, segment)) continue;
+      seen.add(c.phone);
+      contacts.push(contact);
+    }
+  }
+  return contacts;
+}
+
+module.exports = {
+  OPS,
+  parseSegmentQuery,
+  parseSegmentInput,
+  matchesSegment,
+  segmentContacts,
+};
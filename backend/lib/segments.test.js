@@ -0,0 +1,75 @@
+// backend/lib/segments.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSegmentQuery, parseSegmentInput, matchesSegment } = require('./segments');
+
+test('AND query becomes "all" rules, one per condition', () => {
+  assert.deepEqual(parseSegmentQuery('tag=wholesale AND region="Dar es Salaam" AND orders>=3 AND email exists'), {
+    match: 'all',
+    rules: [
+      { field: 'tag', op: 'eq', value: 'wholesale' },
+      { field: 'region', op: 'eq', value: 'Dar es Salaam' },
+      { field: 'orders', op: 'gte', value: '3' },
+      { field: 'email', op: 'exists', value: '' },
+    ],
+  });
+});
+
+test('OR query becomes "any"; two-character operators win over one', () => {
+  assert.deepEqual(parseSegmentQuery('city!=Arusha or notes!~late or age<=40'), {
+    match: 'any',
+    rules: [
+      { field: 'city', op: 'ne', value: 'Arusha' },
+      { field: 'notes', op: 'not_contains', value: 'late' },
+      { field: 'age', op: 'lte', value: '40' },
+    ],
+  });
+});
+
+test('the first operator splits field from value', () => {
+  assert.deepEqual(parseSegmentQuery('note~a=b').rules, [{ field: 'note', op: 'contains', value: 'a=b' }]);
+});
+
+test('bad queries are refused', () => {
+  assert.deepEqual(parseSegmentQuery('  '), { error: 'query is empty' });
+  assert.deepEqual(parseSegmentQuery('a=1 AND b=2 OR c=3'), { error: 'A query can use AND or OR, not both' });
+  assert.deepEqual(parseSegmentQuery('wholesale'), { error: 'Can\'t read condition: "wholesale"' });
+});
+
+test('parseSegmentInput normalizes fields and tags from a query', () => {
+  const { value } = parseSegmentInput({ name: ' VIPs ', setNames: ['a', 'a', ' b '], query: 'Tags=VIP AND Region=Arusha' });
+  assert.deepEqual(value, {
+    name: 'VIPs',
+    description: '',
+    setNames: ['a', 'b'],
+    match: 'all',
+    rules: [
+      { field: 'tag', op: 'eq', value: 'vip' },
+      { field: 'region', op: 'eq', value: 'Arusha' },
+    ],
+  });
+});
+
+test('parseSegmentInput rejects incomplete rules', () => {
+  assert.deepEqual(parseSegmentInput({ rules: [] }), { error: 'name is required' });
+  assert.deepEqual(parseSegmentInput({ name: 'x', rules: [{ field: 'region', op: 'eq' }] }), {
+    error: 'Rule on "region" needs a value',
+  });
+  assert.match(parseSegmentInput({ name: 'x', rules: [{ field: 'region', op: 'like', value: 'a' }] }).error, /^op must be/);
+  assert.deepEqual(parseSegmentInput({ name: 'x', match: 'some', rules: [] }), { error: 'match must be all or any' });
+});
+
+test('an update keeps the current rules unless new ones are sent', () => {
+  const current = { name: 'x', match: 'any', rules: [{ field: 'tag', op: 'eq', value: 'vip' }] };
+  const { value } = parseSegmentInput({ description: 'Top buyers' }, current);
+  assert.equal(value.match, 'any');
+  assert.deepEqual(value.rules, current.rules);
+});
+
+test('matchesSegment applies the parsed rules', () => {
+  const { value: segment } = parseSegmentInput({ name: 'x', query: 'tag=wholesale AND orders>=3 AND whatsapp=yes' });
+  const contact = { phone: '255712345678', tags: ['wholesale'], fields: { orders: '12' }, onWhatsApp: true };
+  assert.equal(matchesSegment(contact, segment), true);
+  assert.equal(matchesSegment({ ...contact, fields: { orders: '2' } }, segment), false);
+  assert.equal(matchesSegment({ ...contact, onWhatsApp: null }, segment), false);
+});
@@ -0,0 +1,45 @@
+// backend/lib/sendErrors.js
+//
+// Sorting send failures into a few reasons we can act on. Baileys throws Boom
+// errors (statusCode in err.output) for socket problems and plain errors with
+// WhatsApp's own codes ("rate-overlimit", "item-not-found") for the rest.
+
+const ERROR_CODES = ['not_on_whatsapp', 'disconnected', 'timeout', 'rate_limited', 'session_error', 'unknown'];
+// Worth trying again later; the others would fail the same way
+const TRANSIENT_CODES = new Set(['disconnected', 'timeout', 'rate_limited', 'session_error']);
+
+// Attempts per recipient, the first send included
+const MAX_ATTEMPTS = Number(process.env.SEND_MAX_ATTEMPTS) || 4;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+
+function classifySendError(err) {
+  const status = err?.output?.statusCode ?? err?.data?.statusCode ?? err?.status;
+  const message = String(err?.message || err || '');
+
+  if (status === 429 || /rate-?overlimit|rate.?limit|too many/i.test(message)) return 'rate_limited';
+  if (/not.{0,5}(on|registered).{0,5}whatsapp|item-not-found/i.test(message)) return 'not_on_whatsapp';
+  // Signal session trouble on our side or theirs: says nothing about the number
+  if (/no sessions|not-acceptable/i.test(message)) return 'session_error';
+  if (/timed? ?out|timeout/i.test(message)) return 'timeout';
+  if (
+    [428, 440, 401, 515].includes(status) ||
+    /connection (closed|lost|failure|terminated)|not connected|socket|ECONNRESET|EPIPE/i.test(message)
+  ) {
+    return 'disconnected';
+  }
+  // Boom's 408 without a message we recognised is Baileys' connectionLost
+  if (status === 408) return 'timeout';
+  return 'unknown';
+}
+
+function isTransient(code) {
+  return TRANSIENT_CODES.has(code);
+}
+
+// Wait before attempt number `attempts + 1`: 30s, 1m, 2m, ... capped at 30 minutes
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)), RETRY_MAX_MS);
+}
+
+module.exports = { ERROR_CODES, MAX_ATTEMPTS, classifySendError, isTransient, retryDelay };
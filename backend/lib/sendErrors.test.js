@@ -0,0 +1,42 @@
+// backend/lib/sendErrors.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifySendError, isTransient, retryDelay } = require('./sendErrors');
+
+// Shaped like Baileys' Boom errors
+function boom(message, statusCode) {
+  return Object.assign(new Error(message), { output: { statusCode } });
+}
+
+test('WhatsApp saying the number is unknown is final', () => {
+  assert.equal(classifySendError(new Error('item-not-found')), 'not_on_whatsapp');
+  assert.equal(classifySendError(new Error('Number is not on WhatsApp')), 'not_on_whatsapp');
+  assert.equal(isTransient('not_on_whatsapp'), false);
+});
+
+test('Signal session errors are retried, not blamed on the number', () => {
+  assert.equal(classifySendError(new Error('No sessions')), 'session_error');
+  assert.equal(classifySendError(boom('not-acceptable', 406)), 'session_error');
+  assert.equal(isTransient('session_error'), true);
+});
+
+test('connection trouble, timeouts and rate limits are retried', () => {
+  assert.equal(classifySendError(boom('Connection Closed', 428)), 'disconnected');
+  assert.equal(classifySendError(boom('', 515)), 'disconnected');
+  assert.equal(classifySendError(new Error('Timed Out')), 'timeout');
+  assert.equal(classifySendError(boom('', 408)), 'timeout');
+  assert.equal(classifySendError(new Error('rate-overlimit')), 'rate_limited');
+  assert.equal(classifySendError({ status: 429 }), 'rate_limited');
+  for (const code of ['disconnected', 'timeout', 'rate_limited']) assert.equal(isTransient(code), true);
+});
+
+test('anything else is unknown and final', () => {
+  assert.equal(classifySendError(new Error('something odd')), 'unknown');
+  assert.equal(classifySendError(undefined), 'unknown');
+  assert.equal(isTransient('unknown'), false);
+});
+
+test('retries back off to a 30 minute cap', () => {
+  assert.deepEqual([1, 2, 3, 4].map(retryDelay), [30000, 60000, 120000, 240000]);
+  assert.equal(retryDelay(20), 30 * 60 * 1000);
+});
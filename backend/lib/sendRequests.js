@@ -0,0 +1,76 @@
+// backend/lib/sendRequests.js
+//
+// The parts of a send request that every route queuing messages shares
+// (sets, segments, groups, resends, one-off messages, schedules, auto-replies):
+// template variables, the accounts to send from and an optional media
+// attachment, each validated and looked up.
+const mongoose = require('mongoose');
+const Media = require('../models/Media');
+const WhatsAppAccount = require('../models/WhatsAppAccount');
+const { parseAbTestInput } = require('./abTest');
+
+// Campaign-wide template variables from the request body (string values only)
+function parseVariables(raw) {
+  if (raw == null) return {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) return null;
+  const out = {};
+  for (const [k, v] of Object.entries(raw)) {
+    if (!/^[\w.-]+$/.test(k)) return null;
+    out[k] = String(v ?? '');
+  }
+  return out;
+}
+
+// `account` or `accounts` from a send request -> list of existing account names ([] = any)
+async function parseAccounts(body) {
+  const raw = body?.accounts ?? (body?.account ? [body.account] : []);
+  if (!Array.isArray(raw)) return { error: 'accounts must be an array of account names' };
+  const names = [...new Set(raw.map((n) => String(n).trim().toLowerCase()).filter(Boolean))];
+  if (!names.length) return { accounts: [] };
+
+  const found = await WhatsAppAccount.find({ name: { $in: names } }, 'name');
+  const known = new Set(found.map((a) => a.name));
+  const missing = names.filter((n) => !known.has(n));
+  if (missing.length) return { error: `Unknown WhatsApp account(s): ${missing.join(', ')}` };
+  return { accounts: names };
+}
+
+// Look up an optional media attachment; `null` id means none, `undefined` result means not found
+async function findMedia(mediaId) {
+  if (!mediaId) return null;
+  if (!mongoose.isValidObjectId(mediaId)) return undefined;
+  return (await Media.findById(mediaId)) || undefined;
+}
+
+// The campaign options shared by every send route -> { options } or { error }.
+// `message` is the text, or the caption when `mediaId` is given. An A/B test
+// sends `variants: [{ message, mediaId?, weight? }, ...]` (plus optional
+// `abTest`, see lib/abTest.js) instead of `message` / `mediaId`. `dryRun: true`
+// sends to the sandbox (lib/sandbox.js) and reaches nobody.
+async function parseSendOptions(body = {}) {
+  const { value: ab, error: abError } = await parseAbTestInput(body);
+  if (abError) return { error: abError };
+  const { message = '', mediaId } = ab ? {} : body;
+  if (!ab && !mediaId && !String(message).trim()) return { error: 'Message is required' };
+
+  const media = await findMedia(mediaId);
+  if (media === undefined) return { error: 'Media not found' };
+  const variables = parseVariables(body.variables);
+  if (!variables) return { error: 'variables must be an object of name/value pairs' };
+  const { accounts, error: accountsError } = await parseAccounts(body);
+  if (accountsError) return { error: accountsError };
+
+  return {
+    options: {
+      message: String(message),
+      variables,
+      media: media?._id,
+      accounts,
+      skipNotOnWhatsApp: body.skipNotOnWhatsApp === true,
+      dryRun: body.dryRun === true,
+      ...(ab || {}),
+    },
+  };
+}
+
+module.exports = { parseVariables, parseAccounts, findMedia, parseSendOptions };
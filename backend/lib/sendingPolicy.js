@@ -0,0 +1,322 @@
+// backend/lib/sendingPolicy.js
+//
+// Per-account sending limits: hourly / daily caps, a warm-up ramp for new
+// numbers, quiet hours, and backing off when sends keep failing. Counts come
+// from CampaignRecipient.sentAt and TransactionalMessage.sentAt, so they
+// survive restarts. One-off messages are never held back by the caps, but
+// they do use them up.
+const moment = require('moment-timezone');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const TransactionalMessage = require('../models/TransactionalMessage');
+const { DEFAULT_TIMEZONE, TIME_RE } = require('./scheduler');
+const { classifySendError } = require('./sendErrors');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// How far ahead estimateFinish() looks before giving up
+const ESTIMATE_HORIZON_DAYS = 60;
+
+// Pause after a send on `account`, random within its configured range
+function randomDelay(account) {
+  const min = account.minDelayMs ?? 1000;
+  const max = Math.max(min, account.maxDelayMs ?? 3000);
+  return min + Math.random() * (max - min);
+}
+
+function timezoneOf(policy) {
+  return policy?.timezone || DEFAULT_TIMEZONE;
+}
+
+function toMinutes(hhmm) {
+  const [, hh, mm] = TIME_RE.exec(hhmm || '') || [];
+  return hh == null ? null : Number(hh) * 60 + Number(mm);
+}
+
+// Warm-up allowance for the day containing `at`, or null once warm-up is off / done
+function warmupCap(policy, at = new Date()) {
+  const warmup = policy?.warmup;
+  if (!warmup?.enabled) return null;
+  const tz = timezoneOf(policy);
+  const start = moment.tz(warmup.startedAt || at, tz).startOf('day');
+  const day = Math.max(0, moment.tz(at, tz).startOf('day').diff(start, 'days'));
+  const cap = Math.round(warmup.startPerDay * Math.pow(1 + warmup.increasePercent / 100, day));
+  // Once the ramp passes the daily cap, the daily cap alone applies
+  return policy.dailyCap && cap >= policy.dailyCap ? null : cap;
+}
+
+// Messages allowed on the day containing `at` (Infinity = unlimited)
+function dailyLimit(policy, at = new Date()) {
+  const caps = [policy?.dailyCap || Infinity, warmupCap(policy, at) ?? Infinity];
+  return Math.min(...caps);
+}
+
+// End of the quiet period `at` falls in, or null if sending is allowed
+function quietUntil(policy, at = new Date()) {
+  const quiet = policy?.quietHours;
+  if (!quiet?.enabled) return null;
+  const start = toMinutes(quiet.start);
+  const end = toMinutes(quiet.end);
+  if (start == null || end == null || start === end) return null;
+
+  const local = moment.tz(at, timezoneOf(policy));
+  const minutes = local.hours() * 60 + local.minutes();
+  const overnight = end < start;
+  const inside = overnight ? minutes >= start || minutes < end : minutes >= start && minutes < end;
+  if (!inside) return null;
+
+  const until = local.clone().startOf('day').add(end, 'minutes');
+  if (until.toDate() <= at) until.add(1, 'day');
+  return until.toDate();
+}
+
+function nextDayStart(policy, at) {
+  return moment.tz(at, timezoneOf(policy)).startOf('day').add(1, 'day').toDate();
+}
+
+// Validate a policy update merged over the current one. Returns { value } or { error }.
+function parsePolicyInput(body, current = {}) {
+  if (typeof body !== 'object' || body == null || Array.isArray(body)) return { error: 'policy must be an object' };
+  const value = {
+    ...current,
+    ...body,
+    warmup: { ...current.warmup, ...body.warmup },
+    quietHours: { ...current.quietHours, ...body.quietHours },
+    backoff: { ...current.backoff, ...body.backoff },
+  };
+
+  value.timezone = value.timezone || DEFAULT_TIMEZONE;
+  if (!moment.tz.zone(value.timezone)) return { error: `Unknown timezone: ${value.timezone}` };
+
+  const numbers = [
+    ['hourlyCap', value, 'hourlyCap', 0],
+    ['dailyCap', value, 'dailyCap', 0],
+    ['warmup.startPerDay', value.warmup, 'startPerDay', 1],
+    ['warmup.increasePercent', value.warmup, 'increasePercent', 0],
+    ['backoff.failureThreshold', value.backoff, 'failureThreshold', 1],
+    ['backoff.pauseMinutes', value.backoff, 'pauseMinutes', 1],
+    ['backoff.maxPauseMinutes', value.backoff, 'maxPauseMinutes', 1],
+  ];
+  for (const [label, target, key, min] of numbers) {
+    if (target[key] == null) continue;
+    target[key] = Number(target[key]);
+    if (!Number.isFinite(target[key]) || target[key] < min) return { error: `${label} must be a number >= ${min}` };
+  }
+
+  value.warmup.enabled = value.warmup.enabled === true;
+  // Turning warm-up on (or { restart: true }) starts the ramp today
+  const restart = value.warmup.restart === true;
+  delete value.warmup.restart;
+  if (value.warmup.enabled && (!current.warmup?.enabled || !value.warmup.startedAt || restart)) {
+    value.warmup.startedAt = new Date();
+  }
+
+  value.quietHours.enabled = value.quietHours.enabled === true;
+  if (value.quietHours.enabled) {
+    for (const key of ['start', 'end']) {
+      if (!TIME_RE.test(String(value.quietHours[key] || ''))) {
+        return { error: `quietHours.${key} must be HH:mm (24h)` };
+      }
+    }
+  }
+
+  return { value };
+}
+
+// Everything that counts toward an account's caps
+const SENT_MODELS = [CampaignRecipient, TransactionalMessage];
+
+// Messages `account` sent after `since` (or from it on, with `inclusive`)
+async function countSent(account, since, { inclusive = false } = {}) {
+  const sentAt = inclusive ? { $gte: since } : { $gt: since };
+  const counts = await Promise.all(SENT_MODELS.map((Model) => Model.countDocuments({ account: account.name, sentAt })));
+  return counts.reduce((sum, n) => sum + n, 0);
+}
+
+// sentAt of the `nth` newest send by `account` after `since`, or null if there are fewer
+async function nthNewestSend(account, since, nth) {
+  const lists = await Promise.all(
+    SENT_MODELS.map((Model) =>
+      Model.find({ account: account.name, sentAt: { $gt: since } }, 'sentAt')
+        .sort({ sentAt: -1 })
+        .limit(nth)
+        .lean()
+    )
+  );
+  const times = lists.flat().map((doc) => doc.sentAt.getTime()).sort((a, b) => b - a);
+  return times.length >= nth ? new Date(times[nth - 1]) : null;
+}
+
+// Keeps the in-memory failure / pause state per account and answers
+// "may this account send now, and if not, until when?"
+function createSendingPolicy({ io }) {
+  // account name -> { failures, pausedUntil, pauses, lastError }
+  const health = new Map();
+
+  function healthOf(name) {
+    if (!health.has(name)) health.set(name, { failures: 0, pausedUntil: null, pauses: 0, lastError: null });
+    return health.get(name);
+  }
+
+  async function usage(account, at = new Date()) {
+    const tz = timezoneOf(account.policy);
+    const [lastHour, today] = await Promise.all([
+      countSent(account, new Date(at - HOUR_MS)),
+      countSent(account, moment.tz(at, tz).startOf('day').toDate(), { inclusive: true }),
+    ]);
+    return { lastHour, today };
+  }
+
+  // null if `account` may send at `at`, else { until, reason }
+  async function blockedUntil(account, at = new Date()) {
+    const policy = account.policy || {};
+    const state = healthOf(account.name);
+    if (state.pausedUntil && state.pausedUntil > at) {
+      return { until: state.pausedUntil, reason: 'Paused after repeated failures' };
+    }
+
+    const quiet = quietUntil(policy, at);
+    if (quiet) return { until: quiet, reason: 'Quiet hours' };
+
+    if (!policy.hourlyCap && dailyLimit(policy, at) === Infinity) return null;
+    const { lastHour, today } = await usage(account, at);
+
+    const limit = dailyLimit(policy, at);
+    if (today >= limit) {
+      const warm = warmupCap(policy, at);
+      return { until: nextDayStart(policy, at), reason: warm === limit ? 'Warm-up limit reached for today' : 'Daily cap reached' };
+    }
+
+    if (policy.hourlyCap && lastHour >= policy.hourlyCap) {
+      // Free again an hour after the send that filled the window
+      const oldest = await nthNewestSend(account, new Date(at - HOUR_MS), policy.hourlyCap);
+      const until = new Date((oldest || at).getTime() + HOUR_MS);
+      return { until, reason: 'Hourly cap reached' };
+    }
+    return null;
+  }
+
+  // End of the backoff pause on account `name`, or null if it isn't paused
+  function pausedUntil(name, at = new Date()) {
+    const until = healthOf(name).pausedUntil;
+    return until && until > at ? until : null;
+  }
+
+  // Delay before this account's next send; failures stretch it out
+  function delayAfterSend(account) {
+    return randomDelay(account) * (1 + healthOf(account.name).failures);
+  }
+
+  function recordResult(account, ok, err) {
+    const state = healthOf(account.name);
+    if (ok) {
+      state.failures = 0;
+      state.pauses = 0;
+      state.lastError = null;
+      return;
+    }
+    // The number's problem, not the account's
+    const code = classifySendError(err);
+    if (code === 'not_on_whatsapp') return;
+
+    state.failures++;
+    state.lastError = String(err?.message || err || '');
+    const backoff = account.policy?.backoff || {};
+    const threshold = backoff.failureThreshold || 5;
+    if (state.failures < threshold && code !== 'rate_limited') return;
+
+    const minutes = Math.min((backoff.pauseMinutes || 15) * Math.pow(2, state.pauses), backoff.maxPauseMinutes || 240);
+    state.pausedUntil = new Date(Date.now() + minutes * 60 * 1000);
+    state.pauses++;
+    state.failures = 0;
+    console.log(`⏸️ Account "${account.name}" paused for ${minutes} min after failures (${state.lastError})`);
+    io.emit('account:policy', { name: account.name, pausedUntil: state.pausedUntil, reason: state.lastError });
+  }
+
+  // Lift a backoff pause by hand
+  function resume(name) {
+    const state = healthOf(name);
+    state.pausedUntil = null;
+    state.failures = 0;
+    state.pauses = 0;
+    io.emit('account:policy', { name, pausedUntil: null });
+  }
+
+  async function status(account, at = new Date()) {
+    const policy = account.policy || {};
+    const state = healthOf(account.name);
+    const limit = dailyLimit(policy, at);
+    return {
+      policy,
+      usage: {
+        ...(await usage(account, at)),
+        hourlyCap: policy.hourlyCap || null,
+        dailyLimit: limit === Infinity ? null : limit,
+        warmupCap: warmupCap(policy, at),
+      },
+      blocked: await blockedUntil(account, at),
+      failures: state.failures,
+      pausedUntil: pausedUntil(account.name, at),
+      lastError: state.lastError,
+    };
+  }
+
+  // When `pending` more messages should be out, spread over `accounts` hour by
+  // hour under each one's caps, quiet hours and delays. null if not within the horizon.
+  async function estimateFinish(pending, accounts, at = new Date()) {
+    if (pending <= 0) return at;
+    if (!accounts.length) return null;
+
+    const lanes = await Promise.all(
+      accounts.map(async (account) => {
+        const policy = account.policy || {};
+        const avgDelay = Math.max(1, ((account.minDelayMs ?? 1000) + (account.maxDelayMs ?? 3000)) / 2);
+        const used = await usage(account, at);
+        return {
+          account,
+          policy,
+          perHour: HOUR_MS / (avgDelay * (1 + healthOf(account.name).failures)),
+          pausedUntil: healthOf(account.name).pausedUntil,
+          hourUsed: used.lastHour,
+          dayKey: moment.tz(at, timezoneOf(policy)).format('YYYY-MM-DD'),
+          dayUsed: used.today,
+        };
+      })
+    );
+
+    let left = pending;
+    for (let t = at.getTime(); t < at.getTime() + ESTIMATE_HORIZON_DAYS * DAY_MS; t += HOUR_MS) {
+      const slot = new Date(t);
+      let capacity = 0;
+      for (const lane of lanes) {
+        if (lane.pausedUntil && lane.pausedUntil > slot) continue;
+        if (quietUntil(lane.policy, slot)) continue;
+
+        const dayKey = moment.tz(slot, timezoneOf(lane.policy)).format('YYYY-MM-DD');
+        if (dayKey !== lane.dayKey) {
+          lane.dayKey = dayKey;
+          lane.dayUsed = 0;
+        }
+        const hourly = lane.policy.hourlyCap ? Math.max(0, lane.policy.hourlyCap - lane.hourUsed) : Infinity;
+        const daily = Math.max(0, dailyLimit(lane.policy, slot) - lane.dayUsed);
+        const n = Math.min(lane.perHour, hourly, daily);
+        lane.hourUsed = 0; // only the first slot overlaps the last real hour
+        lane.dayUsed += n;
+        capacity += n;
+      }
+      if (capacity >= left) return new Date(t + (left / capacity) * HOUR_MS);
+      left -= capacity;
+    }
+    return null;
+  }
+
+  return { blockedUntil, pausedUntil, delayAfterSend, recordResult, resume, status, estimateFinish };
+}
+
+module.exports = {
+  createSendingPolicy,
+  parsePolicyInput,
+  randomDelay,
+  warmupCap,
+  dailyLimit,
+  quietUntil,
+};
@@ -0,0 +1,57 @@
+// backend/lib/setAlgebra.js
+const { fieldsOf } = require('./contactFields');
+
+const SET_OPERATIONS = ['union', 'intersect', 'subtract'];
+
+function copyContact(c) {
+  return {
+    name: c.name || '',
+    phone: c.phone,
+    tags: [...(c.tags || [])],
+    fields: fieldsOf(c),
+    onWhatsApp: c.onWhatsApp,
+    waCheckedAt: c.waCheckedAt,
+  };
+}
+
+// Contacts of a new set built from `sets` (ContactSet docs, in the order given):
+//   union:     every phone in any set
+//   intersect: phones in all sets
+//   subtract:  phones in the first set but none of the others
+// A phone keeps the first set's name; tags and fields from every copy are merged,
+// earlier sets winning on conflicting fields.
+function combineSets(operation, sets) {
+  const [first, ...rest] = sets;
+
+  let phones;
+  if (operation === 'subtract') {
+    const others = new Set(rest.flatMap((s) => s.contacts.map((c) => c.phone)));
+    phones = first.contacts.map((c) => c.phone).filter((p) => !others.has(p));
+  } else {
+    phones = sets.flatMap((s) => s.contacts.map((c) => c.phone));
+    if (operation === 'intersect') {
+      const memberships = sets.map((s) => new Set(s.contacts.map((c) => c.phone)));
+      phones = phones.filter((p) => memberships.every((m) => m.has(p)));
+    }
+  }
+
+  const wanted = new Set(phones);
+  const byPhone = new Map();
+  // subtract only draws data from the first set
+  for (const set of operation === 'subtract' ? [first] : sets) {
+    for (const c of set.contacts) {
+      if (!wanted.has(c.phone)) continue;
+      const existing = byPhone.get(c.phone);
+      if (!existing) {
+        byPhone.set(c.phone, copyContact(c));
+        continue;
+      }
+      existing.tags = [...new Set([...existing.tags, ...(c.tags || [])])];
+      existing.fields = { ...fieldsOf(c), ...existing.fields };
+      if (!existing.name && c.name) existing.name = c.name;
+    }
+  }
+  return [...byPhone.values()].map((c) => ({ ...c, fields: Object.keys(c.fields).length ? c.fields : undefined }));
+}
+
+module.exports = { SET_OPERATIONS, combineSets };
@@ -0,0 +1,71 @@
+// backend/lib/setAlgebra.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { combineSets } = require('./setAlgebra');
+
+const a = {
+  name: 'a',
+  contacts: [
+    { phone: '1', name: 'Asha', tags: ['vip'], fields: { region: 'Arusha' } },
+    { phone: '2', name: '', tags: [] },
+    { phone: '3', name: 'Baraka' },
+  ],
+};
+const b = {
+  name: 'b',
+  contacts: [
+    { phone: '2', name: 'Neema', tags: ['wholesale'], fields: { region: 'Mwanza' } },
+    { phone: '1', name: 'Other', tags: ['new'], fields: { region: 'Dodoma', orders: '4' } },
+    { phone: '4', name: 'Juma' },
+  ],
+};
+const c = { name: 'c', contacts: [{ phone: '1' }, { phone: '4' }] };
+
+const phones = (contacts) => contacts.map((x) => x.phone);
+
+test('union keeps every phone once, first set first', () => {
+  assert.deepEqual(phones(combineSets('union', [a, b])), ['1', '2', '3', '4']);
+});
+
+test('intersect keeps phones in every set', () => {
+  assert.deepEqual(phones(combineSets('intersect', [a, b])), ['1', '2']);
+  assert.deepEqual(phones(combineSets('intersect', [a, b, c])), ['1']);
+});
+
+test('subtract keeps phones in the first set only', () => {
+  assert.deepEqual(phones(combineSets('subtract', [a, b])), ['3']);
+  assert.deepEqual(phones(combineSets('subtract', [b, a, c])), []);
+});
+
+test('copies are merged: tags combined, earlier sets win on fields and names', () => {
+  const [asha, second] = combineSets('union', [a, b]);
+  assert.equal(asha.name, 'Asha');
+  assert.deepEqual(asha.tags, ['vip', 'new']);
+  assert.deepEqual(asha.fields, { region: 'Arusha', orders: '4' });
+  // A blank name is filled from a later copy
+  assert.equal(second.name, 'Neema');
+});
+
+test('subtract takes nothing from the other sets', () => {
+  const [only] = combineSets('subtract', [b, { name: 'x', contacts: [{ phone: '2' }, { phone: '4' }] }]);
+  assert.deepEqual(only, {
+    name: 'Other',
+    phone: '1',
+    tags: ['new'],
+    fields: { region: 'Dodoma', orders: '4' },
+    onWhatsApp: undefined,
+    waCheckedAt: undefined,
+  });
+});
+
+test('contacts without fields carry none', () => {
+  const result = combineSets('union', [c]);
+  assert.equal(result[0].fields, undefined);
+  assert.deepEqual(result[0].tags, []);
+});
+
+test('the input sets are left alone', () => {
+  combineSets('union', [a, b]);
+  assert.deepEqual(a.contacts[0].tags, ['vip']);
+  assert.deepEqual(a.contacts[0].fields, { region: 'Arusha' });
+});
@@ -0,0 +1,72 @@
+// backend/lib/template.js
+//
+// Campaign message templates:
+//   {{name}}, {{phone}}, {{anyField}}   -> per-recipient values (keys are case-insensitive)
+//   {{name|Mteja}}                      -> fallback when the value is missing/empty
+//   {Habari|Mambo|Salaam}               -> spintax, one option picked per recipient (can nest)
+
+const { fieldsOf } = require('./contactFields');
+
+const PLACEHOLDER_RE = /\{\{\s*([\w.-]+)\s*(?:\|([^{}]*))?\}\}/g;
+const SPIN_RE = /\{([^{}]*\|[^{}]*)\}/;
+// Placeholders are swapped for these markers while spintax runs so `{{a|b}}` isn't spun
+const MARK = '\u0000';
+
+function normalizeVars(vars) {
+  const out = {};
+  for (const [k, v] of Object.entries(vars || {})) {
+    if (v == null) continue;
+    out[k.toLowerCase()] = String(v);
+  }
+  return out;
+}
+
+function spin(text, random) {
+  let out = text;
+  let match;
+  while ((match = SPIN_RE.exec(out))) {
+    const options = match[1].split('|');
+    const pick = options[Math.floor(random() * options.length)] ?? '';
+    out = out.slice(0, match.index) + pick + out.slice(match.index + match[0].length);
+  }
+  return out;
+}
+
+// Render `template` for a single recipient
+function renderTemplate(template, vars, { random = Math.random } = {}) {
+  const values = normalizeVars(vars);
+  const slots = [];
+
+  const marked = String(template || '').replace(PLACEHOLDER_RE, (_, key, fallback) => {
+    slots.push({ key: key.toLowerCase(), fallback: fallback == null ? '' : fallback.trim() });
+    return `${MARK}${slots.length - 1}${MARK}`;
+  });
+
+  return spin(marked, random).replace(new RegExp(`${MARK}(\\d+)${MARK}`, 'g'), (_, i) => {
+    const { key, fallback } = slots[Number(i)];
+    const value = (values[key] || '').trim();
+    return value || fallback;
+  });
+}
+
+// Names used in {{...}} placeholders, lower-cased and de-duplicated
+function templateFields(template) {
+  const names = new Set();
+  for (const m of String(template || '').matchAll(PLACEHOLDER_RE)) names.add(m[1].toLowerCase());
+  return [...names];
+}
+
+// Variables available to a template for one contact. Campaign-wide variables
+// come first so a contact's own data always wins.
+function contactVars(contact, extra) {
+  const name = String(contact?.name || '').trim();
+  return {
+    ...(extra || {}),
+    ...fieldsOf(contact),
+    name,
+    firstName: name.split(/\s+/)[0] || '',
+    phone: contact?.phone || '',
+  };
+}
+
+module.exports = { renderTemplate, templateFields, contactVars };
@@ -0,0 +1,26 @@
+// backend/lib/transport.js
+//
+// Where WhatsApp sockets come from. A transport is
+//   { name, connect({ account, authDir }) -> sock, isLoggedOut(lastDisconnect) }
+// and the socket it returns must look like Baileys' (ev, sendMessage, ...).
+// This is the real one; lib/sandbox.js is the pretend one.
+
+function createBaileysTransport() {
+  // Required on first use so a sandboxed server never loads Baileys
+  const baileys = () => require('@whiskeysockets/baileys');
+
+  return {
+    name: 'baileys',
+    async connect({ authDir }) {
+      const { makeWASocket, useMultiFileAuthState } = baileys();
+      const { state, saveCreds } = await useMultiFileAuthState(authDir);
+      const sock = makeWASocket({ auth: state });
+      sock.ev.on('creds.update', saveCreds);
+      return sock;
+    },
+    isLoggedOut: (lastDisconnect) =>
+      lastDisconnect?.error?.output?.statusCode === baileys().DisconnectReason.loggedOut,
+  };
+}
+
+module.exports = { createBaileysTransport };
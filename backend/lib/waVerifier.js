@@ -0,0 +1,138 @@
+// backend/lib/waVerifier.js
+const crypto = require('crypto');
+const ContactSet = require('../models/ContactSet');
+const WhatsAppCheck = require('../models/WhatsAppCheck');
+
+const BATCH_SIZE = 50;
+const BATCH_PAUSE_MS = 1500;
+const TTL_DAYS = Number(process.env.WA_CHECK_TTL_DAYS) || 30;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function freshSince() {
+  return new Date(Date.now() - TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// phone -> cached check, for checks still inside the TTL
+async function cachedChecks(phones) {
+  const docs = await WhatsAppCheck.find({ phone: { $in: phones }, checkedAt: { $gte: freshSince() } });
+  return new Map(docs.map((d) => [d.phone, d]));
+}
+
+// Phones we know (within the TTL) are not on WhatsApp
+async function knownNotOnWhatsApp(phones) {
+  const checks = await cachedChecks(phones);
+  return new Set([...checks.values()].filter((c) => !c.exists).map((c) => c.phone));
+}
+
+// Copy check results onto every matching contact of a set
+async function writeToSet(setName, results) {
+  if (!results.length) return;
+  await ContactSet.bulkWrite(
+    results.map(({ phone, exists, checkedAt }) => ({
+      updateOne: {
+        filter: { name: setName },
+        update: { $set: { 'contacts.$[c].onWhatsApp': exists, 'contacts.$[c].waCheckedAt': checkedAt } },
+        arrayFilters: [{ 'c.phone': phone }],
+      },
+    }))
+  );
+}
+
+// Background "which of this set's numbers are on WhatsApp" jobs, one per set.
+// Job progress is in memory; results are persisted per contact and globally.
+function createWaVerifier({ getSocket, io }) {
+  const jobs = new Map(); // setName -> job
+
+  function emit(job) {
+    io.emit('verify:progress', job);
+  }
+
+  async function queryBatch(sock, phones) {
+    const found = (await sock.onWhatsApp(...phones.map((p) => `${p}@s.whatsapp.net`))) || null;
+    if (!found) throw new Error('WhatsApp did not answer the lookup');
+    const existing = new Map();
+    for (const r of found) {
+      if (r.exists) existing.set(String(r.jid).split('@')[0].split(':')[0], r.jid);
+    }
+    const checkedAt = new Date();
+    return phones.map((phone) => ({ phone, exists: existing.has(phone), jid: existing.get(phone), checkedAt }));
+  }
+
+  async function run(job, phones, force) {
+    try {
+      const cached = force ? new Map() : await cachedChecks(phones);
+      const fromCache = [...cached.values()].map((c) => ({ phone: c.phone, exists: c.exists, checkedAt: c.checkedAt }));
+      await writeToSet(job.setName, fromCache);
+      for (const r of fromCache) job[r.exists ? 'onWhatsApp' : 'notOnWhatsApp']++;
+      job.cached = fromCache.length;
+      job.checked = fromCache.length;
+      emit(job);
+
+      const todo = phones.filter((p) => !cached.has(p));
+      for (let i = 0; i < todo.length; i += BATCH_SIZE) {
+        const sock = getSocket();
+        if (!sock) throw new Error('WhatsApp disconnected during verification');
+
+        const results = await queryBatch(sock, todo.slice(i, i + BATCH_SIZE));
+        await WhatsAppCheck.bulkWrite(
+          results.map((r) => ({
+            updateOne: {
+              filter: { phone: r.phone },
+              update: { $set: { exists: r.exists, jid: r.jid, checkedAt: r.checkedAt } },
+              upsert: true,
+            },
+          }))
+        );
+        await writeToSet(job.setName, results);
+
+        for (const r of results) job[r.exists ? 'onWhatsApp' : 'notOnWhatsApp']++;
+        job.checked += results.length;
+        emit(job);
+
+        if (i + BATCH_SIZE < todo.length) await sleep(BATCH_PAUSE_MS);
+      }
+      job.status = 'completed';
+    } catch (err) {
+      console.error(`❌ WhatsApp verification of "${job.setName}" failed:`, err);
+      job.status = 'failed';
+      job.error = String(err?.message || err);
+    }
+    job.finishedAt = new Date();
+    emit(job);
+  }
+
+  // Start verifying a set; returns the job (the running one if already started)
+  async function start(setName, { force = false } = {}) {
+    const running = jobs.get(setName);
+    if (running?.status === 'running') return { job: running, alreadyRunning: true };
+
+    const set = await ContactSet.findOne({ name: setName }, 'name contacts.phone');
+    if (!set) return { error: 'Set not found', status: 404 };
+    if (!getSocket()) return { error: 'WhatsApp not connected', status: 409 };
+
+    const phones = [...new Set(set.contacts.map((c) => c.phone))];
+    const job = {
+      id: crypto.randomUUID(),
+      setName: set.name,
+      status: 'running',
+      total: phones.length,
+      checked: 0,
+      cached: 0,
+      onWhatsApp: 0,
+      notOnWhatsApp: 0,
+      startedAt: new Date(),
+    };
+    jobs.set(set.name, job);
+    run(job, phones, force);
+    return { job };
+  }
+
+  function jobFor(setName) {
+    return jobs.get(setName) || null;
+  }
+
+  return { start, jobFor };
+}
+
+module.exports = { createWaVerifier, knownNotOnWhatsApp, TTL_DAYS };
@@ -0,0 +1,251 @@
+// backend/lib/webhooks.js
+//
+// Outbound webhooks. Every event is stored as a WebhookDelivery per matching
+// subscription, POSTed as JSON and retried with backoff until it gets a 2xx.
+//
+// Receivers verify a delivery with the subscription secret:
+//   X-Webhook-Signature: sha256=HEX(HMAC_SHA256(secret, `${X-Webhook-Timestamp}.${rawBody}`))
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const WEBHOOK_EVENTS = [
+  'campaign.started',
+  'campaign.progress',
+  'campaign.completed',
+  'message.failed',
+  'message.delivered',
+  'message.read',
+  'message.received',
+];
+
+const MAX_ATTEMPTS = 6;
+const TIMEOUT_MS = 10 * 1000;
+// campaign.progress is sent at most this often per campaign
+const PROGRESS_EVERY_MS = 30 * 1000;
+const POLL_MS = 15 * 1000;
+const MAX_RESPONSE_BODY = 1000;
+
+// Wait before attempt `attempts + 1`: 30s, 2m, 8m, 32m, ~2h
+function retryDelay(attempts) {
+  return 30 * 1000 * Math.pow(4, attempts - 1);
+}
+
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Validate a create/update body merged over the current subscription. Returns { value } or { error }.
+function parseWebhookInput(body, current = {}) {
+  const input = { ...current, ...body };
+  const value = {};
+
+  value.name = String(input.name || '').trim();
+  if (!value.name) return { error: 'name is required' };
+
+  value.url = String(input.url || '').trim();
+  let url;
+  try {
+    url = new URL(value.url);
+  } catch {
+    return { error: 'url must be an absolute http(s) URL' };
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return { error: 'url must be an absolute http(s) URL' };
+
+  const events = Array.isArray(input.events) ? input.events : String(input.events || '').split(',');
+  value.events = [...new Set(events.map((e) => String(e).trim()).filter(Boolean))];
+  if (!value.events.length) return { error: `events must list any of ${WEBHOOK_EVENTS.join(', ')}` };
+  const unknown = value.events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length) return { error: `Unknown event(s): ${unknown.join(', ')}` };
+
+  if (body.secret != null) {
+    value.secret = String(body.secret);
+    if (value.secret.length < 16) return { error: 'secret must be at least 16 characters' };
+  } else if (!current.secret) {
+    value.secret = newSecret();
+  }
+  if (input.active != null) value.active = input.active !== false;
+  return { value };
+}
+
+// The secret is shown in full only when created or rotated
+function serializeWebhook(webhook, { withSecret = false } = {}) {
+  return {
+    id: webhook._id.toString(),
+    name: webhook.name,
+    url: webhook.url,
+    events: webhook.events,
+    active: webhook.active,
+    secret: withSecret ? webhook.secret : `${webhook.secret.slice(0, 10)}…`,
+    lastDeliveryAt: webhook.lastDeliveryAt || null,
+    lastStatus: webhook.lastStatus || null,
+    createdAt: webhook.createdAt,
+  };
+}
+
+function createWebhookDispatcher() {
+  // campaign id -> last campaign.progress sent, for campaigns within PROGRESS_EVERY_MS of it
+  const progressSentAt = new Map();
+  let timer = null;
+  let polling = false;
+
+  async function attempt(delivery, webhook) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const started = Date.now();
+    delivery.attempts++;
+
+    let ok = false;
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'whatsapp-sender-webhooks/1',
+          'X-Webhook-Id': delivery._id.toString(),
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': sign(webhook.secret, timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+      delivery.responseStatus = response.status;
+      delivery.responseBody = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_BODY);
+      delivery.error = undefined;
+      ok = response.ok;
+      if (!ok) delivery.error = `HTTP ${response.status}`;
+    } catch (err) {
+      delivery.responseStatus = undefined;
+      delivery.responseBody = undefined;
+      delivery.error = err?.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS / 1000}s` : String(err?.message || err);
+    }
+    delivery.durationMs = Date.now() - started;
+
+    if (ok) {
+      delivery.status = 'succeeded';
+      delivery.deliveredAt = new Date();
+      delivery.nextAttemptAt = undefined;
+    } else if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+      console.error(`❌ Webhook "${webhook.name}" gave up on ${delivery.event}: ${delivery.error}`);
+    } else {
+      delivery.status = 'pending';
+      delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts));
+    }
+    await delivery.save();
+    if (delivery.status !== 'pending') {
+      await Webhook.updateOne({ _id: webhook._id }, { lastDeliveryAt: new Date(), lastStatus: delivery.status });
+    }
+    return delivery;
+  }
+
+  function payloadFor(delivery, event, data) {
+    return { id: delivery._id.toString(), event, createdAt: delivery.createdAt || new Date(), data };
+  }
+
+  async function queue(webhook, event, data) {
+    // The first attempt is made right away; the poller only picks this up if that never finishes
+    const delivery = new WebhookDelivery({
+      webhook: webhook._id,
+      event,
+      payload: {},
+      nextAttemptAt: new Date(Date.now() + 2 * TIMEOUT_MS),
+    });
+    delivery.payload = payloadFor(delivery, event, data);
+    await delivery.save();
+    return delivery;
+  }
+
+  // Fan an event out to every active subscription that wants it. Never throws;
+  // callers fire and forget.
+  async function emit(event, data) {
+    try {
+      if (event === 'campaign.progress' && data?.id) {
+        const now = Date.now();
+        if (now - (progressSentAt.get(data.id) || 0) < PROGRESS_EVERY_MS) return;
+        // Cancelled or deleted campaigns send no last event, so entries past the
+        // throttle window (which no longer hold anything back) are dropped here
+        for (const [id, at] of progressSentAt) if (now - at >= PROGRESS_EVERY_MS) progressSentAt.delete(id);
+        progressSentAt.set(data.id, now);
+      }
+      if (event === 'campaign.completed' && data?.id) progressSentAt.delete(data.id);
+
+      const webhooks = await Webhook.find({ active: true, events: event });
+      for (const webhook of webhooks) {
+        const delivery = await queue(webhook, event, data);
+        attempt(delivery, webhook).catch((err) => console.error('❌ Webhook delivery failed:', err));
+      }
+    } catch (err) {
+      console.error(`❌ Failed to queue webhook event ${event}:`, err);
+    }
+  }
+
+  // A sample event straight to one subscription, whatever it subscribes to; resolves with the delivery
+  async function sendTest(webhook) {
+    const delivery = await queue(webhook, 'test', {
+      message: 'Test event',
+      webhook: { id: webhook._id.toString(), name: webhook.name },
+    });
+    return attempt(delivery, webhook);
+  }
+
+  // Try a delivery again now, e.g. after fixing the receiving end
+  async function redeliver(delivery) {
+    const webhook = await Webhook.findById(delivery.webhook);
+    if (!webhook) return null;
+    if (delivery.status === 'failed') delivery.attempts = MAX_ATTEMPTS - 1;
+    return attempt(delivery, webhook);
+  }
+
+  // Retries that are due (including ones interrupted by a restart)
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(50);
+      for (const delivery of due) {
+        const webhook = await Webhook.findById(delivery.webhook);
+        if (!webhook?.active) {
+          delivery.status = 'failed';
+          delivery.error = webhook ? 'Webhook disabled' : 'Webhook deleted';
+          await delivery.save();
+          continue;
+        }
+        await attempt(delivery, webhook);
+      }
+    } catch (err) {
+      console.error('❌ Webhook retry error:', err);
+    } finally {
+      polling = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(poll, POLL_MS);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { emit, sendTest, redeliver, start, stop };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  createWebhookDispatcher,
+  parseWebhookInput,
+  serializeWebhook,
+  newSecret,
+  sign,
+};
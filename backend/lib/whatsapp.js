@@ -0,0 +1,206 @@
+// backend/lib/whatsapp.js
+const fs = require('fs');
+const path = require('path');
+const qrcode = require('qrcode-terminal');
+const WhatsAppAccount = require('../models/WhatsAppAccount');
+const { ADMIN_ROOM } = require('./auth');
+const { createBaileysTransport } = require('./transport');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+// The original single-number session keeps living in auth/
+const DEFAULT_ACCOUNT = 'default';
+const RECONNECT_MS = 5000;
+
+function authDirFor(name) {
+  return name === DEFAULT_ACCOUNT ? 'auth' : path.join('sessions', name);
+}
+
+// One Baileys socket per WhatsApp account, each with its own auth folder,
+// QR code, status and reconnect loop. `bindSocket(sock, name)` lets the
+// server attach its own event listeners to every new socket. `transport`
+// makes the sockets (lib/transport.js); Baileys unless told otherwise.
+function createWhatsAppManager({ io, bindSocket, onConnected, transport = createBaileysTransport() }) {
+  const sessions = new Map();
+
+  function publicState(session) {
+    const { account } = session;
+    return {
+      name: account.name,
+      label: account.label,
+      status: session.status,
+      qr: session.qr,
+      minDelayMs: account.minDelayMs,
+      maxDelayMs: account.maxDelayMs,
+      policy: account.policy,
+      active: account.active,
+    };
+  }
+
+  // Everyone sees status; the QR (which links a phone to this server) only goes to admins
+  function emit(session) {
+    const { qr, ...state } = publicState(session);
+    io.emit('account:status', { ...state, pairing: !!qr });
+    io.to(ADMIN_ROOM).emit('account:qr', { name: state.name, qr });
+    // Legacy single-account events the current frontend listens to (connected/disconnected only)
+    if (state.name === DEFAULT_ACCOUNT) {
+      io.emit('status', state.status === 'connected' ? 'connected' : 'disconnected');
+      io.to(ADMIN_ROOM).emit('qr', qr);
+    }
+  }
+
+  function setState(session, status, qr = session.qr) {
+    session.status = status;
+    session.qr = qr;
+    emit(session);
+  }
+
+  function plainAccount(account) {
+    return typeof account.toObject === 'function' ? account.toObject() : { ...account };
+  }
+
+  async function connect(accountDoc) {
+    const account = plainAccount(accountDoc);
+    const session = sessions.get(account.name) || { status: 'disconnected', qr: null };
+    clearTimeout(session.reconnectTimer);
+    session.account = account;
+    session.stopped = false;
+    sessions.set(account.name, session);
+
+    const sock = await transport.connect({ account, authDir: path.join(BACKEND_DIR, account.authDir) });
+    session.sock = sock;
+    setState(session, 'connecting');
+
+    sock.ev.on('connection.update', (update) => {
+      if (session.sock !== sock) return; // superseded by a newer socket
+      const { qr, connection, lastDisconnect } = update;
+
+      if (qr) {
+        setState(session, 'disconnected', qr);
+        console.log(`📱 Scan QR for WhatsApp account "${account.name}"`);
+        qrcode.generate(qr, { small: true });
+      }
+
+      if (connection === 'open') {
+        setState(session, 'connected', null);
+        console.log(`✅ WhatsApp account "${account.name}" connected`);
+        if (onConnected) onConnected(account.name);
+      }
+
+      if (connection === 'close') {
+        const loggedOut = transport.isLoggedOut(lastDisconnect);
+        setState(session, loggedOut ? 'logged_out' : 'disconnected');
+        if (!loggedOut && !session.stopped) {
+          session.reconnectTimer = setTimeout(() => {
+            connect(session.account).catch((err) => console.error(`❌ Reconnect "${account.name}" failed:`, err));
+          }, RECONNECT_MS);
+        }
+      }
+    });
+
+    if (bindSocket) bindSocket(sock, account.name);
+    return publicState(session);
+  }
+
+  function stop(name) {
+    const session = sessions.get(name);
+    if (!session) return;
+    session.stopped = true;
+    clearTimeout(session.reconnectTimer);
+    try {
+      session.sock?.end(undefined);
+    } catch {}
+    session.sock = null;
+  }
+
+  // Unlink the device from WhatsApp and wipe its auth folder
+  async function logout(name) {
+    const session = sessions.get(name);
+    if (session) {
+      session.stopped = true;
+      clearTimeout(session.reconnectTimer);
+      try {
+        await session.sock?.logout();
+      } catch (err) {
+        console.error(`⚠️ Logout of "${name}" failed, clearing session anyway:`, err?.message || err);
+      }
+      stop(name);
+    }
+
+    const account = await WhatsAppAccount.findOneAndUpdate({ name }, { active: false }, { new: true });
+    if (account) {
+      fs.rmSync(path.join(BACKEND_DIR, account.authDir), { recursive: true, force: true });
+      if (session) {
+        session.account = plainAccount(account);
+        setState(session, 'logged_out', null);
+      }
+    }
+    return account;
+  }
+
+  async function remove(name) {
+    const account = await logout(name);
+    sessions.delete(name);
+    if (account) await account.deleteOne();
+    io.emit('account:removed', { name });
+    return account;
+  }
+
+  // Rate-limit settings etc. changed; takes effect on the next message
+  function updateAccount(accountDoc) {
+    const session = sessions.get(accountDoc.name);
+    if (session) {
+      session.account = plainAccount(accountDoc);
+      emit(session);
+    }
+  }
+
+  function status(name) {
+    const session = sessions.get(name);
+    return session ? publicState(session) : null;
+  }
+
+  function list() {
+    return [...sessions.values()].map(publicState);
+  }
+
+  function connectedAccounts() {
+    return [...sessions.values()]
+      .filter((s) => s.status === 'connected' && s.sock)
+      .map((s) => ({ ...s.account, sock: s.sock }));
+  }
+
+  function getSocket(name) {
+    const session = sessions.get(name);
+    return session?.status === 'connected' ? session.sock : null;
+  }
+
+  // Boot: make sure the original auth/ session exists as "default", then connect every active account
+  async function startAll() {
+    if (!(await WhatsAppAccount.exists({ name: DEFAULT_ACCOUNT }))) {
+      await WhatsAppAccount.create({ name: DEFAULT_ACCOUNT, label: 'Default', authDir: authDirFor(DEFAULT_ACCOUNT) });
+    }
+    const accounts = await WhatsAppAccount.find().sort({ createdAt: 1 });
+    for (const account of accounts) {
+      if (!account.active) {
+        sessions.set(account.name, { account: plainAccount(account), status: 'logged_out', qr: null, stopped: true });
+        continue;
+      }
+      connect(account).catch((err) => console.error(`❌ Failed to start WhatsApp account "${account.name}":`, err));
+    }
+  }
+
+  return {
+    startAll,
+    connect,
+    stop,
+    logout,
+    remove,
+    updateAccount,
+    status,
+    list,
+    connectedAccounts,
+    getSocket,
+  };
+}
+
+module.exports = { createWhatsAppManager, authDirFor, DEFAULT_ACCOUNT };
@@ -0,0 +1,19 @@
+// backend/models/ApiKey.js
+const mongoose = require('mongoose');
+
+// Long-lived key for scripts; only the SHA-256 of the key is stored
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    // First characters of the key, shown in listings so keys can be told apart
+    prefix: { type: String, required: true },
+    keyHash: { type: String, required: true, unique: true },
+    role: { type: String, enum: ['admin', 'operator', 'viewer'], default: 'operator' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    lastUsedAt: Date,
+    revokedAt: Date,
+  },
+  { collection: 'api_keys', timestamps: true }
+);
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
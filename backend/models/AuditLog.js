@@ -0,0 +1,24 @@
+// backend/models/AuditLog.js
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Who: a user (session or API key owner) or nobody for failed logins
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    apiKey: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' },
+    actor: { type: String, default: '' }, // email or "key:<name>", kept even if the user is deleted
+    role: String,
+    // What
+    action: { type: String, required: true }, // e.g. "POST /send/:setName" or "auth.login"
+    path: String,
+    params: mongoose.Schema.Types.Mixed,
+    status: Number,
+    ip: String,
+  },
+  { collection: 'audit_logs', timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
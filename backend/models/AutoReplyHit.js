@@ -0,0 +1,16 @@
+// backend/models/AutoReplyHit.js
+const mongoose = require('mongoose');
+
+// When a rule last answered a number; drives the per-contact cooldown
+const autoReplyHitSchema = new mongoose.Schema(
+  {
+    rule: { type: mongoose.Schema.Types.ObjectId, ref: 'AutoReplyRule', required: true },
+    phone: { type: String, required: true, trim: true },
+    lastAt: { type: Date, required: true },
+  },
+  { collection: 'auto_reply_hits' }
+);
+
+autoReplyHitSchema.index({ rule: 1, phone: 1 }, { unique: true });
+
+module.exports = mongoose.model('AutoReplyHit', autoReplyHitSchema);
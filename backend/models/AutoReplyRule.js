@@ -0,0 +1,44 @@
+// backend/models/AutoReplyRule.js
+const mongoose = require('mongoose');
+
+// Keyword -> canned reply. Rules are tried highest priority first; the first match answers.
+const autoReplyRuleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    active: { type: Boolean, default: true },
+    priority: { type: Number, default: 0 },
+
+    // exact: the whole message is one of `keywords`; contains: any keyword appears in it;
+    // regex: `pattern` matches the raw text
+    matchType: { type: String, enum: ['exact', 'contains', 'regex'], default: 'exact' },
+    keywords: [{ type: String, trim: true }],
+    pattern: String,
+    caseSensitive: { type: Boolean, default: false },
+    // Only answer numbers that are in this contact set
+    setName: { type: String, trim: true },
+
+    // Reply: template text (same syntax as campaigns) and/or a media item
+    message: { type: String, default: '' },
+    media: { type: mongoose.Schema.Types.ObjectId, ref: 'Media' },
+
+    // Don't answer the same number with this rule again within this window
+    cooldownMinutes: { type: Number, default: 60, min: 0 },
+    // Optional time window, e.g. Mon-Fri 08:00-17:00; `outside` flips it for after-hours replies
+    businessHours: {
+      enabled: { type: Boolean, default: false },
+      timezone: { type: String, default: 'Africa/Dar_es_Salaam' },
+      weekdays: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday; empty = every day
+      start: String, // HH:mm
+      end: String, // HH:mm; earlier than start = overnight
+      outside: { type: Boolean, default: false },
+    },
+
+    hits: { type: Number, default: 0 },
+    lastHitAt: Date,
+  },
+  { collection: 'auto_reply_rules', timestamps: true }
+);
+
+autoReplyRuleSchema.index({ active: 1, priority: -1, createdAt: 1 });
+
+module.exports = mongoose.model('AutoReplyRule', autoReplyRuleSchema);
@@ -0,0 +1,84 @@
+// backend/models/Campaign.js
+const mongoose = require('mongoose');
+
+const campaignSchema = new mongoose.Schema(
+  {
+    // Empty for a few old history.json entries that predate set names
+    setName: { type: String, default: '', trim: true },
+    // Multi-set campaigns: every set sent to (each phone once); setName is then empty
+    setNames: [{ type: String, trim: true }],
+    // Template source; rendered per recipient at send time (see lib/template.js).
+    // With media attached this is the caption and may be empty.
+    message: { type: String, default: '' },
+    media: { type: mongoose.Schema.Types.ObjectId, ref: 'Media' },
+    // WhatsApp accounts allowed to send this campaign; empty = any connected account
+    accounts: [{ type: String }],
+    // Skip numbers the WhatsApp check (lib/waVerifier.js) found not to be on WhatsApp
+    skipNotOnWhatsApp: { type: Boolean, default: false },
+    // Sent to the sandbox (lib/sandbox.js) instead of WhatsApp: nothing reaches anyone
+    dryRun: { type: Boolean, default: false },
+    // Set when the campaign targeted a saved segment rather than a whole set
+    segment: { type: mongoose.Schema.Types.ObjectId, ref: 'Segment' },
+    segmentName: String,
+    // Group campaigns: the WhatsApp groups posted to (see lib/groups.js)
+    groups: [{ _id: false, jid: String, name: String }],
+    // Set when this campaign re-sends another one's failed recipients
+    resendOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign' },
+    // Set when a schedule queued this campaign
+    schedule: { type: mongoose.Schema.Types.ObjectId, ref: 'Schedule' },
+    // A/B test (see lib/abTest.js): the message variants; recipients carry their variant's key
+    variants: [
+      {
+        _id: false,
+        key: String,
+        message: { type: String, default: '' },
+        media: { type: mongoose.Schema.Types.ObjectId, ref: 'Media' },
+        // Percentage of the audience (or of the test slice)
+        weight: Number,
+      },
+    ],
+    abTest: {
+      mode: { type: String, enum: ['split', 'winner'] },
+      // `winner` tests: share of the audience in the test slice, what decides
+      // the winner and how long after the slice is sent (unset = by hand only)
+      testPercent: Number,
+      metric: { type: String, enum: ['delivered', 'read', 'replied'] },
+      winnerAfterHours: Number,
+      decideAt: Date,
+      winner: String,
+      decidedAt: Date,
+      // The campaign holding everyone outside the test slice
+      rollout: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign' },
+    },
+    // Set on a winner test's rollout campaign
+    abTestOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign' },
+    // Campaign-wide values for {{placeholders}} that aren't on the contact
+    variables: { type: Map, of: String, default: {} },
+    status: {
+      type: String,
+      // awaiting_winner: an A/B rollout held until its test picks a winner
+      enum: ['awaiting_winner', 'queued', 'running', 'paused', 'completed', 'cancelled'],
+      default: 'queued',
+      index: true,
+    },
+    total: { type: Number, default: 0 },
+    sent: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    // Recipients never sent to (opted out, ...)
+    skipped: { type: Number, default: 0 },
+    // Why the runner gave up on the campaign, if it did
+    error: String,
+    // Hash of the history.json entry this was imported from (see lib/history.js)
+    legacyKey: { type: String, unique: true, sparse: true },
+    startedAt: Date,
+    finishedAt: Date,
+    // When the remaining recipients should be done under the accounts' sending policies
+    estimatedFinishAt: Date,
+  },
+  { timestamps: true }
+);
+
+campaignSchema.index({ createdAt: -1 });
+campaignSchema.index({ setName: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Campaign', campaignSchema);
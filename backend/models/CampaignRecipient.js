@@ -0,0 +1,54 @@
+// backend/models/CampaignRecipient.js
+const mongoose = require('mongoose');
+const { ERROR_CODES } = require('../lib/sendErrors');
+
+// One document per phone in a campaign, so a 2,000-contact send doesn't
+// rewrite a single huge array on every message.
+const campaignRecipientSchema = new mongoose.Schema(
+  {
+    campaign: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign', required: true },
+    phone: { type: String, required: true, trim: true },
+    name: { type: String, default: '' },
+    // Group campaigns: the group's @g.us JID (phone then holds the group id)
+    jid: String,
+    // The contact's custom fields when the campaign was queued, for templating
+    fields: { type: Map, of: String, default: undefined },
+    // A/B tests: key of the message variant this recipient gets
+    variant: String,
+    status: {
+      type: String,
+      enum: ['pending', 'sending', 'sent', 'failed', 'skipped'],
+      default: 'pending',
+    },
+    attempts: { type: Number, default: 0 },
+    error: String,
+    // Classified reason for the last failed attempt (see lib/sendErrors.js)
+    errorCode: { type: String, enum: ERROR_CODES },
+    // A transient failure put back to `pending`: not before this time
+    nextAttemptAt: Date,
+    // Why a `skipped` recipient was never sent to, e.g. 'opted_out'
+    skipReason: String,
+    // The text actually sent after templating
+    text: String,
+    sentAt: Date,
+
+    // WhatsApp account that sent it
+    account: String,
+    // WhatsApp message key id returned by sendMessage, used to match receipts
+    messageId: String,
+    delivery: { type: String, enum: ['server_ack', 'delivered', 'read'] },
+    serverAckAt: Date,
+    deliveredAt: Date,
+    readAt: Date,
+  },
+  { timestamps: true }
+);
+
+campaignRecipientSchema.index({ campaign: 1, status: 1 });
+campaignRecipientSchema.index({ messageId: 1 }, { sparse: true });
+// Inbox: last campaign message sent to a number
+campaignRecipientSchema.index({ phone: 1, sentAt: -1 });
+// Sending policy: messages per account per hour / day
+campaignRecipientSchema.index({ account: 1, sentAt: -1 });
+
+module.exports = mongoose.model('CampaignRecipient', campaignRecipientSchema);
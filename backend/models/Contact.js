@@ -1,12 +1,17 @@
 // backend/models/Contact.js
 const mongoose = require('mongoose');
 
+// Global view of every phone across all contact sets; maintained by lib/contactIndex.js
 const contactSchema = new mongoose.Schema(
   {
-    phone: { type: String, required: true, unique: true, index: true, trim: true },
+    phone: { type: String, required: true, unique: true, trim: true },
     name: { type: String, default: '' },
-  },
-  { timestamps: true }
+    // Names of the sets the phone is in
+    sets: [{ type: String }],
+    syncedAt: Date,
+  }
 );
 
-module.exports = mongoose.model('Contact', contactSchema);
\ No newline at end of file
+contactSchema.index({ sets: 1 });
+
+module.exports = mongoose.model('Contact', contactSchema);
@@ -1,12 +1,25 @@
+// backend/models/ContactSet.js
 const mongoose = require('mongoose');
 
 const contactSetSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, unique: true, trim: true },
+    // ISO country used for numbers without a country code (see lib/phone.js)
+    defaultCountry: { type: String, uppercase: true, trim: true },
+    // Latest recorded change (models/ContactSetRevision.js)
+    revision: { type: Number, default: 0 },
     contacts: [
       {
         name: { type: String, default: '' },
         phone: { type: String, required: true, trim: true },
+        // Free-form labels and custom fields (see lib/contactFields.js)
+        tags: [{ type: String, lowercase: true, trim: true }],
+        fields: { type: Map, of: String, default: undefined },
+        // Result of the last WhatsApp check; unset = never checked
+        onWhatsApp: Boolean,
+        waCheckedAt: Date,
+        // People API resource name for contacts imported from Google (see lib/googleContacts.js)
+        googleId: String,
       },
     ],
   },
@@ -16,4 +29,33 @@ const contactSetSchema = new mongoose.Schema(
 // Keep only the subfield index; `name` already has `unique: true` on the field.
 contactSetSchema.index({ 'contacts.phone': 1 });
 
+// Keep the global contacts index (lib/contactIndex.js) in step with set membership.
+// Phones loaded with the set are remembered so removals get synced too.
+const loadedPhones = (doc) => (doc.isSelected('contacts') ? doc.contacts.map((c) => c.phone) : []);
+// Required lazily: lib/contactIndex.js requires this model
+const syncContacts = (phones) =>
+  require('../lib/contactIndex')
+    .syncContacts(phones)
+    .catch((err) => console.error('❌ Failed to update contacts index:', err));
+
+contactSetSchema.post('init', function () {
+  this.$locals.phones = loadedPhones(this);
+});
+contactSetSchema.post('save', async function () {
+  const phones = this.contacts.map((c) => c.phone);
+  await syncContacts([...(this.$locals.phones || []), ...phones]);
+  this.$locals.phones = phones;
+});
+// Change history: a save after lib/contactHistory.js trackChanges() records a revision
+const history = () => require('../lib/contactHistory');
+contactSetSchema.pre('save', function () {
+  history().prepareRevision(this);
+});
+contactSetSchema.post('save', async function () {
+  await history().saveRevision(this);
+});
+contactSetSchema.post('findOneAndDelete', async function (doc) {
+  if (doc) await syncContacts(doc.contacts.map((c) => c.phone));
+});
+
 module.exports = mongoose.model('ContactSet', contactSetSchema);
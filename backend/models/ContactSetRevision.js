@@ -0,0 +1,58 @@
+// backend/models/ContactSetRevision.js
+const mongoose = require('mongoose');
+
+const REVISION_ACTIONS = [
+  'create',
+  'upload',
+  'add',
+  'update',
+  'delete_contact',
+  'tags',
+  'country',
+  'rename',
+  'google_import',
+  'google_sync',
+  'group_import',
+  'rollback',
+  'delete',
+  'restore',
+];
+
+// One recorded change to a contact set (see lib/contactHistory.js)
+const contactSetRevisionSchema = new mongoose.Schema(
+  {
+    // The set's _id: stays the same through renames, deletion and restore
+    set: { type: mongoose.Schema.Types.ObjectId, required: true },
+    setName: { type: String, required: true },
+    // ContactSet.revision after this change
+    version: { type: Number, required: true },
+    action: { type: String, enum: REVISION_ACTIONS, required: true },
+    // Who: as in the audit log; nobody for background jobs (Google sync)
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    apiKey: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' },
+    actor: { type: String, default: '' },
+    // What: { added: [contact], removed: [contact], changed: [{ before, after }],
+    // name?: { from, to }, defaultCountry?: { from, to } }
+    diff: { type: mongoose.Schema.Types.Mixed, required: true },
+    counts: {
+      added: { type: Number, default: 0 },
+      removed: { type: Number, default: 0 },
+      changed: { type: Number, default: 0 },
+    },
+    // Extra context, e.g. the version a rollback went back to
+    note: mongoose.Schema.Types.Mixed,
+
+    // Set on every revision of a deleted set, for when the trash retention runs
+    // out (Mongo's TTL monitor then removes them); restoring clears it again
+    expiresAt: Date,
+    // On a `delete` revision once the set has been restored from the trash
+    restoredAt: Date,
+  },
+  { collection: 'contact_set_revisions', timestamps: { createdAt: true, updatedAt: false } }
+);
+
+contactSetRevisionSchema.index({ set: 1, version: -1 }, { unique: true });
+contactSetRevisionSchema.index({ action: 1, restoredAt: 1, createdAt: -1 });
+contactSetRevisionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ContactSetRevision', contactSetRevisionSchema);
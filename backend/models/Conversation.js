@@ -0,0 +1,24 @@
+// backend/models/Conversation.js
+const mongoose = require('mongoose');
+
+// One thread per customer number, across all of our WhatsApp accounts
+const conversationSchema = new mongoose.Schema(
+  {
+    phone: { type: String, required: true, unique: true, trim: true },
+    // Contact name from our sets, else the customer's WhatsApp profile name
+    name: { type: String, default: '' },
+    // Contact set the number was found in, if any
+    setName: String,
+    // Our account the customer last wrote to; replies go out through it
+    account: String,
+    lastMessageAt: Date,
+    lastMessageText: { type: String, default: '' },
+    lastDirection: { type: String, enum: ['in', 'out'] },
+    unread: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+conversationSchema.index({ lastMessageAt: -1 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,30 @@
+// backend/models/GoogleSync.js
+const mongoose = require('mongoose');
+
+// A contact set kept in step with Google Contacts: all of them, or one
+// contact group ("label"). Re-syncs use the People API sync token.
+const googleSyncSchema = new mongoose.Schema(
+  {
+    setName: { type: String, required: true, unique: true, trim: true },
+    // contactGroups/... resource name; empty = every Google contact
+    group: { type: String, default: '' },
+    groupName: { type: String, default: '' },
+    // Default country for numbers Google has without a country code
+    country: { type: String, uppercase: true, trim: true },
+    // Re-synced by the periodic job (GOOGLE_SYNC_INTERVAL_MINUTES), not just on demand
+    auto: { type: Boolean, default: true },
+    syncToken: String,
+    lastSyncedAt: Date,
+    lastResult: {
+      added: Number,
+      updated: Number,
+      removed: Number,
+      rejected: Number,
+      full: Boolean,
+    },
+    lastError: String,
+  },
+  { collection: 'google_syncs', timestamps: true }
+);
+
+module.exports = mongoose.model('GoogleSync', googleSyncSchema);
@@ -0,0 +1,42 @@
+// backend/models/InboxMessage.js
+const mongoose = require('mongoose');
+
+// A message in a Conversation: customer replies (`in`) and replies sent from the inbox (`out`)
+const inboxMessageSchema = new mongoose.Schema(
+  {
+    conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+    phone: { type: String, required: true, trim: true },
+    direction: { type: String, enum: ['in', 'out'], required: true },
+    account: String,
+    // WhatsApp message key id, used to drop redelivered messages
+    messageId: String,
+    text: { type: String, default: '' },
+    // Metadata only; the file itself is not downloaded
+    media: {
+      kind: { type: String, enum: ['image', 'video', 'audio', 'document', 'sticker'] },
+      mimetype: String,
+      fileName: String,
+      size: Number,
+      seconds: Number,
+    },
+    // When WhatsApp says it was sent (inbound) / when we sent it (outbound)
+    sentAt: { type: Date, required: true },
+    readAt: Date,
+
+    // The last campaign message this number got before replying
+    campaign: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign' },
+    // Who replied from the inbox
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Set when the reply was sent by an auto-reply rule
+    autoReplyRule: { type: mongoose.Schema.Types.ObjectId, ref: 'AutoReplyRule' },
+  },
+  { collection: 'inbox_messages', timestamps: true }
+);
+
+inboxMessageSchema.index({ conversation: 1, sentAt: -1 });
+inboxMessageSchema.index(
+  { account: 1, messageId: 1 },
+  { unique: true, partialFilterExpression: { messageId: { $exists: true } } }
+);
+
+module.exports = mongoose.model('InboxMessage', inboxMessageSchema);
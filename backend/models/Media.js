@@ -0,0 +1,16 @@
+// backend/models/Media.js
+const mongoose = require('mongoose');
+
+const mediaSchema = new mongoose.Schema(
+  {
+    originalName: { type: String, required: true, trim: true },
+    // Multer's random file name inside uploads/media
+    filename: { type: String, required: true, unique: true },
+    mimetype: { type: String, required: true },
+    kind: { type: String, enum: ['image', 'video', 'audio', 'document'], required: true },
+    size: { type: Number, required: true },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Media', mediaSchema);
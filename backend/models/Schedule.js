@@ -0,0 +1,43 @@
+// backend/models/Schedule.js
+const mongoose = require('mongoose');
+
+const scheduleRunSchema = new mongoose.Schema(
+  {
+    scheduledFor: { type: Date, required: true },
+    firedAt: Date,
+    // fired: on time; delayed: waited for WhatsApp to reconnect; missed: never sent
+    status: { type: String, enum: ['fired', 'delayed', 'missed'], required: true },
+    campaign: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign' },
+    note: String,
+  },
+  { _id: false }
+);
+
+const scheduleSchema = new mongoose.Schema(
+  {
+    name: { type: String, default: '', trim: true },
+    setName: { type: String, required: true, trim: true },
+    message: { type: String, default: '' },
+    variables: { type: Map, of: String, default: {} },
+    media: { type: mongoose.Schema.Types.ObjectId, ref: 'Media' },
+    skipNotOnWhatsApp: { type: Boolean, default: false },
+
+    timezone: { type: String, default: 'Africa/Dar_es_Salaam' },
+    type: { type: String, enum: ['once', 'daily', 'weekly', 'monthly'], required: true },
+    runAt: Date, // once
+    time: String, // HH:mm in `timezone` (recurring)
+    weekdays: [{ type: Number, min: 0, max: 6 }], // weekly, 0 = Sunday
+    dayOfMonth: { type: Number, min: 1, max: 31 }, // monthly; clamped to short months
+    // How long a run may wait for a disconnected socket before it counts as missed
+    graceMinutes: { type: Number, default: 60, min: 0 },
+
+    status: { type: String, enum: ['active', 'completed', 'cancelled'], default: 'active' },
+    nextRunAt: Date,
+    runs: [scheduleRunSchema],
+  },
+  { timestamps: true }
+);
+
+scheduleSchema.index({ status: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('Schedule', scheduleSchema);
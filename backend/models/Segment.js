@@ -0,0 +1,32 @@
+// backend/models/Segment.js
+const mongoose = require('mongoose');
+
+const segmentRuleSchema = new mongoose.Schema(
+  {
+    // "tag", "name", "phone", "set", "whatsapp" or a custom field key
+    field: { type: String, required: true },
+    op: {
+      type: String,
+      enum: ['eq', 'ne', 'contains', 'not_contains', 'gt', 'gte', 'lt', 'lte', 'exists', 'missing'],
+      required: true,
+    },
+    value: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+// A saved filter over contacts, evaluated when it is previewed or sent to
+const segmentSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    description: { type: String, default: '' },
+    // Sets to draw contacts from; empty = every set
+    setNames: [{ type: String, trim: true }],
+    // all = AND, any = OR
+    match: { type: String, enum: ['all', 'any'], default: 'all' },
+    rules: [segmentRuleSchema],
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Segment', segmentSchema);
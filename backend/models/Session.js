@@ -0,0 +1,20 @@
+// backend/models/Session.js
+const mongoose = require('mongoose');
+
+// Login session; only the SHA-256 of the bearer token is stored
+const sessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: Date,
+    ip: String,
+    userAgent: String,
+  },
+  { timestamps: true }
+);
+
+// Let Mongo drop expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,13 @@
+// backend/models/Setting.js
+const mongoose = require('mongoose');
+
+// Small runtime-editable settings, one document per key
+const settingSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, trim: true },
+    value: mongoose.Schema.Types.Mixed,
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,16 @@
+// backend/models/Suppression.js
+const mongoose = require('mongoose');
+
+// Global do-not-message list; checked before every send
+const suppressionSchema = new mongoose.Schema(
+  {
+    phone: { type: String, required: true, unique: true, trim: true },
+    reason: { type: String, enum: ['keyword', 'manual'], default: 'manual' },
+    // The keyword / message text that triggered an automatic opt-out
+    keyword: String,
+    note: { type: String, default: '' },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Suppression', suppressionSchema);
@@ -0,0 +1,55 @@
+// backend/models/TransactionalMessage.js
+const mongoose = require('mongoose');
+const { ERROR_CODES } = require('../lib/sendErrors');
+
+// A one-off message sent through POST /messages (order confirmations and the
+// like). The campaign runner sends these ahead of any campaign traffic.
+const transactionalMessageSchema = new mongoose.Schema(
+  {
+    phone: { type: String, required: true, trim: true },
+    name: { type: String, default: '' },
+    // Set when the request named a contact from the global index rather than a phone
+    contact: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact' },
+    // Template source as requested, and the text it rendered to
+    message: { type: String, default: '' },
+    text: { type: String, default: '' },
+    media: { type: mongoose.Schema.Types.ObjectId, ref: 'Media' },
+    // Accounts allowed to send it; empty = any connected account
+    accounts: [{ type: String }],
+    status: { type: String, enum: ['queued', 'sending', 'sent', 'failed', 'skipped'], default: 'queued' },
+    // Why a `skipped` message was not sent: the number opted out while it was queued
+    skipReason: String,
+    attempts: { type: Number, default: 0 },
+    error: String,
+    errorCode: { type: String, enum: ERROR_CODES },
+    // A transient failure put back to `queued`: not before this time
+    nextAttemptAt: Date,
+    sentAt: Date,
+
+    // WhatsApp account that sent it and the message key id, used to match receipts
+    account: String,
+    messageId: String,
+    delivery: { type: String, enum: ['server_ack', 'delivered', 'read'] },
+    serverAckAt: Date,
+    deliveredAt: Date,
+    readAt: Date,
+
+    // Idempotency-Key header, unique per user, and a hash of the request it came with
+    idempotencyKey: String,
+    requestHash: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    apiKey: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' },
+  },
+  { collection: 'transactional_messages', timestamps: true }
+);
+
+transactionalMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+transactionalMessageSchema.index({ messageId: 1 }, { sparse: true });
+// Sending caps (lib/sendingPolicy.js)
+transactionalMessageSchema.index({ account: 1, sentAt: -1 });
+transactionalMessageSchema.index(
+  { createdBy: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('TransactionalMessage', transactionalMessageSchema);
@@ -0,0 +1,29 @@
+// backend/models/User.js
+const mongoose = require('mongoose');
+
+const userSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    name: { type: String, default: '', trim: true },
+    // "scrypt$<salt>$<hash>", see lib/auth.js
+    passwordHash: { type: String, required: true },
+    role: { type: String, enum: ['admin', 'operator', 'viewer'], default: 'viewer' },
+    disabled: { type: Boolean, default: false },
+    lastLoginAt: Date,
+  },
+  { timestamps: true }
+);
+
+userSchema.methods.toPublic = function toPublic() {
+  return {
+    id: this._id.toString(),
+    email: this.email,
+    name: this.name,
+    role: this.role,
+    disabled: this.disabled,
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports = mongoose.model('User', userSchema);
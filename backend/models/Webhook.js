@@ -0,0 +1,23 @@
+// backend/models/Webhook.js
+const mongoose = require('mongoose');
+
+// An outbound webhook subscription. The secret signs every delivery
+// (X-Webhook-Signature, see lib/webhooks.js), so it is kept in plain text.
+const webhookSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    url: { type: String, required: true, trim: true },
+    secret: { type: String, required: true },
+    // Event types it receives (WEBHOOK_EVENTS in lib/webhooks.js)
+    events: [{ type: String }],
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    lastDeliveryAt: Date,
+    lastStatus: { type: String, enum: ['succeeded', 'failed'] },
+  },
+  { collection: 'webhooks', timestamps: true }
+);
+
+webhookSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,31 @@
+// backend/models/WebhookDelivery.js
+const mongoose = require('mongoose');
+
+// Kept for this long, then Mongo's TTL monitor removes them
+const RETENTION_DAYS = Number(process.env.WEBHOOK_LOG_DAYS) || 30;
+
+// One event sent (or being retried) to one webhook
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+    event: { type: String, required: true },
+    // The exact JSON body that is signed and POSTed
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: { type: String, enum: ['pending', 'succeeded', 'failed'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: Date,
+    // Last attempt
+    responseStatus: Number,
+    responseBody: String,
+    error: String,
+    durationMs: Number,
+    deliveredAt: Date,
+  },
+  { collection: 'webhook_deliveries', timestamps: true }
+);
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,51 @@
+// backend/models/WhatsAppAccount.js
+const mongoose = require('mongoose');
+
+// Sending limits for one number (see lib/sendingPolicy.js); 0 = no cap
+const sendingPolicySchema = new mongoose.Schema(
+  {
+    // Day boundaries, warm-up days and quiet hours are in this timezone
+    timezone: { type: String, default: 'Africa/Dar_es_Salaam' },
+    hourlyCap: { type: Number, default: 0, min: 0 },
+    dailyCap: { type: Number, default: 0, min: 0 },
+    // New numbers: start at startPerDay and grow by increasePercent each day
+    warmup: {
+      enabled: { type: Boolean, default: false },
+      startPerDay: { type: Number, default: 20, min: 1 },
+      increasePercent: { type: Number, default: 50, min: 0 },
+      startedAt: Date,
+    },
+    // No sending between start and end (HH:mm; end earlier than start = overnight)
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: '21:00' },
+      end: { type: String, default: '08:00' },
+    },
+    // After this many failures in a row, pause; each further pause doubles, up to the max
+    backoff: {
+      failureThreshold: { type: Number, default: 5, min: 1 },
+      pauseMinutes: { type: Number, default: 15, min: 1 },
+      maxPauseMinutes: { type: Number, default: 240, min: 1 },
+    },
+  },
+  { _id: false }
+);
+
+const whatsAppAccountSchema = new mongoose.Schema(
+  {
+    // Short id used in routes and campaign targeting, e.g. "sales-2"
+    name: { type: String, required: true, unique: true, trim: true, lowercase: true, match: /^[a-z0-9_-]{1,32}$/ },
+    label: { type: String, default: '', trim: true },
+    // Baileys multi-file auth folder, relative to the backend directory
+    authDir: { type: String, required: true },
+    // Pause between two messages sent from this number (random in range)
+    minDelayMs: { type: Number, default: 1000, min: 0 },
+    maxDelayMs: { type: Number, default: 3000, min: 0 },
+    policy: { type: sendingPolicySchema, default: () => ({}) },
+    // false after a logout, so we don't pop a fresh QR on every boot
+    active: { type: Boolean, default: true },
+  },
+  { collection: 'whatsapp_accounts', timestamps: true }
+);
+
+module.exports = mongoose.model('WhatsAppAccount', whatsAppAccountSchema);
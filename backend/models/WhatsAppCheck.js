@@ -0,0 +1,15 @@
+// backend/models/WhatsAppCheck.js
+const mongoose = require('mongoose');
+
+// Global "is this number on WhatsApp?" cache, shared by every set
+const whatsAppCheckSchema = new mongoose.Schema(
+  {
+    phone: { type: String, required: true, unique: true, trim: true },
+    exists: { type: Boolean, required: true },
+    jid: String,
+    checkedAt: { type: Date, required: true },
+  },
+  { collection: 'whatsapp_checks', timestamps: true }
+);
+
+module.exports = mongoose.model('WhatsAppCheck', whatsAppCheckSchema);
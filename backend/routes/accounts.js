@@ -0,0 +1,192 @@
+// backend/routes/accounts.js
+//
+// WhatsApp accounts: pairing, connecting and removing them, and their sending
+// policies (see lib/whatsapp.js and lib/sendingPolicy.js).
+const express = require('express');
+const WhatsAppAccount = require('../models/WhatsAppAccount');
+const { hasRole, requireRole } = require('../lib/auth');
+const { authDirFor, DEFAULT_ACCOUNT } = require('../lib/whatsapp');
+const { parsePolicyInput } = require('../lib/sendingPolicy');
+
+function createAccountRoutes({ whatsapp, sendingPolicy, campaignRunner }) {
+  const router = express.Router();
+
+  // All accounts with live connection status (QR included while pairing, for admins only)
+  router.get('/accounts', async (req, res) => {
+    try {
+      const isAdmin = hasRole(req.auth.role, 'admin');
+      const accounts = await WhatsAppAccount.find().sort({ createdAt: 1 });
+      res.json(
+        accounts.map((a) => {
+          const state = whatsapp.status(a.name) || {
+            name: a.name,
+            label: a.label,
+            status: a.active ? 'disconnected' : 'logged_out',
+            qr: null,
+            minDelayMs: a.minDelayMs,
+            maxDelayMs: a.maxDelayMs,
+            policy: a.policy,
+            active: a.active,
+          };
+          return isAdmin ? state : { ...state, qr: undefined, pairing: !!state.qr };
+        })
+      );
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to list accounts' });
+    }
+  });
+
+  // Add an account and start pairing; scan the QR sent as `account:qr` / returned by GET /accounts
+  router.post('/accounts', requireRole('admin'), async (req, res) => {
+    try {
+      const { name, label = '', minDelayMs, maxDelayMs, policy } = req.body || {};
+      const slug = String(name || '').trim().toLowerCase();
+      if (!/^[a-z0-9_-]{1,32}$/.test(slug)) {
+        return res.status(400).json({ error: 'name must be 1-32 chars of a-z, 0-9, - or _' });
+      }
+      if (await WhatsAppAccount.exists({ name: slug })) {
+        return res.status(409).json({ error: 'Account already exists' });
+      }
+
+      const account = new WhatsAppAccount({ name: slug, label: String(label), authDir: authDirFor(slug) });
+      if (minDelayMs != null) account.minDelayMs = Number(minDelayMs);
+      if (maxDelayMs != null) account.maxDelayMs = Number(maxDelayMs);
+      if (account.maxDelayMs < account.minDelayMs) {
+        return res.status(400).json({ error: 'maxDelayMs must be >= minDelayMs' });
+      }
+      if (policy != null) {
+        const parsed = parsePolicyInput(policy);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+        account.policy = parsed.value;
+      }
+      await account.save();
+
+      res.status(201).json(await whatsapp.connect(account));
+    } catch (e) {
+      if (e.name === 'ValidationError') return res.status(400).json({ error: e.message });
+      console.error(e);
+      res.status(500).json({ error: 'Failed to add account' });
+    }
+  });
+
+  // Update label / per-account rate limits / sending policy
+  router.patch('/accounts/:name', requireRole('admin'), async (req, res) => {
+    try {
+      const account = await WhatsAppAccount.findOne({ name: req.params.name });
+      if (!account) return res.status(404).json({ error: 'Account not found' });
+
+      const { label, minDelayMs, maxDelayMs, policy } = req.body || {};
+      if (label !== undefined) account.label = String(label || '');
+      if (minDelayMs !== undefined) account.minDelayMs = Number(minDelayMs);
+      if (maxDelayMs !== undefined) account.maxDelayMs = Number(maxDelayMs);
+      if (account.maxDelayMs < account.minDelayMs) {
+        return res.status(400).json({ error: 'maxDelayMs must be >= minDelayMs' });
+      }
+      if (policy !== undefined) {
+        const parsed = parsePolicyInput(policy, account.policy?.toObject() || {});
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+        account.policy = parsed.value;
+      }
+      await account.save();
+
+      whatsapp.updateAccount(account);
+      res.json(whatsapp.status(account.name) || account);
+    } catch (e) {
+      if (e.name === 'ValidationError') return res.status(400).json({ error: e.message });
+      console.error(e);
+      res.status(500).json({ error: 'Failed to update account' });
+    }
+  });
+
+  // Sending policy plus today's usage, remaining allowance and any backoff pause
+  router.get('/accounts/:name/policy', async (req, res) => {
+    try {
+      const account = await WhatsAppAccount.findOne({ name: req.params.name });
+      if (!account) return res.status(404).json({ error: 'Account not found' });
+      res.json({ name: account.name, ...(await sendingPolicy.status(account.toObject())) });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load sending policy' });
+    }
+  });
+
+  // Replace parts of the sending policy: { hourlyCap, dailyCap, timezone, warmup, quietHours, backoff }
+  router.put('/accounts/:name/policy', requireRole('admin'), async (req, res) => {
+    try {
+      const account = await WhatsAppAccount.findOne({ name: req.params.name });
+      if (!account) return res.status(404).json({ error: 'Account not found' });
+
+      const parsed = parsePolicyInput(req.body, account.policy?.toObject() || {});
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      account.policy = parsed.value;
+      await account.save();
+
+      whatsapp.updateAccount(account);
+      campaignRunner.kick();
+      res.json({ name: account.name, ...(await sendingPolicy.status(account.toObject())) });
+    } catch (e) {
+      if (e.name === 'ValidationError') return res.status(400).json({ error: e.message });
+      console.error(e);
+      res.status(500).json({ error: 'Failed to update sending policy' });
+    }
+  });
+
+  // Lift a backoff pause early (caps and quiet hours still apply)
+  router.post('/accounts/:name/resume-sending', requireRole('admin'), async (req, res) => {
+    try {
+      const account = await WhatsAppAccount.findOne({ name: req.params.name });
+      if (!account) return res.status(404).json({ error: 'Account not found' });
+      sendingPolicy.resume(account.name);
+      campaignRunner.kick();
+      res.json({ name: account.name, ...(await sendingPolicy.status(account.toObject())) });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to resume sending' });
+    }
+  });
+
+  // (Re)connect, e.g. to get a fresh QR after a logout
+  router.post('/accounts/:name/connect', requireRole('admin'), async (req, res) => {
+    try {
+      const account = await WhatsAppAccount.findOneAndUpdate({ name: req.params.name }, { active: true }, { new: true });
+      if (!account) return res.status(404).json({ error: 'Account not found' });
+      whatsapp.stop(account.name);
+      res.json(await whatsapp.connect(account));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to connect account' });
+    }
+  });
+
+  // Unlink the number and clear its session; the account stays for later re-pairing
+  router.post('/accounts/:name/logout', requireRole('admin'), async (req, res) => {
+    try {
+      const account = await whatsapp.logout(req.params.name);
+      if (!account) return res.status(404).json({ error: 'Account not found' });
+      res.json({ message: 'Logged out', name: account.name });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to log out account' });
+    }
+  });
+
+  // Log out and delete the account entirely
+  router.delete('/accounts/:name', requireRole('admin'), async (req, res) => {
+    try {
+      if (req.params.name === DEFAULT_ACCOUNT) {
+        return res.status(400).json({ error: 'The default account can be logged out but not removed' });
+      }
+      const account = await whatsapp.remove(req.params.name);
+      if (!account) return res.status(404).json({ error: 'Account not found' });
+      res.json({ message: 'Account removed', name: account.name });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to remove account' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAccountRoutes };
@@ -0,0 +1,309 @@
+// backend/routes/auth.js
+//
+// Logging in and out, users, API keys and the audit log (see lib/auth.js).
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const {
+  ROLES,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  createSession,
+  revokeSession,
+  generateApiKey,
+  credentialsFromRequest,
+  requireRole,
+  audit,
+} = require('../lib/auth');
+const { escapeRegex } = require('./helpers');
+
+function createAuthRoutes() {
+  const router = express.Router();
+
+  const MIN_PASSWORD_LENGTH = 8;
+
+  function parseUserInput(body, { partial = false } = {}) {
+    const value = {};
+    if (!partial || body.email !== undefined) {
+      value.email = String(body.email || '').trim().toLowerCase();
+      if (!/^\S+@\S+\.\S+$/.test(value.email)) return { error: 'A valid email is required' };
+    }
+    if (body.name !== undefined) value.name = String(body.name || '').trim();
+    if (!partial || body.role !== undefined) {
+      value.role = body.role || 'viewer';
+      if (!ROLES.includes(value.role)) return { error: `role must be one of ${ROLES.join(', ')}` };
+    }
+    if (!partial || body.password !== undefined) {
+      if (String(body.password || '').length < MIN_PASSWORD_LENGTH) {
+        return { error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+      }
+      value.password = String(body.password);
+    }
+    if (body.disabled !== undefined) value.disabled = !!body.disabled;
+    return { value };
+  }
+
+  // First run only: create the initial admin while there are no users at all
+  router.post('/auth/setup', async (req, res) => {
+    try {
+      if (await User.exists({})) return res.status(409).json({ error: 'Setup has already been completed' });
+      const parsed = parseUserInput({ ...req.body, role: 'admin' });
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+      const { password, ...fields } = parsed.value;
+      const user = await User.create({ ...fields, passwordHash: await hashPassword(password) });
+      const session = await createSession(user, req);
+      await audit(req, 'auth.setup', { status: 201, user, actor: user.email });
+      res.status(201).json({ ...session, user: user.toPublic() });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to complete setup' });
+    }
+  });
+
+  router.post('/auth/login', async (req, res) => {
+    try {
+      const email = String(req.body?.email || '').trim().toLowerCase();
+      const user = email ? await User.findOne({ email }) : null;
+      const ok = user && !user.disabled && (await verifyPassword(req.body?.password, user.passwordHash));
+      if (!ok) {
+        await audit(req, 'auth.login_failed', { status: 401, user, actor: email });
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      user.lastLoginAt = new Date();
+      await user.save();
+      const session = await createSession(user, req);
+      await audit(req, 'auth.login', { status: 200, user, actor: user.email });
+      res.json({ ...session, user: user.toPublic() });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to log in' });
+    }
+  });
+
+  router.post('/auth/logout', async (req, res) => {
+    try {
+      const { token } = credentialsFromRequest(req);
+      if (token) await revokeSession(token);
+      res.json({ message: 'Logged out' });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to log out' });
+    }
+  });
+
+  router.get('/auth/me', (req, res) => {
+    res.json({
+      user: req.auth.user.toPublic(),
+      role: req.auth.role,
+      apiKey: req.auth.apiKey ? { id: req.auth.apiKey._id, name: req.auth.apiKey.name } : null,
+    });
+  });
+
+  router.post('/auth/password', async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body || {};
+      const user = await User.findById(req.auth.user._id);
+      if (!(await verifyPassword(currentPassword, user.passwordHash))) {
+        return res.status(400).json({ error: 'Current password is incorrect' });
+      }
+      const parsed = parseUserInput({ password: newPassword }, { partial: true });
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+      user.passwordHash = await hashPassword(parsed.value.password);
+      await user.save();
+      // Sign out everywhere else, so a leaked token stops working
+      await Session.updateMany(
+        { user: user._id, revokedAt: null, _id: { $ne: req.auth.session?._id } },
+        { revokedAt: new Date() }
+      );
+      res.json({ message: 'Password changed' });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to change password' });
+    }
+  });
+
+  router.get('/users', requireRole('admin'), async (req, res) => {
+    try {
+      const users = await User.find().sort({ createdAt: 1 });
+      res.json(users.map((u) => u.toPublic()));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load users' });
+    }
+  });
+
+  router.post('/users', requireRole('admin'), async (req, res) => {
+    try {
+      const parsed = parseUserInput(req.body || {});
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      if (await User.exists({ email: parsed.value.email })) {
+        return res.status(409).json({ error: 'A user with that email already exists' });
+      }
+
+      const { password, ...fields } = parsed.value;
+      const user = await User.create({ ...fields, passwordHash: await hashPassword(password) });
+      res.status(201).json(user.toPublic());
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to create user' });
+    }
+  });
+
+  // Disabling a user or changing their password also ends their sessions
+  router.patch('/users/:id', requireRole('admin'), async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'User not found' });
+      const parsed = parseUserInput(req.body || {}, { partial: true });
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+      const user = await User.findById(req.params.id);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+
+      const { password, ...fields } = parsed.value;
+      const isSelf = user._id.equals(req.auth.user._id);
+      if (isSelf && (fields.disabled || (fields.role && fields.role !== 'admin'))) {
+        return res.status(400).json({ error: 'You cannot disable or demote yourself' });
+      }
+      if (fields.email && fields.email !== user.email && (await User.exists({ email: fields.email }))) {
+        return res.status(409).json({ error: 'A user with that email already exists' });
+      }
+
+      Object.assign(user, fields);
+      if (password) user.passwordHash = await hashPassword(password);
+      await user.save();
+      if (password || fields.disabled) {
+        await Session.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+      }
+      res.json(user.toPublic());
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to update user' });
+    }
+  });
+
+  router.delete('/users/:id', requireRole('admin'), async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'User not found' });
+      if (req.auth.user._id.equals(req.params.id)) {
+        return res.status(400).json({ error: 'You cannot delete yourself' });
+      }
+      const user = await User.findByIdAndDelete(req.params.id);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+
+      await Session.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+      await ApiKey.updateMany({ createdBy: user._id, revokedAt: null }, { revokedAt: new Date() });
+      res.json({ message: `User ${user.email} deleted` });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to delete user' });
+    }
+  });
+
+  // ===== API Keys =====
+
+  function serializeApiKey(key) {
+    return {
+      id: key._id,
+      name: key.name,
+      prefix: key.prefix,
+      role: key.role,
+      createdBy: key.createdBy,
+      lastUsedAt: key.lastUsedAt,
+      revokedAt: key.revokedAt,
+      createdAt: key.createdAt,
+    };
+  }
+
+  // Admins see every key; everyone else only their own
+  router.get('/api-keys', async (req, res) => {
+    try {
+      const filter = hasRole(req.auth.role, 'admin') ? {} : { createdBy: req.auth.user._id };
+      const keys = await ApiKey.find(filter).sort({ createdAt: -1 });
+      res.json(keys.map(serializeApiKey));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load API keys' });
+    }
+  });
+
+  // The plaintext key is only ever returned here
+  router.post('/api-keys', async (req, res) => {
+    try {
+      const name = String(req.body?.name || '').trim();
+      if (!name) return res.status(400).json({ error: 'name is required' });
+      const role = req.body?.role || req.auth.role;
+      if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+      if (!hasRole(req.auth.role, role)) {
+        return res.status(403).json({ error: 'A key cannot have a higher role than its creator' });
+      }
+
+      const { key, prefix, keyHash } = generateApiKey();
+      const apiKey = await ApiKey.create({ name, prefix, keyHash, role, createdBy: req.auth.user._id });
+      res.status(201).json({ ...serializeApiKey(apiKey), key });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to create API key' });
+    }
+  });
+
+  router.delete('/api-keys/:id', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'API key not found' });
+      const filter = { _id: req.params.id, revokedAt: null };
+      if (!hasRole(req.auth.role, 'admin')) filter.createdBy = req.auth.user._id;
+
+      const key = await ApiKey.findOneAndUpdate(filter, { revokedAt: new Date() }, { new: true });
+      if (!key) return res.status(404).json({ error: 'API key not found' });
+      res.json(serializeApiKey(key));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+  });
+
+  // ===== Audit Log =====
+
+  // ?user=<id>&action=<text>&from=&to=&page=&limit=
+  router.get('/audit', requireRole('admin'), async (req, res) => {
+    try {
+      const filter = {};
+      if (req.query.user) {
+        if (!mongoose.isValidObjectId(req.query.user)) return res.status(400).json({ error: 'Invalid user id' });
+        filter.user = req.query.user;
+      }
+      if (req.query.action) {
+        filter.action = { $regex: escapeRegex(req.query.action), $options: 'i' };
+      }
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? new Date(req.query.to) : null;
+      if ((from && isNaN(from)) || (to && isNaN(to))) return res.status(400).json({ error: 'Invalid date range' });
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = to;
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const [total, items] = await Promise.all([
+        AuditLog.countDocuments(filter),
+        AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      ]);
+      res.json({ page, limit, total, items });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load audit log' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRoutes };
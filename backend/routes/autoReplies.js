@@ -0,0 +1,140 @@
+// backend/routes/autoReplies.js
+//
+// Auto-reply rules and trying them out on a sample message (see lib/autoReply.js).
+const express = require('express');
+const mongoose = require('mongoose');
+const AutoReplyRule = require('../models/AutoReplyRule');
+const AutoReplyHit = require('../models/AutoReplyHit');
+const ContactSet = require('../models/ContactSet');
+const { findRule, renderReply, parseRuleInput } = require('../lib/autoReply');
+const { DEFAULT_COUNTRY, normalizePhone } = require('../lib/phone');
+const { findMedia } = require('../lib/sendRequests');
+
+function createAutoReplyRoutes() {
+  const router = express.Router();
+
+  function serializeRule(rule) {
+    return { ...rule.toObject(), id: rule._id.toString() };
+  }
+
+  // Rules in the order they are tried (highest priority first)
+  router.get('/auto-replies', async (req, res) => {
+    try {
+      const rules = await AutoReplyRule.find().sort({ priority: -1, createdAt: 1 });
+      res.json(rules.map(serializeRule));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to list auto-reply rules' });
+    }
+  });
+
+  // Which rule would answer a sample message? { text, phone?, at? }
+  // Cooldowns are reported but not claimed, so testing never blocks a real reply.
+  router.post('/auto-replies/test', async (req, res) => {
+    try {
+      const text = String(req.body?.text || '');
+      if (!text.trim()) return res.status(400).json({ error: 'text is required' });
+
+      let phone;
+      if (req.body?.phone) {
+        const normalized = normalizePhone(req.body.phone, { country: DEFAULT_COUNTRY });
+        if (!normalized.ok) return res.status(400).json({ error: normalized.reason });
+        phone = normalized.phone;
+      }
+      const at = req.body?.at ? new Date(req.body.at) : new Date();
+      if (isNaN(at)) return res.status(400).json({ error: 'Invalid at' });
+
+      const { rule, skipped } = await findRule(text, { phone, at });
+      res.json({
+        matched: rule ? serializeRule(rule) : null,
+        reply: rule ? await renderReply(rule, phone) : null,
+        skipped: skipped.map((s) => ({ id: s.rule._id.toString(), name: s.rule.name, reason: s.reason })),
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to test auto-reply rules' });
+    }
+  });
+
+  router.get('/auto-replies/:id', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Rule not found' });
+      const rule = await AutoReplyRule.findById(req.params.id);
+      if (!rule) return res.status(404).json({ error: 'Rule not found' });
+      res.json(serializeRule(rule));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load auto-reply rule' });
+    }
+  });
+
+  router.post('/auto-replies', async (req, res) => {
+    try {
+      const body = req.body || {};
+      const parsed = parseRuleInput(body);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+      const media = await findMedia(body.mediaId);
+      if (media === undefined) return res.status(400).json({ error: 'Media not found' });
+      const message = String(body.message || '');
+      if (!media && !message.trim()) return res.status(400).json({ error: 'Message is required' });
+      if (parsed.value.setName && !(await ContactSet.exists({ name: parsed.value.setName }))) {
+        return res.status(404).json({ error: 'Set not found' });
+      }
+
+      const rule = await AutoReplyRule.create({ ...parsed.value, message, media: media?._id });
+      res.status(201).json(serializeRule(rule));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to create auto-reply rule' });
+    }
+  });
+
+  // Fields not sent keep their current values
+  router.patch('/auto-replies/:id', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Rule not found' });
+      const rule = await AutoReplyRule.findById(req.params.id);
+      if (!rule) return res.status(404).json({ error: 'Rule not found' });
+
+      const body = req.body || {};
+      const parsed = parseRuleInput(body, rule.toObject());
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+      if (body.setName && !(await ContactSet.exists({ name: parsed.value.setName }))) {
+        return res.status(404).json({ error: 'Set not found' });
+      }
+      if (body.mediaId !== undefined) {
+        const media = await findMedia(body.mediaId);
+        if (media === undefined) return res.status(400).json({ error: 'Media not found' });
+        rule.media = media?._id;
+      }
+      if (body.message !== undefined) rule.message = String(body.message || '');
+      if (!rule.media && !rule.message.trim()) return res.status(400).json({ error: 'Message is required' });
+
+      rule.set(parsed.value);
+      await rule.save();
+      res.json(serializeRule(rule));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to update auto-reply rule' });
+    }
+  });
+
+  router.delete('/auto-replies/:id', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Rule not found' });
+      const rule = await AutoReplyRule.findByIdAndDelete(req.params.id);
+      if (!rule) return res.status(404).json({ error: 'Rule not found' });
+      await AutoReplyHit.deleteMany({ rule: rule._id });
+      res.json({ message: `Rule "${rule.name}" deleted`, id: req.params.id });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to delete auto-reply rule' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAutoReplyRoutes };
@@ -0,0 +1,243 @@
+// backend/routes/campaigns.js
+//
+// Campaigns in the queue and after: their recipients, delivery report, A/B
+// test results, resending failures and pausing, resuming or cancelling them.
+const express = require('express');
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const Media = require('../models/Media');
+const { summarize, ACTIVE_STATUSES } = require('../lib/campaignRunner');
+const { ERROR_CODES } = require('../lib/sendErrors');
+const { variantReport } = require('../lib/abTest');
+const { fieldsOf } = require('../lib/contactFields');
+const { parseAccounts } = require('../lib/sendRequests');
+
+// campaignQueue: createCampaignQueue() from routes/helpers.js
+function createCampaignRoutes({ campaignRunner, abTests, campaignQueue }) {
+  const router = express.Router();
+
+  const { campaignQueued } = campaignQueue;
+
+  // List campaigns (active ones by default; ?status=all for everything)
+  router.get('/campaigns', async (req, res) => {
+    try {
+      const { status = 'active' } = req.query;
+      const filter = {};
+      if (status === 'active') filter.status = { $in: ACTIVE_STATUSES };
+      else if (status !== 'all') filter.status = status;
+
+      const campaigns = await Campaign.find(filter).sort({ createdAt: -1 }).limit(100);
+      res.json(campaigns.map(summarize));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to list campaigns' });
+    }
+  });
+
+  router.get('/campaigns/:id', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Campaign not found' });
+      const campaign = await Campaign.findById(req.params.id);
+      if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+      res.json({
+        ...summarize(campaign),
+        message: campaign.message,
+        variants: campaign.variants?.length ? campaign.variants : undefined,
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load campaign' });
+    }
+  });
+
+  // Per-recipient state (?status=failed&errorCode=timeout etc.)
+  router.get('/campaigns/:id/recipients', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Campaign not found' });
+      const filter = { campaign: req.params.id };
+      if (req.query.status) filter.status = req.query.status;
+      if (req.query.errorCode) filter.errorCode = req.query.errorCode;
+      if (req.query.variant) filter.variant = req.query.variant;
+      const recipients = await CampaignRecipient.find(
+        filter,
+        'phone name variant status attempts error errorCode nextAttemptAt sentAt'
+      ).sort({ _id: 1 });
+      res.json(recipients);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load recipients' });
+    }
+  });
+
+  // Delivery report: per-status counts plus every recipient's timeline.
+  // Delivery counts are cumulative (a read message was also delivered).
+  router.get('/campaigns/:id/report', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Campaign not found' });
+      const campaign = await Campaign.findById(req.params.id);
+      if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+
+      const recipients = await CampaignRecipient.find(
+        { campaign: campaign._id },
+        'phone name variant status attempts error errorCode nextAttemptAt skipReason sentAt delivery serverAckAt deliveredAt readAt'
+      ).sort({ _id: 1 });
+
+      const counts = {
+        total: recipients.length,
+        pending: 0,
+        sent: 0,
+        failed: 0,
+        skipped: 0,
+        serverAck: 0,
+        delivered: 0,
+        read: 0,
+        retrying: 0,
+      };
+      // Failed recipients by classified reason
+      const failureReasons = Object.fromEntries(ERROR_CODES.map((code) => [code, 0]));
+      for (const r of recipients) {
+        if (r.status === 'sent') counts.sent++;
+        else if (r.status === 'failed') {
+          counts.failed++;
+          failureReasons[r.errorCode || 'unknown']++;
+        }
+        else if (r.status === 'skipped') counts.skipped++;
+        else counts.pending++;
+        if (r.status === 'pending' && r.nextAttemptAt) counts.retrying++;
+        if (r.serverAckAt) counts.serverAck++;
+        if (r.deliveredAt) counts.delivered++;
+        if (r.readAt) counts.read++;
+      }
+
+      res.json({ campaign: summarize(campaign), counts, failureReasons, recipients });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to build campaign report' });
+    }
+  });
+
+  // A/B test comparison: per variant, delivery / read / reply / opt-out rates (percent of sent)
+  router.get('/campaigns/:id/variants', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Campaign not found' });
+      const campaign = await Campaign.findById(req.params.id);
+      if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+      if (!campaign.variants?.length) return res.status(400).json({ error: 'Campaign is not an A/B test' });
+
+      const rollout = campaign.abTest?.rollout ? await Campaign.findById(campaign.abTest.rollout) : null;
+      res.json({
+        campaign: summarize(campaign),
+        variants: await variantReport(campaign),
+        rollout: rollout ? summarize(rollout) : null,
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to build variant report' });
+    }
+  });
+
+  // Pick a `winner` test's variant by hand ({ variant: 'B' }) and send it to the rest
+  router.post('/campaigns/:id/winner', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Campaign not found' });
+      const campaign = await Campaign.findById(req.params.id);
+      if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+      const decided = await abTests.chooseWinner(campaign, String(req.body?.variant || '').toUpperCase());
+      res.json(summarize(decided));
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      console.error(e);
+      res.status(500).json({ error: 'Failed to pick A/B test winner' });
+    }
+  });
+
+  // New campaign with the same message to only the recipients that failed.
+  // Optional body: { errorCodes: ['timeout', ...] } to pick reasons, { accounts } to send via others.
+  router.post('/campaigns/:id/resend-failed', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Campaign not found' });
+      const campaign = await Campaign.findById(req.params.id);
+      if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+      if (ACTIVE_STATUSES.includes(campaign.status)) {
+        return res.status(409).json({ error: 'Campaign is still in progress; wait for it to finish or cancel it' });
+      }
+
+      const filter = { campaign: campaign._id, status: 'failed' };
+      const { errorCodes } = req.body || {};
+      if (errorCodes != null) {
+        if (!Array.isArray(errorCodes) || errorCodes.some((c) => !ERROR_CODES.includes(c))) {
+          return res.status(400).json({ error: `errorCodes must list any of ${ERROR_CODES.join(', ')}` });
+        }
+        // Older failures have no code; count them as unknown
+        filter.$or = [
+          { errorCode: { $in: errorCodes } },
+          ...(errorCodes.includes('unknown') ? [{ errorCode: null }] : []),
+        ];
+      }
+      const failed = await CampaignRecipient.find(filter, 'phone name fields variant jid').sort({ _id: 1 });
+      if (!failed.length) return res.status(400).json({ error: 'No failed recipients to resend to' });
+
+      let { accounts } = campaign;
+      if (req.body?.accounts != null || req.body?.account != null) {
+        const parsed = await parseAccounts(req.body);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+        accounts = parsed.accounts;
+      }
+      if (campaign.media && !(await Media.exists({ _id: campaign.media }))) {
+        return res.status(400).json({ error: 'The original media no longer exists' });
+      }
+
+      const resend = await campaignRunner.enqueue({
+        setName: campaign.setName,
+        setNames: campaign.setNames,
+        segment: campaign.segment ? { _id: campaign.segment, name: campaign.segmentName } : undefined,
+        resendOf: campaign._id,
+        message: campaign.message,
+        variables: Object.fromEntries(campaign.variables || []),
+        media: campaign.media,
+        // A/B recipients get their own variant again
+        variants: campaign.variants,
+        groups: campaign.groups,
+        accounts,
+        skipNotOnWhatsApp: campaign.skipNotOnWhatsApp,
+        dryRun: campaign.dryRun,
+        contacts: failed.map((r) => ({
+          phone: r.phone,
+          name: r.name,
+          fields: fieldsOf(r),
+          variant: r.variant,
+          jid: r.jid,
+        })),
+      });
+      campaignQueued(res, resend, { resendOf: campaign._id });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to resend campaign' });
+    }
+  });
+
+  // Pause / resume / cancel
+  const CAMPAIGN_ACTIONS = { pause: 'paused', resume: 'resumed', cancel: 'cancelled' };
+  for (const [action, pastTense] of Object.entries(CAMPAIGN_ACTIONS)) {
+    router.post(`/campaigns/:id/${action}`, async (req, res) => {
+      try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Campaign not found' });
+        const campaign = await campaignRunner[action](req.params.id);
+        if (!campaign) {
+          const exists = await Campaign.exists({ _id: req.params.id });
+          if (!exists) return res.status(404).json({ error: 'Campaign not found' });
+          return res.status(409).json({ error: `Campaign cannot be ${pastTense} in its current state` });
+        }
+        res.json(summarize(campaign));
+      } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: `Failed to ${action} campaign` });
+      }
+    });
+  }
+
+  return router;
+}
+
+module.exports = { createCampaignRoutes };
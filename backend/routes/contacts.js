@@ -0,0 +1,635 @@
+// backend/routes/contacts.js
+//
+// Contact sets: listing and combining them, the global contacts index, each
+// set's history and the trash, and managing the contacts in a set.
+const express = require('express');
+const mongoose = require('mongoose');
+const ContactSet = require('../models/ContactSet');
+const ContactSetRevision = require('../models/ContactSetRevision');
+const Contact = require('../models/Contact');
+const GoogleSync = require('../models/GoogleSync');
+const { requireRole } = require('../lib/auth');
+const { SET_OPERATIONS, combineSets } = require('../lib/setAlgebra');
+const { rebuildContactIndex } = require('../lib/contactIndex');
+const { toVcard, toJson } = require('../lib/contactFiles');
+const { parseTags, parseFields, fieldsOf } = require('../lib/contactFields');
+const { COUNTRIES, DEFAULT_COUNTRY, isCountry, resolveCountry, normalizePhone, createImportReport } = require('../lib/phone');
+const { TTL_DAYS: WA_CHECK_TTL_DAYS } = require('../lib/waVerifier');
+const {
+  TRASH_DAYS,
+  DIFF_LISTS,
+  trackChanges,
+  rollbackSet,
+  trashSet,
+  restoreSet,
+  serializeRevision,
+  serializeTrashEntry,
+} = require('../lib/contactHistory');
+const { escapeRegex, requestCountry } = require('./helpers');
+
+// waVerifier: WhatsApp number checks (lib/waVerifier.js)
+function createContactRoutes({ waVerifier }) {
+  const router = express.Router();
+
+  // List all contact sets (name + count)
+  router.get('/contacts/sets', async (req, res) => {
+    try {
+      const sets = await ContactSet.find({}, 'name contacts updatedAt createdAt').sort({ updatedAt: -1 });
+      res.json(sets.map((s) => ({ name: s.name, count: s.contacts.length, updatedAt: s.updatedAt, createdAt: s.createdAt })));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to list contact sets' });
+    }
+  });
+
+  // Back-compat alias for older frontend code
+  router.get('/contacts', async (req, res) => {
+    try {
+      const sets = await ContactSet.find({}, 'name contacts');
+      res.json(sets.map((s) => ({ name: s.name, count: s.contacts.length })));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to list contact sets' });
+    }
+  });
+
+  // Build a new set from existing ones: { operation: union|intersect|subtract, sets: [...], name }
+  // subtract keeps the first set's numbers that are in none of the others.
+  router.post('/contacts/sets/combine', async (req, res) => {
+    try {
+      const { operation, sets: names, name: rawName } = req.body || {};
+      if (!SET_OPERATIONS.includes(operation)) {
+        return res.status(400).json({ error: `operation must be one of ${SET_OPERATIONS.join(', ')}` });
+      }
+      if (!Array.isArray(names) || new Set(names).size < 2) {
+        return res.status(400).json({ error: 'sets must list at least two different set names' });
+      }
+      const name = String(rawName || '').trim();
+      if (!name) return res.status(400).json({ error: 'name is required' });
+      if (await ContactSet.exists({ name })) return res.status(409).json({ error: 'Target set name already exists' });
+
+      const unique = [...new Set(names.map(String))];
+      const found = await ContactSet.find({ name: { $in: unique } });
+      const sets = unique.map((n) => found.find((s) => s.name === n));
+      const missing = unique.filter((n, i) => !sets[i]);
+      if (missing.length) return res.status(404).json({ error: `Set(s) not found: ${missing.join(', ')}` });
+
+      const contacts = combineSets(operation, sets);
+      const set = new ContactSet({ name, defaultCountry: sets[0].defaultCountry, contacts: [] });
+      trackChanges(set, 'create', { auth: req.auth, note: { operation, sources: sets.map((s) => s.name) } });
+      set.contacts = contacts;
+      await set.save();
+      res.status(201).json({
+        message: 'Set created',
+        name: set.name,
+        operation,
+        sources: sets.map((s) => ({ name: s.name, count: s.contacts.length })),
+        count: set.contacts.length,
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to combine sets' });
+    }
+  });
+
+  // Every phone across all sets, with the sets it is in
+  // (?q= phone/name search, ?set= only phones in that set, ?shared=1 only phones in 2+ sets, ?page=&limit=)
+  router.get('/contacts/global', async (req, res) => {
+    try {
+      const filter = {};
+      const q = String(req.query.q || '').trim();
+      if (q) {
+        const digits = q.replace(/\D/g, '');
+        filter.$or = [{ name: { $regex: escapeRegex(q), $options: 'i' } }];
+        if (digits) filter.$or.push({ phone: { $regex: digits } });
+      }
+      if (req.query.set) filter.sets = String(req.query.set);
+      if (req.query.shared === '1' || req.query.shared === 'true') filter['sets.1'] = { $exists: true };
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const [total, items] = await Promise.all([
+        Contact.countDocuments(filter),
+        Contact.find(filter, 'phone name sets').sort({ phone: 1 }).skip((page - 1) * limit).limit(limit),
+      ]);
+      res.json({ page, limit, total, items });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to list contacts' });
+    }
+  });
+
+  // One phone's entry in every set it belongs to
+  router.get('/contacts/global/:phone', async (req, res) => {
+    try {
+      const phone = String(req.params.phone).replace(/\D/g, '');
+      const sets = await ContactSet.find({ 'contacts.phone': phone }, { name: 1, 'contacts.$': 1 }).sort({ name: 1 });
+      if (!sets.length) return res.status(404).json({ error: 'Contact not found' });
+      res.json({ phone, sets: sets.map((s) => ({ setName: s.name, contact: s.contacts[0] })) });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load contact' });
+    }
+  });
+
+  // Recompute the global index from the sets (it is normally kept up to date on every change)
+  router.post('/contacts/global/rebuild', requireRole('admin'), async (req, res) => {
+    try {
+      res.json({ message: 'Contacts index rebuilt', ...(await rebuildContactIndex()) });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to rebuild contacts index' });
+    }
+  });
+
+  // Countries the phone normalizer knows about
+  router.get('/phone/countries', (req, res) => {
+    res.json({
+      default: DEFAULT_COUNTRY,
+      countries: Object.entries(COUNTRIES).map(([iso, c]) => ({ iso, name: c.name, code: c.code })),
+    });
+  });
+
+  // ===== Contact Set History & Trash =====
+  // Every change to a set is a revision (lib/contactHistory.js). Deleted sets
+  // wait in the trash for TRASH_DAYS. Registered before /contacts/:setName.
+
+  // Deleted sets that can still be restored, newest first
+  router.get('/contacts/trash', async (req, res) => {
+    try {
+      const entries = await ContactSetRevision.find({ action: 'delete', restoredAt: null }, DIFF_LISTS).sort({
+        createdAt: -1,
+      });
+      res.json({ retentionDays: TRASH_DAYS, items: entries.map(serializeTrashEntry) });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load trash' });
+    }
+  });
+
+  async function findTrashEntry(req, res) {
+    const entry = mongoose.isValidObjectId(req.params.id)
+      ? await ContactSetRevision.findOne({ _id: req.params.id, action: 'delete', restoredAt: null })
+      : null;
+    if (!entry) res.status(404).json({ error: 'Set not found in the trash' });
+    return entry;
+  }
+
+  // Bring a set back: { name? } to restore it under a new name if the old one is taken
+  router.post('/contacts/trash/:id/restore', async (req, res) => {
+    try {
+      const entry = await findTrashEntry(req, res);
+      if (!entry) return;
+      const set = await restoreSet(entry, { name: req.body?.name, auth: req.auth });
+      res.json({ message: 'Set restored', name: set.name, count: set.contacts.length, revision: set.revision });
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      if (e.code === 11000) return res.status(409).json({ error: 'A set with that name already exists' });
+      console.error(e);
+      res.status(500).json({ error: 'Failed to restore set' });
+    }
+  });
+
+  // Delete a trashed set for good, with its history
+  router.delete('/contacts/trash/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const entry = await findTrashEntry(req, res);
+      if (!entry) return;
+      await ContactSetRevision.deleteMany({ set: entry.set });
+      res.json({ message: 'Set deleted permanently', name: entry.setName });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to empty set from trash' });
+    }
+  });
+
+  // A set's revisions, newest first, without the contact lists (?page=&limit=)
+  router.get('/contacts/:setName/revisions', async (req, res) => {
+    try {
+      const set = await ContactSet.findOne({ name: req.params.setName }, 'name revision');
+      if (!set) return res.status(404).json({ error: 'Set not found' });
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const filter = { set: set._id };
+      const [total, items] = await Promise.all([
+        ContactSetRevision.countDocuments(filter),
+        ContactSetRevision.find(filter, DIFF_LISTS)
+          .sort({ version: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+      ]);
+      res.json({ name: set.name, revision: set.revision, page, limit, total, items: items.map(serializeRevision) });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load revisions' });
+    }
+  });
+
+  // One revision with its diff: contacts added, removed and changed (before / after)
+  router.get('/contacts/:setName/revisions/:version', async (req, res) => {
+    try {
+      const set = await ContactSet.findOne({ name: req.params.setName }, 'name');
+      if (!set) return res.status(404).json({ error: 'Set not found' });
+      const version = Number(req.params.version);
+      const revision = Number.isInteger(version)
+        ? await ContactSetRevision.findOne({ set: set._id, version })
+        : null;
+      if (!revision) return res.status(404).json({ error: 'Revision not found' });
+      res.json(serializeRevision(revision));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load revision' });
+    }
+  });
+
+  // Put the set's contacts back the way they were at this revision (0 = before any recorded change)
+  router.post('/contacts/:setName/revisions/:version/rollback', async (req, res) => {
+    try {
+      const set = await ContactSet.findOne({ name: req.params.setName });
+      if (!set) return res.status(404).json({ error: 'Set not found' });
+      const version = Number(req.params.version);
+      await rollbackSet(set, version, { auth: req.auth });
+      res.json({
+        message: `Set rolled back to revision ${version}`,
+        name: set.name,
+        count: set.contacts.length,
+        revision: set.revision,
+      });
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      console.error(e);
+      res.status(500).json({ error: 'Failed to roll back set' });
+    }
+  });
+
+  // ===== Set & Contact Management (CRUD) =====
+
+  // Export a set as CSV
+  router.get('/contacts/:setName/export.csv', async (req, res) => {
+    try {
+      const set = await ContactSet.findOne({ name: req.params.setName });
+      if (!set) return res.status(404).send('Set not found');
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(set.name)}.csv"`);
+
+      // Custom fields become extra columns, so the file re-imports cleanly
+      const csvCell = (v) => `"${String(v ?? '').replace(/"/g, '""')}"`;
+      const fieldNames = [...new Set(set.contacts.flatMap((c) => Object.keys(fieldsOf(c))))].sort();
+      res.write(['name', 'phone', 'tags', ...fieldNames].join(',') + '\n');
+      for (const c of set.contacts) {
+        const fields = fieldsOf(c);
+        const cells = [c.name || '', c.phone || '', (c.tags || []).join(', '), ...fieldNames.map((f) => fields[f])];
+        res.write(cells.map(csvCell).join(',') + '\n');
+      }
+      res.end();
+    } catch (e) {
+      console.error(e);
+      res.status(500).send('Failed to export CSV');
+    }
+  });
+
+  // Export a set as vCards (phones' contact apps import these directly)
+  router.get('/contacts/:setName/export.vcf', async (req, res) => {
+    try {
+      const set = await ContactSet.findOne({ name: req.params.setName });
+      if (!set) return res.status(404).send('Set not found');
+
+      res.setHeader('Content-Type', 'text/vcard; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(set.name)}.vcf"`);
+      res.send(toVcard(set.contacts));
+    } catch (e) {
+      console.error(e);
+      res.status(500).send('Failed to export vCard');
+    }
+  });
+
+  // Export a set as JSON (re-importable through /upload/:setName)
+  router.get('/contacts/:setName/export.json', async (req, res) => {
+    try {
+      const set = await ContactSet.findOne({ name: req.params.setName });
+      if (!set) return res.status(404).json({ error: 'Set not found' });
+
+      res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(set.name)}.json"`);
+      res.json(toJson(set));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to export JSON' });
+    }
+  });
+
+  // Get contacts from a specific set
+  // (?whatsapp=yes|no|unknown filters by the last WhatsApp check, ?tag= by tag)
+  router.get('/contacts/:setName', async (req, res) => {
+    try {
+      const set = await ContactSet.findOne({ name: req.params.setName });
+      if (!set) return res.status(404).json({ error: 'Set not found' });
+
+      const { whatsapp: wa } = req.query;
+      const filters = {
+        yes: (c) => c.onWhatsApp === true,
+        no: (c) => c.onWhatsApp === false,
+        unknown: (c) => c.onWhatsApp == null,
+      };
+      if (wa && !filters[wa]) return res.status(400).json({ error: 'whatsapp must be yes, no or unknown' });
+      const [tag] = parseTags(req.query.tag);
+
+      let contacts = set.contacts;
+      if (wa) contacts = contacts.filter(filters[wa]);
+      if (tag) contacts = contacts.filter((c) => (c.tags || []).includes(tag));
+      res.json(contacts);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load contacts' });
+    }
+  });
+
+  // Add a contact manually to a set
+  router.post('/contacts/:setName/add', async (req, res) => {
+    try {
+      const { name = '', phone } = req.body || {};
+      const { country: requested, error: countryError } = requestCountry(req);
+      if (countryError) return res.status(400).json({ error: countryError });
+      const { fields, error: fieldsError } = parseFields(req.body?.fields);
+      if (fieldsError) return res.status(400).json({ error: fieldsError });
+
+      let set = await ContactSet.findOne({ name: req.params.setName });
+      if (!set) set = new ContactSet({ name: req.params.setName, contacts: [], defaultCountry: requested });
+      trackChanges(set, 'add', { auth: req.auth });
+
+      const report = createImportReport();
+      const result = normalizePhone(phone, { country: resolveCountry(requested, set.defaultCountry) });
+      if (!result.ok) {
+        report.reject(1, phone, result.reason);
+        return res.status(400).json({ error: `Invalid phone: ${result.reason}`, report });
+      }
+
+      const exists = set.contacts.some((c) => c.phone === result.phone);
+      if (exists) {
+        report.duplicate(1, result.phone);
+        return res.status(409).json({ error: 'Phone already exists in this set', report });
+      }
+      if (result.changed) report.change(1, phone, result.phone);
+      report.accept();
+
+      set.contacts.push({
+        name: String(name || ''),
+        phone: result.phone,
+        tags: parseTags(req.body?.tags),
+        fields: Object.keys(fields).length ? fields : undefined,
+      });
+      await set.save();
+
+      res.json({
+        message: 'Contact added',
+        contact: set.contacts[set.contacts.length - 1],
+        count: set.contacts.length,
+        report,
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to add contact' });
+    }
+  });
+
+  // Update a contact in a set (by subdocument _id); `tags` / `fields` replace the current ones
+  router.put('/contacts/:setName/:contactId', async (req, res) => {
+    try {
+      const { name, phone, tags } = req.body || {};
+      const { country: requested, error: countryError } = requestCountry(req);
+      if (countryError) return res.status(400).json({ error: countryError });
+      const { fields, error: fieldsError } = parseFields(req.body?.fields);
+      if (fieldsError) return res.status(400).json({ error: fieldsError });
+
+      const set = await ContactSet.findOne({ name: req.params.setName });
+      if (!set) return res.status(404).json({ error: 'Set not found' });
+
+      const sub = set.contacts.id(req.params.contactId);
+      if (!sub) return res.status(404).json({ error: 'Contact not found' });
+      trackChanges(set, 'update', { auth: req.auth });
+
+      // If phone provided, normalize and ensure not duplicate
+      const report = createImportReport();
+      if (typeof phone !== 'undefined') {
+        const result = normalizePhone(phone, { country: resolveCountry(requested, set.defaultCountry) });
+        if (!result.ok) {
+          report.reject(1, phone, result.reason);
+          return res.status(400).json({ error: `Invalid phone: ${result.reason}`, report });
+        }
+
+        const dup = set.contacts.some((c) => c._id.toString() !== sub._id.toString() && c.phone === result.phone);
+        if (dup) {
+          report.duplicate(1, result.phone);
+          return res.status(409).json({ error: 'Phone already exists in this set', report });
+        }
+
+        if (result.changed) report.change(1, phone, result.phone);
+        sub.phone = result.phone;
+      }
+      if (typeof name !== 'undefined') {
+        sub.name = String(name || '');
+      }
+      if (typeof tags !== 'undefined') sub.tags = parseTags(tags);
+      if (typeof req.body?.fields !== 'undefined') sub.fields = fields;
+      report.accept();
+
+      await set.save();
+      res.json({ message: 'Contact updated', contact: sub, count: set.contacts.length, report });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to update contact' });
+    }
+  });
+
+  // Delete a contact from a set
+  router.delete('/contacts/:setName/:contactId', async (req, res) => {
+    try {
+      const set = await ContactSet.findOne({ name: req.params.setName });
+      if (!set) return res.status(404).json({ error: 'Set not found' });
+
+      const sub = set.contacts.id(req.params.contactId);
+      if (!sub) return res.status(404).json({ error: 'Contact not found' });
+
+      trackChanges(set, 'delete_contact', { auth: req.auth });
+      sub.deleteOne(); // remove subdoc
+      await set.save();
+
+      res.json({ message: 'Contact deleted', count: set.contacts.length });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to delete contact' });
+    }
+  });
+
+  // Tag / untag contacts in bulk: { add: [...], remove: [...], contactIds?: [...] }
+  // Without contactIds every contact in the set is changed.
+  router.post('/contacts/:setName/tags', async (req, res) => {
+    try {
+      const add = parseTags(req.body?.add);
+      const remove = new Set(parseTags(req.body?.remove));
+      if (!add.length && !remove.size) return res.status(400).json({ error: 'Nothing to add or remove' });
+      const { contactIds } = req.body || {};
+      if (contactIds != null && !Array.isArray(contactIds)) {
+        return res.status(400).json({ error: 'contactIds must be an array' });
+      }
+
+      const set = await ContactSet.findOne({ name: req.params.setName });
+      if (!set) return res.status(404).json({ error: 'Set not found' });
+
+      trackChanges(set, 'tags', { auth: req.auth });
+      const ids = contactIds ? new Set(contactIds.map(String)) : null;
+      let changed = 0;
+      for (const c of set.contacts) {
+        if (ids && !ids.has(c._id.toString())) continue;
+        const before = (c.tags || []).join(',');
+        const next = [...new Set([...(c.tags || []), ...add])].filter((t) => !remove.has(t));
+        if (next.join(',') === before) continue;
+        c.tags = next;
+        changed++;
+      }
+      await set.save();
+      res.json({ message: 'Tags updated', changed });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to update tags' });
+    }
+  });
+
+  // Tags and custom field names used in a set, with how many contacts have each
+  router.get('/contacts/:setName/fields', async (req, res) => {
+    try {
+      const set = await ContactSet.findOne({ name: req.params.setName }, 'contacts.tags contacts.fields');
+      if (!set) return res.status(404).json({ error: 'Set not found' });
+
+      const tags = {};
+      const fields = {};
+      for (const c of set.contacts) {
+        for (const t of c.tags || []) tags[t] = (tags[t] || 0) + 1;
+        for (const f of Object.keys(fieldsOf(c))) fields[f] = (fields[f] || 0) + 1;
+      }
+      res.json({ tags, fields });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load contact fields' });
+    }
+  });
+
+  // Check which numbers in a set are on WhatsApp (background job; ?force=true ignores the cache)
+  router.post('/contacts/:setName/verify', async (req, res) => {
+    try {
+      const force = req.body?.force === true || req.query.force === 'true';
+      const { job, alreadyRunning, error, status } = await waVerifier.start(req.params.setName, { force });
+      if (error) return res.status(status).json({ error });
+      res.status(alreadyRunning ? 200 : 202).json(job);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to start WhatsApp check' });
+    }
+  });
+
+  // Latest check job for the set plus current per-contact totals
+  router.get('/contacts/:setName/verify', async (req, res) => {
+    try {
+      const set = await ContactSet.findOne({ name: req.params.setName }, 'contacts.onWhatsApp contacts.waCheckedAt');
+      if (!set) return res.status(404).json({ error: 'Set not found' });
+
+      const staleBefore = new Date(Date.now() - WA_CHECK_TTL_DAYS * 24 * 60 * 60 * 1000);
+      const summary = { total: set.contacts.length, onWhatsApp: 0, notOnWhatsApp: 0, unknown: 0, stale: 0 };
+      for (const c of set.contacts) {
+        if (c.onWhatsApp === true) summary.onWhatsApp++;
+        else if (c.onWhatsApp === false) summary.notOnWhatsApp++;
+        else summary.unknown++;
+        if (c.waCheckedAt && c.waCheckedAt < staleBefore) summary.stale++;
+      }
+
+      res.json({ summary, ttlDays: WA_CHECK_TTL_DAYS, job: waVerifier.jobFor(req.params.setName) });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load WhatsApp check results' });
+    }
+  });
+
+  // Change the default country used for this set's numbers without a country code
+  router.patch('/contacts/:setName/country', async (req, res) => {
+    try {
+      const { country } = req.body || {};
+      if (!isCountry(country)) return res.status(400).json({ error: 'country must be a supported ISO code, e.g. TZ' });
+
+      const set = await ContactSet.findOne({ name: req.params.setName });
+      if (!set) return res.status(404).json({ error: 'Set not found' });
+      trackChanges(set, 'country', { auth: req.auth });
+      set.defaultCountry = String(country).toUpperCase();
+      await set.save();
+      res.json({ message: 'Default country updated', name: set.name, defaultCountry: set.defaultCountry });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to update default country' });
+    }
+  });
+
+  // Rename a set
+  router.patch('/contacts/:setName/rename', async (req, res) => {
+    try {
+      const { newName } = req.body || {};
+      if (!newName || !String(newName).trim()) {
+        return res.status(400).json({ error: 'newName is required' });
+      }
+      const existing = await ContactSet.findOne({ name: newName.trim() });
+      if (existing) return res.status(409).json({ error: 'Target set name already exists' });
+
+      const set = await ContactSet.findOne({ name: req.params.setName });
+      if (!set) return res.status(404).json({ error: 'Set not found' });
+
+      trackChanges(set, 'rename', { auth: req.auth });
+      set.name = newName.trim();
+      await set.save();
+      await GoogleSync.updateOne({ setName: req.params.setName }, { setName: set.name });
+
+      res.json({ message: 'Set renamed', name: set.name });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to rename set' });
+    }
+  });
+
+  // Delete an entire set. It goes to the trash (see /contacts/trash); its Google
+  // sync link does not come back with it.
+  router.delete('/contacts/:setName', requireRole('admin'), async (req, res) => {
+    try {
+      const set = await ContactSet.findOne({ name: req.params.setName });
+      if (!set) return res.status(404).json({ error: 'Set not found' });
+      const revision = await trashSet(set, { auth: req.auth });
+      await GoogleSync.deleteOne({ setName: req.params.setName });
+      res.json({
+        message: 'Set moved to trash',
+        name: req.params.setName,
+        trashId: revision._id,
+        expiresAt: revision.expiresAt,
+      });
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      console.error(e);
+      res.status(500).json({ error: 'Failed to delete set' });
+    }
+  });
+
+  // ===== Test Mongo =====
+
+  router.get('/test-mongo', requireRole('admin'), async (req, res) => {
+    try {
+      await new ContactSet({
+        name: 'TestSet',
+        contacts: [{ phone: '255700000000', name: 'Test' }],
+      }).save();
+      res.send('✅ Mongo insert success');
+    } catch (e) {
+      console.error(e);
+      res.status(500).send('❌ Mongo insert failed');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createContactRoutes };
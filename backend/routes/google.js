@@ -0,0 +1,212 @@
+// backend/routes/google.js
+//
+// Connecting a Google account, importing Google Contacts into sets and the
+// sets kept in sync with Google (see lib/googleContacts.js).
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const ContactSet = require('../models/ContactSet');
+const GoogleSync = require('../models/GoogleSync');
+const { requireRole } = require('../lib/auth');
+const { serializeGoogleSync } = require('../lib/googleContacts');
+const { trackChanges } = require('../lib/contactHistory');
+const { resolveCountry, normalizePhone, createImportReport } = require('../lib/phone');
+const { requestCountry } = require('./helpers');
+
+// oauth2Client: the app's Google OAuth client; googleContacts: lib/googleContacts.js
+// Registered before the contacts routes, whose /contacts/:setName would take /contacts/google.
+function createGoogleRoutes({ oauth2Client, googleContacts }) {
+  const router = express.Router();
+
+  // The callback is public (Google calls it), so it must present a state we handed out
+  const googleAuthStates = new Map(); // state -> expiry timestamp
+  const GOOGLE_STATE_TTL_MS = 10 * 60 * 1000;
+
+  // Browsers reach this by navigation, so pass the session as ?access_token=
+  router.get('/auth/google', requireRole('operator'), (req, res) => {
+    try {
+      const now = Date.now();
+      for (const [s, expires] of googleAuthStates) if (expires < now) googleAuthStates.delete(s);
+      const state = crypto.randomBytes(16).toString('hex');
+      googleAuthStates.set(state, now + GOOGLE_STATE_TTL_MS);
+
+      const url = oauth2Client.generateAuthUrl({
+        access_type: 'offline',
+        prompt: 'consent',
+        scope: ['https://www.googleapis.com/auth/contacts.readonly'],
+        state,
+      });
+      res.redirect(url);
+    } catch (e) {
+      console.error(e);
+      res.status(500).send('Google auth init failed');
+    }
+  });
+
+  router.get('/auth/google/callback', async (req, res) => {
+    try {
+      const { code, state } = req.query;
+      const expires = googleAuthStates.get(state);
+      googleAuthStates.delete(state);
+      if (!expires || expires < Date.now()) return res.status(400).send('Invalid or expired Google auth state');
+
+      const { tokens } = await oauth2Client.getToken(code);
+      await googleContacts.saveTokens(tokens);
+      console.log('✅ Google tokens saved');
+      res.redirect('http://localhost:3000/import-google');
+    } catch (err) {
+      console.error(err);
+      res.status(500).send('Google auth failed');
+    }
+  });
+
+  // Every Google contact with a phone number, one entry per number
+  // (?country= for numbers without a code, ?group=contactGroups/... for one label)
+  router.get('/contacts/google', async (req, res) => {
+    try {
+      const { country, error: countryError } = requestCountry(req);
+      if (countryError) return res.status(400).json({ error: countryError });
+
+      const { contacts } = await googleContacts.fetchContacts({
+        country,
+        group: req.query.group ? String(req.query.group) : undefined,
+      });
+      res.json(contacts);
+    } catch (error) {
+      if (error.status === 401) return res.status(401).json({ error: 'Not authenticated' });
+      console.error(error);
+      res.status(500).json({ error: 'Failed to fetch contacts' });
+    }
+  });
+
+  // Google contact groups ("labels"), each of which can feed a set
+  router.get('/contacts/google/groups', async (req, res) => {
+    try {
+      res.json(await googleContacts.listGroups());
+    } catch (error) {
+      if (error.status === 401) return res.status(401).json({ error: 'Not authenticated' });
+      console.error(error);
+      res.status(500).json({ error: 'Failed to fetch Google contact groups' });
+    }
+  });
+
+  // Save picked Google contacts into a set: { setName, contacts: [{ name, phone }] }.
+  // `numbers` (plain phone strings) is still accepted from older clients.
+  router.post('/contacts/google/save', async (req, res) => {
+    try {
+      const { setName } = req.body || {};
+      const picked = req.body?.contacts ?? req.body?.numbers;
+      if (!Array.isArray(picked) || !setName) {
+        return res.status(400).json({ error: 'Invalid input' });
+      }
+
+      const { country: requested, error: countryError } = requestCountry(req);
+      if (countryError) return res.status(400).json({ error: countryError });
+
+      let set = await ContactSet.findOne({ name: setName });
+      if (!set) set = new ContactSet({ name: setName, contacts: [], defaultCountry: requested });
+      trackChanges(set, 'google_import', { auth: req.auth });
+      const country = resolveCountry(requested, set.defaultCountry);
+
+      const report = createImportReport();
+      const existingPhones = new Set(set.contacts.map((c) => c.phone));
+      picked.forEach((entry, i) => {
+        const row = i + 1;
+        const { phone, name = '' } = typeof entry === 'object' && entry !== null ? entry : { phone: entry };
+        const result = normalizePhone(phone, { country });
+        if (!result.ok) return report.reject(row, phone, result.reason);
+        if (existingPhones.has(result.phone)) return report.duplicate(row, result.phone);
+        if (result.changed) report.change(row, phone, result.phone);
+        set.contacts.push({ phone: result.phone, name: String(name || '').trim() });
+        existingPhones.add(result.phone);
+        report.accept();
+      });
+      await set.save();
+      res.json({ message: 'Saved', count: set.contacts.length, contacts: set.contacts, report });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to save Google contacts' });
+    }
+  });
+
+  // Sets linked to Google Contacts (all contacts or one label) and their last sync
+  router.get('/contacts/google/syncs', async (req, res) => {
+    try {
+      const links = await GoogleSync.find().sort({ setName: 1 });
+      res.json(links.map(serializeGoogleSync));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to list Google syncs' });
+    }
+  });
+
+  // Link a set to Google and import it now: { setName, group?, country?, auto? }.
+  // Later syncs only fetch what changed in Google.
+  router.post('/contacts/google/syncs', async (req, res) => {
+    try {
+      const setName = String(req.body?.setName || '').trim();
+      if (!setName) return res.status(400).json({ error: 'setName is required' });
+      if (await GoogleSync.exists({ setName })) {
+        return res.status(409).json({ error: 'That set is already linked to Google' });
+      }
+      const { country, error: countryError } = requestCountry(req);
+      if (countryError) return res.status(400).json({ error: countryError });
+
+      const group = String(req.body?.group || '').trim();
+      let groupName = '';
+      if (group) {
+        const found = (await googleContacts.listGroups()).find((g) => g.resourceName === group);
+        if (!found) return res.status(404).json({ error: 'Google contact group not found' });
+        groupName = found.name;
+      }
+
+      const link = await GoogleSync.create({ setName, group, groupName, country, auto: req.body?.auto !== false });
+      let result;
+      try {
+        result = await googleContacts.sync(link, { full: true, auth: req.auth });
+      } catch (err) {
+        // Not linked until the first import worked, so a retry isn't "already linked"
+        await link.deleteOne().catch(() => {});
+        throw err;
+      }
+      res.status(201).json({ ...serializeGoogleSync(link), result });
+    } catch (e) {
+      if (e.status === 401) return res.status(401).json({ error: 'Not authenticated' });
+      console.error(e);
+      res.status(500).json({ error: 'Failed to link set to Google' });
+    }
+  });
+
+  // Sync a linked set now ({ full: true } re-reads everything instead of using the sync token)
+  router.post('/contacts/google/syncs/:id/run', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Sync not found' });
+      const link = await GoogleSync.findById(req.params.id);
+      if (!link) return res.status(404).json({ error: 'Sync not found' });
+      const result = await googleContacts.sync(link, { full: req.body?.full === true, auth: req.auth });
+      res.json({ ...serializeGoogleSync(link), result });
+    } catch (e) {
+      if (e.status === 401) return res.status(401).json({ error: 'Not authenticated' });
+      if (e.status === 409) return res.status(409).json({ error: e.message });
+      console.error(e);
+      res.status(500).json({ error: 'Google sync failed' });
+    }
+  });
+
+  // Stop syncing; the contacts already imported stay in the set
+  router.delete('/contacts/google/syncs/:id', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Sync not found' });
+      const link = await GoogleSync.findByIdAndDelete(req.params.id);
+      if (!link) return res.status(404).json({ error: 'Sync not found' });
+      res.json({ message: `"${link.setName}" is no longer synced with Google`, id: req.params.id });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to remove Google sync' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createGoogleRoutes };
@@ -0,0 +1,111 @@
+// backend/routes/groups.js
+//
+// WhatsApp groups: listing them and their members, importing members into a
+// set and posting campaigns to groups (see lib/groups.js). `account` (query or
+// body) picks the WhatsApp account; default: the first connected one.
+const express = require('express');
+const ContactSet = require('../models/ContactSet');
+const { toGroupJid } = require('../lib/groups');
+const { verifiedPhone, createImportReport } = require('../lib/phone');
+const { trackChanges } = require('../lib/contactHistory');
+const { parseSendOptions } = require('../lib/sendRequests');
+
+// groupTools: lib/groups.js; campaignQueue: createCampaignQueue() from routes/helpers.js
+function createGroupRoutes({ groupTools, campaignQueue }) {
+  const router = express.Router();
+
+  const { queueCampaign, campaignQueued } = campaignQueue;
+
+  // Groups the account is in, with member counts. ?refresh=true skips the one-minute cache.
+  router.get('/groups', async (req, res) => {
+    try {
+      res.json(await groupTools.listGroups(req.query.account, { refresh: req.query.refresh === 'true' }));
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      console.error(e);
+      res.status(500).json({ error: 'Failed to list WhatsApp groups' });
+    }
+  });
+
+  router.get('/groups/:jid/members', async (req, res) => {
+    try {
+      const jid = toGroupJid(req.params.jid);
+      if (!jid) return res.status(404).json({ error: 'Group not found' });
+      res.json(await groupTools.groupMembers(req.query.account, jid));
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load group members' });
+    }
+  });
+
+  // Add a group's members to a set (created if missing): { setName, account? }.
+  // Members whose number WhatsApp hides are counted in `hidden`.
+  router.post('/groups/:jid/import', async (req, res) => {
+    try {
+      const jid = toGroupJid(req.params.jid);
+      if (!jid) return res.status(404).json({ error: 'Group not found' });
+      const setName = String(req.body?.setName || '').trim();
+      if (!setName) return res.status(400).json({ error: 'setName is required' });
+
+      const { group, members, hidden } = await groupTools.groupMembers(req.body?.account || req.query.account, jid);
+      const set = (await ContactSet.findOne({ name: setName })) || new ContactSet({ name: setName, contacts: [] });
+      trackChanges(set, 'group_import', { auth: req.auth, note: { group: group.id, groupName: group.name } });
+
+      const report = createImportReport();
+      const existingPhones = new Set(set.contacts.map((c) => c.phone));
+      members.forEach((member, i) => {
+        const row = i + 1;
+        // WhatsApp already knows these numbers, whatever country they are from
+        const result = verifiedPhone(member.phone);
+        if (!result.ok) return report.reject(row, member.phone, result.reason);
+        if (existingPhones.has(result.phone)) return report.duplicate(row, result.phone);
+        set.contacts.push({ phone: result.phone, name: member.name });
+        existingPhones.add(result.phone);
+        report.accept();
+      });
+      await set.save();
+      res.json({ message: 'Imported', setName: set.name, group, count: set.contacts.length, hidden, report });
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      console.error(e);
+      res.status(500).json({ error: 'Failed to import group members' });
+    }
+  });
+
+  // Queue a campaign that posts to groups: { groups: [jid, ...], account?, ...same body as /send/:setName }.
+  // It is sent by the one account that is in the groups, under that account's sending policy.
+  router.post('/groups/send', async (req, res) => {
+    try {
+      const requested = req.body?.groups;
+      if (!Array.isArray(requested) || !requested.length) {
+        return res.status(400).json({ error: 'groups must list at least one group' });
+      }
+      const jids = [...new Set(requested.map(toGroupJid))];
+      if (jids.includes(null)) return res.status(400).json({ error: 'groups must be WhatsApp group ids' });
+
+      const { options, error } = await parseSendOptions(req.body);
+      if (error) return res.status(400).json({ error });
+      if (options.accounts.length > 1) return res.status(400).json({ error: 'Group campaigns send from one account' });
+
+      const { account, groups } = await groupTools.resolveGroups(options.accounts[0], jids);
+      const campaign = await queueCampaign({
+        ...options,
+        setName: '',
+        accounts: [account],
+        groups: groups.map((g) => ({ jid: g.id, name: g.name })),
+        skipNotOnWhatsApp: false,
+        contacts: groups.map((g) => ({ phone: g.id.split('@')[0], name: g.name, jid: g.id })),
+      });
+      campaignQueued(res, campaign);
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      console.error(e);
+      res.status(500).json({ error: 'Failed to queue group campaign' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createGroupRoutes };
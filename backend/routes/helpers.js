@@ -0,0 +1,44 @@
+// backend/routes/helpers.js
+//
+// Small pieces more than one router needs.
+const { isCountry } = require('../lib/phone');
+const { summarize } = require('../lib/campaignRunner');
+
+// Country from a request (`country` in body or query), validated; undefined if absent
+function requestCountry(req) {
+  const raw = req.body?.country ?? req.query?.country;
+  if (raw == null || raw === '') return { country: undefined };
+  if (!isCountry(raw)) return { error: `Unsupported country: ${raw}` };
+  return { country: String(raw).toUpperCase() };
+}
+
+// Literal text for use inside a $regex
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Queuing a campaign from a route: { queueCampaign, campaignQueued }
+function createCampaignQueue({ campaignRunner, abTests, whatsapp }) {
+  // A campaign from parseSendOptions() options; A/B tests are split up first
+  function queueCampaign(params) {
+    return params.variants ? abTests.enqueue(params) : campaignRunner.enqueue(params);
+  }
+
+  // 202 response for a freshly queued campaign
+  function campaignQueued(res, campaign, extra = {}) {
+    const { accounts } = campaign;
+    const connected =
+      campaign.dryRun || whatsapp.connectedAccounts().some((a) => !accounts.length || accounts.includes(a.name));
+    res.status(202).json({
+      message: 'Campaign queued',
+      campaignId: campaign._id,
+      campaign: summarize(campaign),
+      connected,
+      ...extra,
+    });
+  }
+
+  return { queueCampaign, campaignQueued };
+}
+
+module.exports = { requestCountry, escapeRegex, createCampaignQueue };
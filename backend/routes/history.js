@@ -0,0 +1,73 @@
+// backend/routes/history.js
+//
+// Finished campaigns, including entries imported from the old history.json
+// (`npm run import-history`).
+const express = require('express');
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const { summarize } = require('../lib/campaignRunner');
+const { toHistoryItem, historyFilter } = require('../lib/history');
+
+function createHistoryRoutes() {
+  const router = express.Router();
+
+  // Paginated history (?page=&limit=&from=YYYY-MM-DD&to=YYYY-MM-DD&setName=&status=)
+  router.get('/history', async (req, res) => {
+    try {
+      const { filter, error } = historyFilter(req.query);
+      if (error) return res.status(400).json({ error });
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+      const [total, campaigns] = await Promise.all([
+        Campaign.countDocuments(filter),
+        Campaign.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      ]);
+
+      res.json({ page, limit, total, pages: Math.ceil(total / limit), items: campaigns.map(toHistoryItem) });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load history' });
+    }
+  });
+
+  // Same filters as /history, as a CSV download
+  router.get('/history/export.csv', async (req, res) => {
+    try {
+      const { filter, error } = historyFilter(req.query);
+      if (error) return res.status(400).send(error);
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="campaign-history.csv"');
+
+      const csvCell = (v) => `"${String(v ?? '').replace(/"/g, '""')}"`;
+      res.write('date,setName,message,status,total,sent,failed\n');
+      for await (const campaign of Campaign.find(filter).sort({ createdAt: -1 }).cursor()) {
+        const h = toHistoryItem(campaign);
+        res.write([h.date, h.setName, h.message, h.status, h.total, h.sent, h.failed].map(csvCell).join(',') + '\n');
+      }
+      res.end();
+    } catch (e) {
+      console.error(e);
+      if (res.headersSent) return res.end();
+      res.status(500).send('Failed to export history');
+    }
+  });
+
+  router.get('/history/:id', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Campaign not found' });
+      const campaign = await Campaign.findById(req.params.id);
+      if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+      res.json({ ...toHistoryItem(campaign), campaign: summarize(campaign) });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load campaign' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createHistoryRoutes };
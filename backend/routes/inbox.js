@@ -0,0 +1,110 @@
+// backend/routes/inbox.js
+//
+// Customer replies, grouped into conversations per number (see lib/inbox.js).
+const express = require('express');
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const InboxMessage = require('../models/InboxMessage');
+const { serializeConversation } = require('../lib/inbox');
+const { escapeRegex } = require('./helpers');
+
+// inbox: lib/inbox.js
+function createInboxRoutes({ inbox }) {
+  const router = express.Router();
+
+  // Conversations, most recent first (?unread=1, ?q= phone/name search, ?page=&limit=)
+  router.get('/inbox/conversations', async (req, res) => {
+    try {
+      const filter = {};
+      if (req.query.unread === '1' || req.query.unread === 'true') filter.unread = { $gt: 0 };
+      const q = String(req.query.q || '').trim();
+      if (q) {
+        const escaped = escapeRegex(q);
+        filter.$or = [{ phone: { $regex: escaped } }, { name: { $regex: escaped, $options: 'i' } }];
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const [total, items, unread] = await Promise.all([
+        Conversation.countDocuments(filter),
+        Conversation.find(filter).sort({ lastMessageAt: -1 }).skip((page - 1) * limit).limit(limit),
+        Conversation.aggregate([
+          {
+            $group: {
+              _id: null,
+              messages: { $sum: '$unread' },
+              conversations: { $sum: { $cond: [{ $gt: ['$unread', 0] }, 1, 0] } },
+            },
+          },
+        ]),
+      ]);
+      res.json({
+        page,
+        limit,
+        total,
+        unread: { messages: unread[0]?.messages || 0, conversations: unread[0]?.conversations || 0 },
+        items: items.map(serializeConversation),
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to list conversations' });
+    }
+  });
+
+  // A conversation's thread, newest first (?page=&limit=)
+  router.get('/inbox/conversations/:id', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Conversation not found' });
+      const conversation = await Conversation.findById(req.params.id);
+      if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const filter = { conversation: conversation._id };
+      const [total, items] = await Promise.all([
+        InboxMessage.countDocuments(filter),
+        InboxMessage.find(filter).sort({ sentAt: -1 }).skip((page - 1) * limit).limit(limit),
+      ]);
+      res.json({ conversation: serializeConversation(conversation), page, limit, total, items });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load conversation' });
+    }
+  });
+
+  router.post('/inbox/conversations/:id/read', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Conversation not found' });
+      const conversation = await Conversation.findById(req.params.id);
+      if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+      res.json(serializeConversation(await inbox.markRead(conversation)));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to mark conversation read' });
+    }
+  });
+
+  // { text, account? } — defaults to the account the customer wrote to
+  router.post('/inbox/conversations/:id/reply', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Conversation not found' });
+      const text = String(req.body?.text || '').trim();
+      if (!text) return res.status(400).json({ error: 'text is required' });
+
+      const conversation = await Conversation.findById(req.params.id);
+      if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+      const message = await inbox.reply(conversation, text, { user: req.auth.user, account: req.body?.account });
+      res.status(201).json(message);
+    } catch (e) {
+      if (e.status === 409) return res.status(409).json({ error: e.message });
+      console.error(e);
+      res.status(500).json({ error: 'Failed to send reply' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createInboxRoutes };
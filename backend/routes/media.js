@@ -0,0 +1,115 @@
+// backend/routes/media.js
+//
+// The media library: images, video, audio and documents campaigns can attach.
+// Files are kept in uploads/media (see lib/media.js).
+const fs = require('fs');
+const express = require('express');
+const multer = require('multer');
+const mongoose = require('mongoose');
+const Media = require('../models/Media');
+const Campaign = require('../models/Campaign');
+const { ACTIVE_STATUSES } = require('../lib/campaignRunner');
+const { MEDIA_DIR, KIND_LIMITS, MAX_MEDIA_SIZE, mediaKind, mediaPath, ensureMediaDir } = require('../lib/media');
+
+function createMediaRoutes() {
+  const router = express.Router();
+
+  ensureMediaDir();
+  const mediaUpload = multer({
+    dest: MEDIA_DIR,
+    limits: { fileSize: MAX_MEDIA_SIZE },
+    fileFilter: (req, file, cb) => {
+      if (mediaKind(file.mimetype)) return cb(null, true);
+      cb(new Error(`Unsupported file type: ${file.mimetype}`));
+    },
+  });
+
+  // Upload an image / video / audio / document for use in campaigns
+  router.post('/media', (req, res) => {
+    mediaUpload.single('file')(req, res, async (err) => {
+      if (err) {
+        const tooBig = err.code === 'LIMIT_FILE_SIZE';
+        return res.status(tooBig ? 413 : 400).json({ error: tooBig ? 'File is too large' : err.message });
+      }
+      if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+      const kind = mediaKind(req.file.mimetype);
+      if (req.file.size > KIND_LIMITS[kind]) {
+        try { fs.unlinkSync(req.file.path); } catch {}
+        const limitMb = KIND_LIMITS[kind] / (1024 * 1024);
+        return res.status(413).json({ error: `${kind} files must be ${limitMb}MB or smaller` });
+      }
+
+      try {
+        const media = await Media.create({
+          originalName: req.file.originalname,
+          filename: req.file.filename,
+          mimetype: req.file.mimetype,
+          kind,
+          size: req.file.size,
+        });
+        res.status(201).json(media);
+      } catch (e) {
+        console.error(e);
+        try { fs.unlinkSync(req.file.path); } catch {}
+        res.status(500).json({ error: 'Failed to save media' });
+      }
+    });
+  });
+
+  // List media (?kind=image etc.)
+  router.get('/media', async (req, res) => {
+    try {
+      const filter = req.query.kind ? { kind: req.query.kind } : {};
+      const items = await Media.find(filter).sort({ createdAt: -1 });
+      res.json(items);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to list media' });
+    }
+  });
+
+  // Serve the raw file (for previews in the UI)
+  router.get('/media/:id/file', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Media not found' });
+      const media = await Media.findById(req.params.id);
+      if (!media) return res.status(404).json({ error: 'Media not found' });
+
+      res.setHeader('Content-Type', media.mimetype);
+      res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(media.originalName)}"`);
+      fs.createReadStream(mediaPath(media))
+        .on('error', () => res.status(404).end())
+        .pipe(res);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load media' });
+    }
+  });
+
+  // Delete a media item (refused while an unfinished campaign still uses it)
+  router.delete('/media/:id', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Media not found' });
+      const media = await Media.findById(req.params.id);
+      if (!media) return res.status(404).json({ error: 'Media not found' });
+
+      const inUse = await Campaign.exists({
+        $or: [{ media: media._id }, { 'variants.media': media._id }],
+        status: { $in: ACTIVE_STATUSES },
+      });
+      if (inUse) return res.status(409).json({ error: 'Media is attached to an unfinished campaign' });
+
+      await media.deleteOne();
+      try { fs.unlinkSync(mediaPath(media)); } catch {}
+      res.json({ message: 'Media deleted', id: req.params.id });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to delete media' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMediaRoutes };
@@ -0,0 +1,154 @@
+// backend/routes/messages.js
+//
+// Transactional messages: one message to one number, sent ahead of any
+// campaign traffic (see sendMessages() in lib/campaignRunner.js).
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const ContactSet = require('../models/ContactSet');
+const TransactionalMessage = require('../models/TransactionalMessage');
+const { hasRole } = require('../lib/auth');
+const { serializeMessage } = require('../lib/campaignRunner');
+const { renderTemplate, contactVars } = require('../lib/template');
+const { fieldsOf } = require('../lib/contactFields');
+const { resolveCountry, normalizePhone } = require('../lib/phone');
+const { isSuppressed } = require('../lib/optOut');
+const { parseSendOptions } = require('../lib/sendRequests');
+const { requestCountry } = require('./helpers');
+
+function createMessageRoutes({ campaignRunner, whatsapp }) {
+  const router = express.Router();
+
+  const MAX_IDEMPOTENCY_KEY = 255;
+  // parseSendOptions() fields a single message has no use for
+  const CAMPAIGN_ONLY_FIELDS = ['variants', 'abTest', 'dryRun'];
+
+  // A reused Idempotency-Key must come with the same request
+  function messageRequestHash(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+  }
+
+  // Answer a retry with the message the key first created
+  function replayMessage(res, message, requestHash) {
+    if (message.requestHash !== requestHash) {
+      return res.status(422).json({ error: 'Idempotency-Key was already used with a different request' });
+    }
+    res.set('Idempotent-Replayed', 'true').json(serializeMessage(message));
+  }
+
+  // `phone` or `contactId` from a message request -> { recipient } or { status, error }.
+  // A number in the contacts index brings its name and custom fields for templating.
+  async function resolveMessageRecipient(body, country) {
+    let contact = null;
+    let phone;
+    if (body.contactId != null) {
+      contact = mongoose.isValidObjectId(body.contactId) ? await Contact.findById(body.contactId) : null;
+      if (!contact) return { status: 404, error: 'Contact not found' };
+      phone = contact.phone;
+    } else {
+      if (!body.phone) return { status: 400, error: 'phone or contactId is required' };
+      const result = normalizePhone(body.phone, { country: resolveCountry(country) });
+      if (!result.ok) return { status: 400, error: `Invalid phone: ${result.reason}` };
+      phone = result.phone;
+      contact = await Contact.findOne({ phone });
+    }
+
+    const set = contact?.sets.length
+      ? await ContactSet.findOne({ name: { $in: contact.sets }, 'contacts.phone': phone }, { 'contacts.$': 1 })
+      : null;
+    const entry = set?.contacts[0];
+    return {
+      recipient: {
+        contact: contact?._id,
+        phone,
+        name: String(body.name ?? (contact?.name || entry?.name || '')).trim(),
+        fields: fieldsOf(entry),
+      },
+    };
+  }
+
+  // Send one message, ahead of any campaign traffic:
+  // { phone | contactId, message, variables?, mediaId?, account | accounts?, country?, name? }.
+  // `message` is a template like a campaign's. With an Idempotency-Key header, a
+  // retry with the same key (per user) returns the original message instead of
+  // sending again.
+  router.post('/messages', async (req, res) => {
+    try {
+      const body = req.body || {};
+      const idempotencyKey = req.get('idempotency-key')?.trim() || undefined;
+      if (idempotencyKey && idempotencyKey.length > MAX_IDEMPOTENCY_KEY) {
+        return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_IDEMPOTENCY_KEY} characters` });
+      }
+      const requestHash = messageRequestHash(body);
+      const owner = { createdBy: req.auth.user._id, idempotencyKey };
+      if (idempotencyKey) {
+        const existing = await TransactionalMessage.findOne(owner);
+        if (existing) return replayMessage(res, existing, requestHash);
+      }
+
+      const unsupported = CAMPAIGN_ONLY_FIELDS.filter((field) => body[field] != null);
+      if (unsupported.length) {
+        return res.status(400).json({ error: `${unsupported.join(', ')} only apply to campaigns, not /messages` });
+      }
+      const { options, error } = await parseSendOptions(body);
+      if (error) return res.status(400).json({ error });
+      const { country, error: countryError } = requestCountry(req);
+      if (countryError) return res.status(400).json({ error: countryError });
+      const { recipient, status, error: recipientError } = await resolveMessageRecipient(body, country);
+      if (recipientError) return res.status(status).json({ error: recipientError });
+      if (await isSuppressed(recipient.phone)) {
+        return res.status(422).json({ error: `${recipient.phone} has opted out of messages (see /suppressions)` });
+      }
+
+      let message;
+      try {
+        message = await TransactionalMessage.create({
+          contact: recipient.contact,
+          phone: recipient.phone,
+          name: recipient.name,
+          message: options.message,
+          text: renderTemplate(options.message, contactVars(recipient, options.variables)),
+          media: options.media,
+          accounts: options.accounts,
+          idempotencyKey,
+          requestHash,
+          createdBy: req.auth.user._id,
+          apiKey: req.auth.apiKey?._id,
+        });
+      } catch (err) {
+        // A concurrent retry with the same key got in first
+        if (err?.code !== 11000 || !idempotencyKey) throw err;
+        return replayMessage(res, await TransactionalMessage.findOne(owner), requestHash);
+      }
+      campaignRunner.kick();
+
+      const connected = whatsapp
+        .connectedAccounts()
+        .some((a) => !options.accounts.length || options.accounts.includes(a.name));
+      res.status(202).json({ ...serializeMessage(message), connected });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to queue message' });
+    }
+  });
+
+  // Status of a transactional message; only admins see other users' messages
+  router.get('/messages/:id', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Message not found' });
+      const filter = { _id: req.params.id };
+      if (!hasRole(req.auth.role, 'admin')) filter.createdBy = req.auth.user._id;
+      const message = await TransactionalMessage.findOne(filter);
+      if (!message) return res.status(404).json({ error: 'Message not found' });
+      res.json(serializeMessage(message));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load message' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMessageRoutes };
@@ -0,0 +1,44 @@
+// backend/routes/sandbox.js
+//
+// The pretend WhatsApp behind dry-run campaigns (and every account when
+// WA_TRANSPORT=sandbox): its simulation profile and what it "sent". Admins only.
+const express = require('express');
+const { requireRole } = require('../lib/auth');
+
+// sandbox: lib/sandbox.js; transport: the one accounts use;
+// dryRunName: the account name dry-run campaigns send as
+function createSandboxRoutes({ sandbox, transport, dryRunName }) {
+  const router = express.Router();
+
+  router.get('/sandbox', requireRole('admin'), (req, res) => {
+    res.json({
+      transport: transport.name,
+      dryRunAccount: dryRunName,
+      config: sandbox.getConfig(),
+      messages: sandbox.messages().length,
+    });
+  });
+
+  router.put('/sandbox/config', requireRole('admin'), (req, res) => {
+    const { value, error } = sandbox.configure(req.body);
+    if (error) return res.status(400).json({ error });
+    res.json(value);
+  });
+
+  // Newest first. ?account=&phone=&limit=
+  router.get('/sandbox/messages', requireRole('admin'), (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    const phone = req.query.phone ? String(req.query.phone).replace(/\D/g, '') : undefined;
+    const messages = sandbox.messages({ account: req.query.account, phone });
+    res.json({ total: messages.length, items: messages.slice(-limit).reverse() });
+  });
+
+  router.delete('/sandbox/messages', requireRole('admin'), (req, res) => {
+    sandbox.clear();
+    res.json({ message: 'Sandbox messages cleared' });
+  });
+
+  return router;
+}
+
+module.exports = { createSandboxRoutes };
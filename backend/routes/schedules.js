@@ -0,0 +1,144 @@
+// backend/routes/schedules.js
+//
+// One-off and recurring scheduled campaigns (see lib/scheduler.js).
+const express = require('express');
+const mongoose = require('mongoose');
+const ContactSet = require('../models/ContactSet');
+const Schedule = require('../models/Schedule');
+const { nextOccurrence, upcomingRuns, parseScheduleInput } = require('../lib/scheduler');
+const { parseVariables, findMedia } = require('../lib/sendRequests');
+
+function createScheduleRoutes() {
+  const router = express.Router();
+
+  function serializeSchedule(schedule) {
+    return { ...schedule.toObject({ flattenMaps: true }), upcoming: upcomingRuns(schedule) };
+  }
+
+  // Create a one-off or recurring schedule
+  router.post('/schedules', async (req, res) => {
+    try {
+      const parsed = parseScheduleInput(req.body || {});
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+      const { name = '', message = '', mediaId } = req.body || {};
+      if (!mediaId && !String(message).trim()) {
+        return res.status(400).json({ error: 'Message is required' });
+      }
+      const media = await findMedia(mediaId);
+      if (media === undefined) return res.status(400).json({ error: 'Media not found' });
+      const variables = parseVariables(req.body?.variables);
+      if (!variables) return res.status(400).json({ error: 'variables must be an object of name/value pairs' });
+
+      const set = await ContactSet.exists({ name: parsed.value.setName });
+      if (!set) return res.status(404).json({ error: 'Set not found' });
+
+      const schedule = new Schedule({
+        ...parsed.value,
+        name: String(name),
+        message: String(message),
+        variables,
+        media: media?._id,
+        skipNotOnWhatsApp: req.body?.skipNotOnWhatsApp === true,
+      });
+      schedule.nextRunAt = nextOccurrence(schedule);
+      if (!schedule.nextRunAt) return res.status(400).json({ error: 'Schedule has no future run time' });
+
+      await schedule.save();
+      res.status(201).json(serializeSchedule(schedule));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to create schedule' });
+    }
+  });
+
+  // List schedules (active ones by default; ?status=all for everything)
+  router.get('/schedules', async (req, res) => {
+    try {
+      const { status = 'active' } = req.query;
+      const filter = status === 'all' ? {} : { status };
+      const schedules = await Schedule.find(filter).sort({ nextRunAt: 1, createdAt: -1 });
+      res.json(schedules.map(serializeSchedule));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to list schedules' });
+    }
+  });
+
+  router.get('/schedules/:id', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Schedule not found' });
+      const schedule = await Schedule.findById(req.params.id);
+      if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+      res.json(serializeSchedule(schedule));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load schedule' });
+    }
+  });
+
+  // Edit an active schedule; timing fields not sent keep their current values
+  router.patch('/schedules/:id', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Schedule not found' });
+      const schedule = await Schedule.findById(req.params.id);
+      if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+      if (schedule.status !== 'active') return res.status(409).json({ error: `Schedule is ${schedule.status}` });
+
+      const body = req.body || {};
+      const parsed = parseScheduleInput(body, schedule.toObject());
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+      if (body.setName != null && !(await ContactSet.exists({ name: parsed.value.setName }))) {
+        return res.status(404).json({ error: 'Set not found' });
+      }
+      if (body.mediaId !== undefined) {
+        const media = await findMedia(body.mediaId);
+        if (media === undefined) return res.status(400).json({ error: 'Media not found' });
+        schedule.media = media?._id;
+      }
+      if (body.variables !== undefined) {
+        const variables = parseVariables(body.variables);
+        if (!variables) return res.status(400).json({ error: 'variables must be an object of name/value pairs' });
+        schedule.variables = variables;
+      }
+      if (body.message !== undefined) schedule.message = String(body.message || '');
+      if (body.name !== undefined) schedule.name = String(body.name || '');
+      if (body.skipNotOnWhatsApp !== undefined) schedule.skipNotOnWhatsApp = body.skipNotOnWhatsApp === true;
+      if (!schedule.media && !schedule.message.trim()) {
+        return res.status(400).json({ error: 'Message is required' });
+      }
+
+      schedule.set(parsed.value);
+      schedule.nextRunAt = nextOccurrence(schedule);
+      if (!schedule.nextRunAt) return res.status(400).json({ error: 'Schedule has no future run time' });
+
+      await schedule.save();
+      res.json(serializeSchedule(schedule));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to update schedule' });
+    }
+  });
+
+  // Cancel a schedule (kept for its run history)
+  router.delete('/schedules/:id', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Schedule not found' });
+      const schedule = await Schedule.findOneAndUpdate(
+        { _id: req.params.id, status: 'active' },
+        { status: 'cancelled', nextRunAt: null },
+        { new: true }
+      );
+      if (!schedule) return res.status(404).json({ error: 'Active schedule not found' });
+      res.json({ message: 'Schedule cancelled', id: req.params.id });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to cancel schedule' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createScheduleRoutes };
@@ -0,0 +1,167 @@
+// backend/routes/segments.js
+//
+// Saved segments: contacts picked by tag and custom-field rules across sets
+// (see lib/segments.js), and campaigns sent to them.
+const express = require('express');
+const mongoose = require('mongoose');
+const ContactSet = require('../models/ContactSet');
+const Segment = require('../models/Segment');
+const { parseSegmentInput, segmentContacts } = require('../lib/segments');
+const { parseSendOptions } = require('../lib/sendRequests');
+
+// campaignQueue: createCampaignQueue() from routes/helpers.js
+function createSegmentRoutes({ campaignQueue }) {
+  const router = express.Router();
+
+  const { queueCampaign, campaignQueued } = campaignQueue;
+
+  const SEGMENT_SAMPLE_SIZE = 20;
+
+  async function missingSets(setNames) {
+    if (!setNames.length) return [];
+    const found = await ContactSet.find({ name: { $in: setNames } }, 'name');
+    const known = new Set(found.map((s) => s.name));
+    return setNames.filter((n) => !known.has(n));
+  }
+
+  async function serializeSegment(segment, { withCount = false } = {}) {
+    const out = { ...segment.toObject(), id: segment._id.toString() };
+    if (withCount) out.count = (await segmentContacts(segment)).length;
+    return out;
+  }
+
+  router.get('/segments', async (req, res) => {
+    try {
+      const segments = await Segment.find().sort({ name: 1 });
+      res.json(await Promise.all(segments.map((s) => serializeSegment(s))));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to list segments' });
+    }
+  });
+
+  // Try out rules without saving them: same body as POST /segments (name optional)
+  router.post('/segments/preview', async (req, res) => {
+    try {
+      const parsed = parseSegmentInput({ name: 'preview', ...req.body });
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      const missing = await missingSets(parsed.value.setNames);
+      if (missing.length) return res.status(404).json({ error: `Set(s) not found: ${missing.join(', ')}` });
+
+      const contacts = await segmentContacts(parsed.value);
+      res.json({ total: contacts.length, contacts: contacts.slice(0, SEGMENT_SAMPLE_SIZE) });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to preview segment' });
+    }
+  });
+
+  router.get('/segments/:id', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Segment not found' });
+      const segment = await Segment.findById(req.params.id);
+      if (!segment) return res.status(404).json({ error: 'Segment not found' });
+      res.json(await serializeSegment(segment, { withCount: true }));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load segment' });
+    }
+  });
+
+  // Matching contacts (?page=&limit=)
+  router.get('/segments/:id/contacts', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Segment not found' });
+      const segment = await Segment.findById(req.params.id);
+      if (!segment) return res.status(404).json({ error: 'Segment not found' });
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const contacts = await segmentContacts(segment);
+      res.json({ page, limit, total: contacts.length, items: contacts.slice((page - 1) * limit, page * limit) });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load segment contacts' });
+    }
+  });
+
+  // { name, description?, setNames?, query: "tag=wholesale AND region=Arusha" } or { match, rules: [...] }
+  router.post('/segments', async (req, res) => {
+    try {
+      const parsed = parseSegmentInput(req.body || {});
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      if (await Segment.exists({ name: parsed.value.name })) {
+        return res.status(409).json({ error: 'A segment with that name already exists' });
+      }
+      const missing = await missingSets(parsed.value.setNames);
+      if (missing.length) return res.status(404).json({ error: `Set(s) not found: ${missing.join(', ')}` });
+
+      const segment = await Segment.create(parsed.value);
+      res.status(201).json(await serializeSegment(segment, { withCount: true }));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to create segment' });
+    }
+  });
+
+  router.patch('/segments/:id', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Segment not found' });
+      const segment = await Segment.findById(req.params.id);
+      if (!segment) return res.status(404).json({ error: 'Segment not found' });
+
+      const parsed = parseSegmentInput(req.body || {}, segment.toObject());
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      if (parsed.value.name !== segment.name && (await Segment.exists({ name: parsed.value.name }))) {
+        return res.status(409).json({ error: 'A segment with that name already exists' });
+      }
+      const missing = await missingSets(parsed.value.setNames);
+      if (missing.length) return res.status(404).json({ error: `Set(s) not found: ${missing.join(', ')}` });
+
+      segment.set(parsed.value);
+      await segment.save();
+      res.json(await serializeSegment(segment, { withCount: true }));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to update segment' });
+    }
+  });
+
+  router.delete('/segments/:id', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Segment not found' });
+      const segment = await Segment.findByIdAndDelete(req.params.id);
+      if (!segment) return res.status(404).json({ error: 'Segment not found' });
+      res.json({ message: `Segment "${segment.name}" deleted`, id: req.params.id });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to delete segment' });
+    }
+  });
+
+  // Queue a campaign to everyone currently in the segment; same body as /send/:setName
+  router.post('/segments/:id/send', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Segment not found' });
+      const { options, error } = await parseSendOptions(req.body);
+      if (error) return res.status(400).json({ error });
+
+      const segment = await Segment.findById(req.params.id);
+      if (!segment) return res.status(404).json({ error: 'Segment not found' });
+      const contacts = await segmentContacts(segment);
+      if (!contacts.length) return res.status(400).json({ error: 'No contacts match this segment' });
+
+      // A segment drawn from one set still files under that set in history
+      const setName = segment.setNames.length === 1 ? segment.setNames[0] : '';
+      const campaign = await queueCampaign({ ...options, setName, segment, contacts });
+      campaignQueued(res, campaign);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to queue campaign' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSegmentRoutes };
@@ -0,0 +1,97 @@
+// backend/routes/send.js
+//
+// Sending a campaign to one or more contact sets, and previewing its message.
+const express = require('express');
+const ContactSet = require('../models/ContactSet');
+const { renderTemplate, templateFields, contactVars } = require('../lib/template');
+const { combineSets } = require('../lib/setAlgebra');
+const { parseVariables, parseSendOptions } = require('../lib/sendRequests');
+
+// campaignQueue: createCampaignQueue() from routes/helpers.js
+function createSendRoutes({ campaignQueue }) {
+  const router = express.Router();
+
+  const { queueCampaign, campaignQueued } = campaignQueue;
+
+  // Render a message template for the first N contacts of a set, without sending
+  router.post('/send/:setName/preview', async (req, res) => {
+    try {
+      const { message, count = 5 } = req.body || {};
+      if (!message || !String(message).trim()) {
+        return res.status(400).json({ error: 'Message is required' });
+      }
+      const variables = parseVariables(req.body?.variables);
+      if (!variables) return res.status(400).json({ error: 'variables must be an object of name/value pairs' });
+
+      const set = await ContactSet.findOne({ name: req.params.setName });
+      if (!set) return res.status(404).json({ error: 'Set not found' });
+
+      const limit = Math.min(Math.max(parseInt(count, 10) || 5, 1), 50);
+      const previews = set.contacts.slice(0, limit).map((c) => ({
+        name: c.name,
+        phone: c.phone,
+        text: renderTemplate(message, contactVars(c, variables)),
+      }));
+
+      res.json({ fields: templateFields(message), total: set.contacts.length, previews });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to render preview' });
+    }
+  });
+
+  // Queue one campaign to several sets: { setNames: [...], ...same body as /send/:setName }.
+  // A phone in more than one set is messaged once, with its details from the first set listed.
+  router.post('/send', async (req, res) => {
+    try {
+      const { setNames } = req.body || {};
+      if (!Array.isArray(setNames) || !setNames.length) {
+        return res.status(400).json({ error: 'setNames must list at least one set' });
+      }
+      const { options, error } = await parseSendOptions(req.body);
+      if (error) return res.status(400).json({ error });
+
+      const names = [...new Set(setNames.map(String))];
+      const found = await ContactSet.find({ name: { $in: names } });
+      const sets = names.map((n) => found.find((s) => s.name === n));
+      const missing = names.filter((n, i) => !sets[i]);
+      if (missing.length) return res.status(404).json({ error: `Set(s) not found: ${missing.join(', ')}` });
+
+      const contacts = combineSets('union', sets);
+      if (!contacts.length) return res.status(400).json({ error: 'Sets have no contacts' });
+      const listed = sets.reduce((n, s) => n + s.contacts.length, 0);
+
+      const campaign = await queueCampaign({
+        ...options,
+        ...(names.length === 1 ? { setName: names[0] } : { setName: '', setNames: names }),
+        contacts,
+      });
+      campaignQueued(res, campaign, { duplicatesSkipped: listed - contacts.length });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to queue campaign' });
+    }
+  });
+
+  // Queue a campaign for a set; the runner sends it in the background.
+  router.post('/send/:setName', async (req, res) => {
+    try {
+      const { options, error } = await parseSendOptions(req.body);
+      if (error) return res.status(400).json({ error });
+
+      const set = await ContactSet.findOne({ name: req.params.setName });
+      if (!set) return res.status(404).json({ error: 'Set not found' });
+      if (set.contacts.length === 0) return res.status(400).json({ error: 'Set has no contacts' });
+
+      const campaign = await queueCampaign({ ...options, setName: set.name, contacts: set.contacts });
+      campaignQueued(res, campaign);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to queue campaign' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSendRoutes };
@@ -0,0 +1,128 @@
+// backend/routes/suppressions.js
+//
+// The suppression list: numbers that opted out or were added by hand, and the
+// opt-out keywords (see lib/optOut.js).
+const express = require('express');
+const Suppression = require('../models/Suppression');
+const { requireRole } = require('../lib/auth');
+const { normalizePhone } = require('../lib/phone');
+const { getOptOutSettings, saveOptOutSettings } = require('../lib/optOut');
+
+function createSuppressionRoutes() {
+  const router = express.Router();
+
+  // Opt-out keywords and the optional confirmation reply
+  router.get('/suppressions/settings', async (req, res) => {
+    try {
+      res.json(await getOptOutSettings());
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load opt-out settings' });
+    }
+  });
+
+  router.put('/suppressions/settings', async (req, res) => {
+    try {
+      const { keywords, reply } = req.body || {};
+      if (keywords !== undefined && (!Array.isArray(keywords) || keywords.some((k) => typeof k !== 'string'))) {
+        return res.status(400).json({ error: 'keywords must be an array of strings' });
+      }
+      if (reply !== undefined && typeof reply !== 'string') {
+        return res.status(400).json({ error: 'reply must be a string' });
+      }
+      res.json(await saveOptOutSettings({ keywords, reply }));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to save opt-out settings' });
+    }
+  });
+
+  // List suppressed numbers (?q= phone search, ?page=&limit=)
+  router.get('/suppressions', async (req, res) => {
+    try {
+      const filter = {};
+      const q = String(req.query.q || '').replace(/\D/g, '');
+      if (q) filter.phone = { $regex: q };
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const [total, items] = await Promise.all([
+        Suppression.countDocuments(filter),
+        Suppression.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      ]);
+      res.json({ page, limit, total, items });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to list suppressions' });
+    }
+  });
+
+  router.get('/suppressions/export.csv', async (req, res) => {
+    try {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="suppression-list.csv"');
+
+      const csvCell = (v) => `"${String(v ?? '').replace(/"/g, '""')}"`;
+      res.write('phone,reason,keyword,note,createdAt\n');
+      for await (const s of Suppression.find().sort({ createdAt: -1 }).cursor()) {
+        res.write([s.phone, s.reason, s.keyword, s.note, s.createdAt.toISOString()].map(csvCell).join(',') + '\n');
+      }
+      res.end();
+    } catch (e) {
+      console.error(e);
+      if (res.headersSent) return res.end();
+      res.status(500).send('Failed to export suppression list');
+    }
+  });
+
+  // Add one (`phone`) or many (`phones`) numbers by hand
+  router.post('/suppressions', async (req, res) => {
+    try {
+      const { phone, phones, note = '' } = req.body || {};
+      const raw = Array.isArray(phones) ? phones : phone != null ? [phone] : [];
+      if (!raw.length) return res.status(400).json({ error: 'phone or phones is required' });
+
+      let added = 0;
+      let existing = 0;
+      const invalid = [];
+      for (const value of raw) {
+        const parsed = normalizePhone(value);
+        if (!parsed.ok) {
+          invalid.push({ value, reason: parsed.reason });
+          continue;
+        }
+        const normalized = parsed.phone;
+        const result = await Suppression.updateOne(
+          { phone: normalized },
+          { $setOnInsert: { phone: normalized, reason: 'manual', note: String(note) } },
+          { upsert: true }
+        );
+        if (result.upsertedCount) added++;
+        else existing++;
+      }
+
+      res.json({ message: 'Suppression list updated', added, existing, invalid });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to update suppression list' });
+    }
+  });
+
+  // Remove a number so it can be messaged again
+  router.delete('/suppressions/:phone', requireRole('admin'), async (req, res) => {
+    try {
+      const parsed = normalizePhone(req.params.phone);
+      const normalized = parsed.ok ? parsed.phone : null;
+      const result = normalized ? await Suppression.findOneAndDelete({ phone: normalized }) : null;
+      if (!result) return res.status(404).json({ error: 'Number is not suppressed' });
+      res.json({ message: 'Removed from suppression list', phone: normalized });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to remove from suppression list' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSuppressionRoutes };
@@ -0,0 +1,207 @@
+// backend/routes/uploads.js
+//
+// Importing contact files: CSV, Excel (.xlsx), vCard (.vcf) and JSON.
+// POST /upload/:setName/preview shows the detected columns, the proposed
+// mapping and sample rows without saving; POST /upload/:setName imports with
+// that mapping or one sent back as `mapping`. Uploaded files are deleted once read.
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const ContactSet = require('../models/ContactSet');
+const { fileFormat, readContactFile, proposeMapping, parseMapping, applyMapping } = require('../lib/contactFiles');
+const { parseTags, mergeContactData } = require('../lib/contactFields');
+const { resolveCountry, normalizePhone, createImportReport } = require('../lib/phone');
+const { trackChanges } = require('../lib/contactHistory');
+const { requestCountry } = require('./helpers');
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+function createUploadRoutes() {
+  const router = express.Router();
+
+  if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  const upload = multer({ dest: UPLOAD_DIR });
+
+  const PREVIEW_ROWS = 10;
+
+  // Read the uploaded file (then delete it) into a table plus the mapping to use:
+  // `mapping` from the form / body if given, else the proposed one
+  async function readUploadedContacts(req) {
+    if (!req.file) return { status: 400, error: 'No file uploaded' };
+    const filePath = req.file.path; // absolute from Multer
+    try {
+      const format = fileFormat(req.file.originalname, req.file.mimetype);
+      if (!format) return { status: 400, error: 'Unsupported file type; upload CSV, XLSX, VCF or JSON' };
+
+      let table;
+      try {
+        table = await readContactFile(filePath, format);
+      } catch (err) {
+        console.error(`${format} parse error`, err);
+        return { status: 400, error: `Failed to parse ${format.toUpperCase()} file` };
+      }
+
+      const proposed = proposeMapping(table);
+      let mapping = proposed;
+      if (req.body?.mapping != null && req.body.mapping !== '') {
+        const parsed = parseMapping(req.body.mapping, table.columns);
+        if (parsed.error) return { status: 400, error: parsed.error };
+        mapping = parsed.value;
+      }
+      return { format, table, proposed, mapping };
+    } finally {
+      try { fs.unlinkSync(filePath); } catch {}
+    }
+  }
+
+  // Dry run: what an import of this file would do, nothing is saved.
+  // Accepts the same `country`, `tags` and `mapping` fields as the import.
+  router.post('/upload/:setName/preview', upload.single('file'), async (req, res) => {
+    try {
+      const { country: requested, error: countryError } = requestCountry(req);
+      if (countryError) {
+        if (req.file) try { fs.unlinkSync(req.file.path); } catch {}
+        return res.status(400).json({ error: countryError });
+      }
+
+      const read = await readUploadedContacts(req);
+      if (read.error) return res.status(read.status).json({ error: read.error });
+      const { format, table, proposed, mapping } = read;
+
+      const set = await ContactSet.findOne({ name: req.params.setName }, 'defaultCountry contacts.phone');
+      const country = resolveCountry(requested, set?.defaultCountry);
+      const inSet = new Set((set?.contacts || []).map((c) => c.phone));
+      const uploadTags = parseTags(req.body?.tags ?? req.query?.tags);
+
+      const counts = { rows: table.rows.length, valid: 0, invalid: 0, duplicatesInFile: 0, alreadyInSet: 0 };
+      const seen = new Set();
+      const sample = [];
+      applyMapping(table, mapping).forEach(({ rawPhone, name, tags, fields }, i) => {
+        const result = rawPhone ? normalizePhone(rawPhone, { country }) : { ok: false, reason: 'No phone number found' };
+        if (!result.ok) counts.invalid++;
+        else if (seen.has(result.phone)) counts.duplicatesInFile++;
+        else if (inSet.has(result.phone)) counts.alreadyInSet++;
+        else counts.valid++;
+        if (result.ok) seen.add(result.phone);
+
+        if (sample.length < PREVIEW_ROWS) {
+          sample.push({
+            row: i + 1,
+            raw: table.rows[i],
+            name,
+            rawPhone,
+            phone: result.ok ? result.phone : null,
+            error: result.ok ? undefined : result.reason,
+            tags: [...new Set([...tags, ...uploadTags])],
+            fields,
+          });
+        }
+      });
+
+      res.json({
+        setName: req.params.setName,
+        setExists: !!set,
+        format,
+        country,
+        hasHeader: table.hasHeader,
+        columns: table.columns,
+        proposedMapping: proposed,
+        mapping,
+        counts,
+        sample,
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to preview contacts' });
+    }
+  });
+
+  // Import a contact file into a set (created if missing). Optional form fields / query:
+  // `country` for numbers without a country code (else the set's default), `tags` for
+  // every row, and `mapping` (JSON, as returned by the preview) to override the guess.
+  router.post('/upload/:setName', upload.single('file'), async (req, res) => {
+    try {
+      const { country: requested, error: countryError } = requestCountry(req);
+      if (countryError) {
+        if (req.file) try { fs.unlinkSync(req.file.path); } catch {}
+        return res.status(400).json({ error: countryError });
+      }
+
+      const read = await readUploadedContacts(req);
+      if (read.error) return res.status(read.status).json({ error: read.error });
+      const { format, table, mapping } = read;
+      const rows = applyMapping(table, mapping);
+
+      // --- normalize + save to DB (dedupe) ---
+      let set = await ContactSet.findOne({ name: req.params.setName });
+      if (!set) set = new ContactSet({ name: req.params.setName, contacts: [], defaultCountry: requested });
+      trackChanges(set, 'upload', { auth: req.auth, note: { file: req.file?.originalname, format } });
+      const country = resolveCountry(requested, set.defaultCountry);
+
+      // `tags` form field / query param: applied to every row in the file
+      const uploadTags = parseTags(req.body?.tags ?? req.query?.tags);
+
+      const report = createImportReport();
+      const byPhone = new Map(set.contacts.map((c) => [c.phone, c]));
+      let added = 0;
+      let updated = 0;
+
+      rows.forEach(({ rawPhone, name, tags, fields }, i) => {
+        const row = i + 1;
+        if (!rawPhone) return report.reject(row, '', 'No phone number found');
+
+        const result = normalizePhone(rawPhone, { country });
+        if (!result.ok) return report.reject(row, rawPhone, result.reason);
+        const allTags = [...new Set([...tags, ...uploadTags])];
+
+        const existing = byPhone.get(result.phone);
+        if (existing) {
+          report.duplicate(row, result.phone);
+          // A repeated number still picks up the row's tags and fields
+          if (mergeContactData(existing, { tags: allTags, fields })) updated++;
+          return;
+        }
+        if (result.changed) report.change(row, rawPhone, result.phone);
+
+        set.contacts.push({
+          phone: result.phone,
+          name: name || '',
+          tags: allTags,
+          fields: Object.keys(fields).length ? fields : undefined,
+        });
+        byPhone.set(result.phone, set.contacts[set.contacts.length - 1]);
+        report.accept();
+        added++;
+      });
+
+      const { counts } = report.toJSON();
+      if (added === 0 && counts.duplicates === 0) {
+        return res.status(400).json({ error: 'No valid phone numbers found in file', report });
+      }
+      if (added === 0 && set.isNew) {
+        return res.status(400).json({ error: 'No new numbers to add (all duplicates or invalid)', report });
+      }
+
+      await set.save();
+      res.json({
+        message: 'Contacts added',
+        added,
+        updated,
+        count: set.contacts.length,
+        country,
+        format,
+        mapping,
+        fields: [...new Set(Object.values(mapping.fields))],
+        report,
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to save contacts' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createUploadRoutes };
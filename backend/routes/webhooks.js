@@ -0,0 +1,168 @@
+// backend/routes/webhooks.js
+//
+// Outbound webhook subscriptions and their delivery log (see lib/webhooks.js). Admins only.
+const express = require('express');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { requireRole } = require('../lib/auth');
+const { parseWebhookInput, serializeWebhook, newSecret } = require('../lib/webhooks');
+
+// webhooks: the dispatcher from lib/webhooks.js
+function createWebhookRoutes({ webhooks }) {
+  const router = express.Router();
+
+  function serializeDelivery(delivery) {
+    return {
+      id: delivery._id.toString(),
+      webhook: delivery.webhook.toString(),
+      event: delivery.event,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      nextAttemptAt: delivery.nextAttemptAt || null,
+      responseStatus: delivery.responseStatus ?? null,
+      responseBody: delivery.responseBody ?? null,
+      error: delivery.error || null,
+      durationMs: delivery.durationMs ?? null,
+      deliveredAt: delivery.deliveredAt || null,
+      createdAt: delivery.createdAt,
+      payload: delivery.payload,
+    };
+  }
+
+  async function findWebhook(req, res) {
+    const webhook = mongoose.isValidObjectId(req.params.id) ? await Webhook.findById(req.params.id) : null;
+    if (!webhook) res.status(404).json({ error: 'Webhook not found' });
+    return webhook;
+  }
+
+  router.get('/webhooks', requireRole('admin'), async (req, res) => {
+    try {
+      const list = await Webhook.find().sort({ createdAt: -1 });
+      res.json(list.map((w) => serializeWebhook(w)));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load webhooks' });
+    }
+  });
+
+  // { name, url, events: [...], secret? } — the secret is only returned in full here and on rotate
+  router.post('/webhooks', requireRole('admin'), async (req, res) => {
+    try {
+      const { value, error } = parseWebhookInput(req.body || {});
+      if (error) return res.status(400).json({ error });
+      const webhook = await Webhook.create({ ...value, createdBy: req.auth.user._id });
+      res.status(201).json(serializeWebhook(webhook, { withSecret: true }));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to create webhook' });
+    }
+  });
+
+  router.get('/webhooks/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const webhook = await findWebhook(req, res);
+      if (!webhook) return;
+      res.json(serializeWebhook(webhook));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load webhook' });
+    }
+  });
+
+  router.patch('/webhooks/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const webhook = await findWebhook(req, res);
+      if (!webhook) return;
+      const { value, error } = parseWebhookInput(req.body || {}, webhook.toObject());
+      if (error) return res.status(400).json({ error });
+      webhook.set(value);
+      await webhook.save();
+      res.json(serializeWebhook(webhook));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to update webhook' });
+    }
+  });
+
+  router.delete('/webhooks/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const webhook = await findWebhook(req, res);
+      if (!webhook) return;
+      await Promise.all([webhook.deleteOne(), WebhookDelivery.deleteMany({ webhook: webhook._id })]);
+      res.json({ message: `Webhook "${webhook.name}" deleted` });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+  });
+
+  // The old secret stops working immediately
+  router.post('/webhooks/:id/rotate-secret', requireRole('admin'), async (req, res) => {
+    try {
+      const webhook = await findWebhook(req, res);
+      if (!webhook) return;
+      webhook.secret = newSecret();
+      await webhook.save();
+      res.json(serializeWebhook(webhook, { withSecret: true }));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to rotate webhook secret' });
+    }
+  });
+
+  // Sends a signed `test` event right away and returns how the receiver answered
+  router.post('/webhooks/:id/test', requireRole('admin'), async (req, res) => {
+    try {
+      const webhook = await findWebhook(req, res);
+      if (!webhook) return;
+      const delivery = await webhooks.sendTest(webhook);
+      res.json(serializeDelivery(delivery));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to send test event' });
+    }
+  });
+
+  // Delivery log, newest first. ?status=pending|succeeded|failed&event=&page=&limit=
+  router.get('/webhooks/:id/deliveries', requireRole('admin'), async (req, res) => {
+    try {
+      const webhook = await findWebhook(req, res);
+      if (!webhook) return;
+      const filter = { webhook: webhook._id };
+      if (req.query.status) filter.status = String(req.query.status);
+      if (req.query.event) filter.event = String(req.query.event);
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const [total, items] = await Promise.all([
+        WebhookDelivery.countDocuments(filter),
+        WebhookDelivery.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      ]);
+      res.json({ page, limit, total, items: items.map(serializeDelivery) });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to load webhook deliveries' });
+    }
+  });
+
+  // Send a logged delivery again (same id and payload, fresh signature)
+  router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', requireRole('admin'), async (req, res) => {
+    try {
+      const webhook = await findWebhook(req, res);
+      if (!webhook) return;
+      const delivery = mongoose.isValidObjectId(req.params.deliveryId)
+        ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id })
+        : null;
+      if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+      res.json(serializeDelivery(await webhooks.redeliver(delivery)));
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: 'Failed to redeliver webhook' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createWebhookRoutes };
@@ -0,0 +1,24 @@
+// backend/scripts/import-history.js
+//
+// One-time import of history.json into the campaigns collection.
+// Safe to run more than once: entries already imported are skipped.
+//
+//   npm run import-history [-- path/to/history.json]
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+const { importLegacyHistory } = require('../lib/history');
+
+async function main() {
+  const file = path.resolve(process.argv[2] || path.join(__dirname, '..', 'history.json'));
+  await mongoose.connect(process.env.MONGO_URI);
+  const result = await importLegacyHistory(file);
+  console.log(`✅ ${file}: ${result.imported} imported, ${result.skipped} already present, ${result.invalid} invalid`);
+}
+
+main()
+  .catch((err) => {
+    console.error('❌ History import failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
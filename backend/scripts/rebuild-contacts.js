@@ -0,0 +1,22 @@
+// backend/scripts/rebuild-contacts.js
+//
+// Recompute the global contacts index (models/Contact.js) from every contact set.
+// The server keeps it up to date by itself; this is for repairs.
+//
+//   npm run rebuild-contacts
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { rebuildContactIndex } = require('../lib/contactIndex');
+
+async function main() {
+  await mongoose.connect(process.env.MONGO_URI);
+  const { total, removed } = await rebuildContactIndex();
+  console.log(`✅ Contacts index rebuilt: ${total} phones, ${removed} stale entries removed`);
+}
+
+main()
+  .catch((err) => {
+    console.error('❌ Contacts index rebuild failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,44 @@
+// backend/scripts/sandbox.js
+//
+// Run the whole backend against the sandbox transport (lib/sandbox.js) and a
+// throwaway in-memory MongoDB: every account "connects" without a QR, and
+// nothing reaches WhatsApp. Data is gone when it stops.
+//
+//   npm run sandbox
+//
+// Set SANDBOX_MONGO_URI to use a real database instead (MONGO_URI is ignored
+// so a .env never points the sandbox at production data).
+require('dotenv').config();
+const { createApp } = require('../app');
+
+async function main() {
+  let mongod = null;
+  let mongoUri = process.env.SANDBOX_MONGO_URI;
+  if (!mongoUri) {
+    // Dev dependency; only needed here
+    const { MongoMemoryServer } = require('mongodb-memory-server');
+    mongod = await MongoMemoryServer.create();
+    mongoUri = mongod.getUri('whatsapp-sandbox');
+    console.log(`🧪 In-memory MongoDB at ${mongoUri}`);
+  }
+
+  const backend = createApp({ transport: 'sandbox', mongoUri });
+  const port = await backend.start({ port: process.env.PORT || 5000 });
+  console.log(`🧪 Sandbox backend running on port ${port}`);
+
+  let stopping = false;
+  async function shutdown() {
+    if (stopping) return;
+    stopping = true;
+    await backend.stop();
+    if (mongod) await mongod.stop();
+    process.exit(0);
+  }
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((err) => {
+  console.error('❌ Sandbox failed to start:', err);
+  process.exit(1);
+});